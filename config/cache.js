@@ -0,0 +1,8 @@
+// Tempo de vida dos caches (e do log de entregas de webhooks) do SQLite, compartilhado entre a limpeza periódica em
+// config/database.js e os repositórios.
+const ROUTE_CACHE_TTL = 7 * 24 * 3600 * 1000; // 7 dias: a geometria das rotas quase não muda
+const WEATHER_CACHE_TTL = 3600 * 1000; // 1 hora: previsão por ponto e hora, sempre recente
+const GEOCODE_CACHE_TTL = 30 * 24 * 3600 * 1000; // 30 dias: nomes e coordenadas de cidades quase nunca mudam
+const WEBHOOK_LOG_TTL = 30 * 24 * 3600 * 1000; // 30 dias de histórico de entregas de webhooks
+
+module.exports = { ROUTE_CACHE_TTL, WEATHER_CACHE_TTL, GEOCODE_CACHE_TTL, WEBHOOK_LOG_TTL };
@@ -1,5 +1,6 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
+const { ROUTE_CACHE_TTL, WEATHER_CACHE_TTL, GEOCODE_CACHE_TTL, WEBHOOK_LOG_TTL } = require('./cache');
 
 // Resolve o caminho do banco para a raiz do projeto
 const dbPath = path.resolve(__dirname, '../weather_trip.db');
@@ -9,28 +10,174 @@ const db = new sqlite3.Database(dbPath, (err) => {
     else console.log("💾 Banco conectado localmente.");
 });
 
-db.run(`CREATE TABLE IF NOT EXISTS route_cache (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    origin_text TEXT,
-    dest_text TEXT,
-    trip_date TEXT, 
-    data TEXT,
-    created_at INTEGER
-)`);
+// --- MIGRAÇÃO: route_cache (resposta completa) -> route_geometry_cache ---
+// A tabela antiga guardava rota + clima juntos. Só a rota é aproveitada; entradas com
+// espaçamento, permanência ou janela de direção na chave (|km=, |min=, |stay=, |win=)
+// são descartadas, já que a mesma rota também é salva com a chave base.
+function migrateLegacyRouteCache() {
+    db.get(`SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'route_cache'`, (err, row) => {
+        if (err || !row) return;
 
-// --- LIMPEZA PERIÓDICA DO CACHE ---
-const CLEANUP_INTERVAL = 24 * 3600 * 1000; // 24 horas
-const CACHE_TTL = 3600 * 1000; // 1 hora de TTL
+        const toRoute = (value) => `json_object(
+            'path', json(json_extract(${value}, '$.routeGeo')),
+            'distance', json_extract(${value}, '$.distanceTotal'),
+            'duration', json_extract(${value}, '$.durationTotal'),
+            'provider', json_extract(${value}, '$.provider'))`;
 
-setInterval(() => {
-    const cutoff = Date.now() - CACHE_TTL;
-    db.run(`DELETE FROM route_cache WHERE created_at < ?`, [cutoff], function (err) {
-        if (err) {
-            console.error('❌ Erro na limpeza do cache:', err.message);
-        } else {
-            console.log(`🧹 Limpeza do cache: ${this.changes} registro(s) expirado(s) removido(s).`);
+        // exec para na primeira falha; nesse caso a transação é desfeita e a tabela antiga fica
+        db.exec(`BEGIN;
+            INSERT OR IGNORE INTO route_geometry_cache (route_key, data, created_at)
+                SELECT origin_text,
+                    json_set(${toRoute('data')}, '$.alternatives', json(COALESCE(
+                        (SELECT json_group_array(json(${toRoute('alt.value')})) FROM json_each(data, '$.alternatives') AS alt),
+                        '[]'))),
+                    MAX(created_at)
+                FROM route_cache
+                WHERE json_valid(data)
+                    AND origin_text NOT GLOB '*|km=*' AND origin_text NOT GLOB '*|min=*'
+                    AND origin_text NOT GLOB '*|stay=*' AND origin_text NOT GLOB '*|win=*'
+                GROUP BY origin_text;
+            DROP TABLE route_cache;
+            COMMIT;`, (migrationErr) => {
+            if (migrationErr) {
+                console.error('❌ Erro na migração do route_cache:', migrationErr.message);
+                db.run('ROLLBACK');
+            } else {
+                console.log('🔀 route_cache migrado para route_geometry_cache (clima agora em weather_cache).');
+            }
+        });
+    });
+}
+
+// Coluna nova em tabela já existente. Em bancos novos ela já vem no CREATE TABLE e o
+// ALTER falha com "duplicate column name", que é ignorado.
+function addColumn(table, definition) {
+    db.run(`ALTER TABLE ${table} ADD COLUMN ${definition}`, (err) => {
+        if (err && !/duplicate column/i.test(err.message)) {
+            console.error(`❌ Erro ao adicionar coluna em ${table}:`, err.message);
         }
     });
+}
+
+// Criação das tabelas e migração em ordem, antes de qualquer consulta dos repositórios
+db.serialize(() => {
+    // Rotas (geometria, duração e alternativas do provedor) por coordenadas + modo de viagem
+    db.run(`CREATE TABLE IF NOT EXISTS route_geometry_cache (
+        route_key TEXT PRIMARY KEY,
+        data TEXT,
+        created_at INTEGER
+    )`);
+
+    // Clima de um ponto (lat/lng arredondados) em uma hora UTC
+    db.run(`CREATE TABLE IF NOT EXISTS weather_cache (
+        cache_key TEXT PRIMARY KEY,
+        data TEXT,
+        created_at INTEGER
+    )`);
+
+    // Geocodificação direta, reversa e busca de endereços: `kind` + chave normalizada
+    db.run(`CREATE TABLE IF NOT EXISTS geocode_cache (
+        kind TEXT NOT NULL,
+        cache_key TEXT NOT NULL,
+        data TEXT,
+        created_at INTEGER,
+        PRIMARY KEY (kind, cache_key)
+    )`);
+
+    // Viagens salvas para compartilhamento (/t/:id): parâmetros da busca e o último resultado.
+    // Não é cache: não entra na limpeza periódica.
+    db.run(`CREATE TABLE IF NOT EXISTS trips (
+        id TEXT PRIMARY KEY,
+        params TEXT NOT NULL,
+        result TEXT NOT NULL,
+        created_at INTEGER,
+        updated_at INTEGER
+    )`);
+
+    // Inscrições para acompanhar uma viagem salva: canal (webhook, email), destino e a chave
+    // de API que a criou. No canal webhook o destino é o id do webhook da inscrição.
+    db.run(`CREATE TABLE IF NOT EXISTS trip_watches (
+        id TEXT PRIMARY KEY,
+        trip_id TEXT NOT NULL REFERENCES trips(id),
+        channel TEXT NOT NULL,
+        target TEXT NOT NULL,
+        api_key_id TEXT REFERENCES api_keys(id),
+        created_at INTEGER,
+        last_notified_at INTEGER
+    )`);
+    addColumn('trip_watches', 'api_key_id TEXT REFERENCES api_keys(id)');
+    db.run(`CREATE INDEX IF NOT EXISTS idx_trip_watches_trip ON trip_watches (trip_id)`);
+    // Inscrições antigas por webhook guardavam a URL e eram entregues sem assinatura
+    db.run(`DELETE FROM trip_watches WHERE channel = 'webhook' AND target LIKE 'http%'`);
+
+    // Webhooks globais (administração) e os das inscrições em viagens (`trip_id`), e o log
+    // de cada entrega, com as tentativas
+    db.run(`CREATE TABLE IF NOT EXISTS webhooks (
+        id TEXT PRIMARY KEY,
+        url TEXT NOT NULL,
+        secret TEXT NOT NULL,
+        events TEXT NOT NULL,
+        trip_id TEXT REFERENCES trips(id),
+        created_at INTEGER
+    )`);
+    addColumn('webhooks', 'trip_id TEXT REFERENCES trips(id)');
+    db.run(`CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        webhook_id TEXT NOT NULL REFERENCES webhooks(id),
+        event TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        status TEXT NOT NULL,
+        attempts INTEGER DEFAULT 0,
+        response_status INTEGER,
+        error TEXT,
+        created_at INTEGER,
+        next_attempt_at INTEGER,
+        delivered_at INTEGER
+    )`);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_pending ON webhook_deliveries (status, next_attempt_at)`);
+
+    // Chaves de API: só o hash SHA-256 é guardado. Limites por chave e contagem de uso por dia (UTC)
+    db.run(`CREATE TABLE IF NOT EXISTS api_keys (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        key_hash TEXT NOT NULL UNIQUE,
+        prefix TEXT NOT NULL,
+        rate_limit INTEGER NOT NULL,
+        daily_quota INTEGER NOT NULL,
+        total_requests INTEGER DEFAULT 0,
+        created_at INTEGER,
+        last_used_at INTEGER,
+        revoked_at INTEGER
+    )`);
+    db.run(`CREATE TABLE IF NOT EXISTS api_key_usage (
+        key_id TEXT NOT NULL REFERENCES api_keys(id),
+        day TEXT NOT NULL,
+        requests INTEGER DEFAULT 0,
+        PRIMARY KEY (key_id, day)
+    )`);
+
+    migrateLegacyRouteCache();
+});
+
+// --- LIMPEZA PERIÓDICA DO CACHE (E DO LOG DE WEBHOOKS) ---
+const CLEANUP_INTERVAL = 24 * 3600 * 1000; // 24 horas
+const CLEANUP_TABLES = [
+    { table: 'route_geometry_cache', ttl: ROUTE_CACHE_TTL, label: 'cache de rotas' },
+    { table: 'weather_cache', ttl: WEATHER_CACHE_TTL, label: 'cache de clima' },
+    { table: 'geocode_cache', ttl: GEOCODE_CACHE_TTL, label: 'cache de geocodificação' },
+    { table: 'webhook_deliveries', ttl: WEBHOOK_LOG_TTL, label: 'log de webhooks' }
+];
+
+setInterval(() => {
+    for (const { table, ttl, label } of CLEANUP_TABLES) {
+        db.run(`DELETE FROM ${table} WHERE created_at < ?`, [Date.now() - ttl], function (err) {
+            if (err) {
+                console.error(`❌ Erro na limpeza do ${label}:`, err.message);
+            } else {
+                console.log(`🧹 Limpeza do ${label}: ${this.changes} registro(s) expirado(s) removido(s).`);
+            }
+        });
+    }
 }, CLEANUP_INTERVAL);
 
 module.exports = db;
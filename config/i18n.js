@@ -0,0 +1,99 @@
+// Catálogos de tradução da API (mensagens de erro, condições do tempo, riscos e notificações).
+// pt-BR é o idioma padrão e a referência: chave ausente nos outros catálogos cai nele.
+const CATALOGS = {
+    'pt-BR': require('./locales/pt-BR.json'),
+    en: require('./locales/en.json'),
+    es: require('./locales/es.json')
+};
+
+const SUPPORTED_LOCALES = Object.keys(CATALOGS);
+const DEFAULT_LOCALE = 'pt-BR';
+
+const lookup = (catalog, key) => key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), catalog);
+
+/**
+ * Idioma suportado correspondente a uma tag BCP 47 ('en-US' → 'en', 'pt' → 'pt-BR'),
+ * ou null se não houver.
+ */
+function resolveLocale(tag) {
+    if (typeof tag !== 'string' || tag.trim() === '') return null;
+    const normalized = tag.trim().toLowerCase();
+    const exact = SUPPORTED_LOCALES.find(l => l.toLowerCase() === normalized);
+    if (exact) return exact;
+    const language = normalized.split('-')[0];
+    return SUPPORTED_LOCALES.find(l => l.toLowerCase().split('-')[0] === language) || null;
+}
+
+/**
+ * Idioma da resposta: o pedido explicitamente (`locale` na query/body) ou o de maior
+ * peso no Accept-Language que seja suportado; sem nenhum dos dois, pt-BR.
+ */
+function negotiateLocale(requested, acceptLanguage = '') {
+    const explicit = resolveLocale(requested);
+    if (explicit) return explicit;
+
+    const ranked = String(acceptLanguage || '')
+        .split(',')
+        .map((part, index) => {
+            const [tag, ...params] = part.trim().split(';');
+            const q = params.map(p => p.trim()).find(p => p.startsWith('q='));
+            return { tag, q: q ? Number(q.slice(2)) : 1, index };
+        })
+        .filter(entry => entry.tag && entry.q > 0)
+        .sort((a, b) => b.q - a.q || a.index - b.index);
+
+    for (const { tag } of ranked) {
+        const locale = resolveLocale(tag);
+        if (locale) return locale;
+    }
+    return DEFAULT_LOCALE;
+}
+
+/**
+ * Texto da chave no idioma, com `{param}` substituídos. Chave ausente no idioma usa o
+ * pt-BR; ausente também nele, retorna a própria chave.
+ */
+function t(locale, key, params = {}) {
+    let text = lookup(CATALOGS[locale] || CATALOGS[DEFAULT_LOCALE], key);
+    if (typeof text !== 'string') text = lookup(CATALOGS[DEFAULT_LOCALE], key);
+    if (typeof text !== 'string') return key;
+    return text.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+}
+
+function hasKey(key) {
+    return typeof lookup(CATALOGS[DEFAULT_LOCALE], key) === 'string';
+}
+
+/**
+ * Erro com chave de tradução. A mensagem é o texto em pt-BR (logs e chamadas internas);
+ * as rotas devolvem o texto no idioma da requisição com `localizeError`.
+ */
+class LocalizedError extends Error {
+    constructor(key, params = {}) {
+        super(t(DEFAULT_LOCALE, key, params));
+        this.key = key;
+        this.params = params;
+    }
+}
+
+function localizeError(error, locale) {
+    return error && error.key ? t(locale, error.key, error.params) : error.message;
+}
+
+/**
+ * Condição do tempo de um código WMO no idioma pedido.
+ */
+function weatherCondition(code, locale = DEFAULT_LOCALE) {
+    return hasKey(`weather.wmo.${code}`) ? t(locale, `weather.wmo.${code}`) : t(locale, 'weather.unknown', { code });
+}
+
+module.exports = {
+    SUPPORTED_LOCALES,
+    DEFAULT_LOCALE,
+    resolveLocale,
+    negotiateLocale,
+    t,
+    LocalizedError,
+    localizeError,
+    weatherCondition
+};
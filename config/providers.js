@@ -0,0 +1,164 @@
+const fs = require('fs');
+const path = require('path');
+
+// Endereços, timeouts e ordem de fallback dos provedores externos. Os valores abaixo são
+// os serviços públicos; para usar instâncias próprias (OSRM, Nominatim, Open-Meteo...)
+// sobrescreva via arquivo JSON (PROVIDERS_CONFIG_FILE) ou variáveis de ambiente.
+// Precedência: variáveis de ambiente > arquivo > padrões.
+const PROVIDER_DEFAULTS = {
+    urls: {
+        osrm: 'https://router.project-osrm.org',
+        graphhopper: 'https://graphhopper.com/api/1',
+        mapbox: 'https://api.mapbox.com',
+        nominatim: 'https://nominatim.openstreetmap.org',
+        openMeteo: 'https://api.open-meteo.com',
+        weatherApi: 'https://api.weatherapi.com/v1'
+    },
+    timeouts: {
+        routing: 8000,
+        geocoding: 5000,
+        weather: 15000
+    },
+    order: {
+        routing: ['osrm', 'graphhopper', 'mapbox'],
+        geocoding: ['mapbox', 'nominatim'],
+        weather: ['openMeteo', 'weatherApi']
+    },
+    // Circuit breaker: falhas seguidas até pular o provedor e por quanto tempo
+    breaker: {
+        failureThreshold: 3,
+        cooldownMs: 60000
+    },
+    // Países (ISO 3166-1 alfa-2) aos quais a geocodificação se restringe quando a
+    // requisição não informa `countries`; lista vazia = sem restrição
+    geocodingCountries: ['br']
+};
+
+const MAX_COUNTRIES = 20;
+
+const ENV_URLS = {
+    osrm: 'OSRM_URL',
+    graphhopper: 'GRAPHHOPPER_URL',
+    mapbox: 'MAPBOX_URL',
+    nominatim: 'NOMINATIM_URL',
+    openMeteo: 'OPEN_METEO_URL',
+    weatherApi: 'WEATHERAPI_URL'
+};
+
+const ENV_TIMEOUTS = {
+    routing: 'ROUTING_TIMEOUT_MS',
+    geocoding: 'GEOCODING_TIMEOUT_MS',
+    weather: 'WEATHER_TIMEOUT_MS'
+};
+
+const ENV_ORDER = {
+    routing: 'ROUTING_PROVIDERS',
+    geocoding: 'GEOCODING_PROVIDERS',
+    weather: 'WEATHER_PROVIDERS'
+};
+
+const ENV_BREAKER = {
+    failureThreshold: { env: 'PROVIDER_FAILURE_THRESHOLD', min: 1, max: 100 },
+    cooldownMs: { env: 'PROVIDER_COOLDOWN_MS', min: 1000, max: 3600000 }
+};
+
+/**
+ * Lista de países ISO 3166-1 alfa-2 ("br,uy" ou ["br", "uy"]) em minúsculas e sem
+ * repetição. "all" vira a lista vazia (sem restrição). Retorna null se algum código for inválido.
+ */
+function parseCountryList(value) {
+    const list = Array.isArray(value) ? value : String(value).split(',');
+    const codes = list.map(c => String(c).trim().toLowerCase()).filter(Boolean);
+    if (codes.length === 1 && codes[0] === 'all') return [];
+    if (codes.length > MAX_COUNTRIES || codes.some(c => !/^[a-z]{2}$/.test(c))) return null;
+    return [...new Set(codes)];
+}
+
+function readConfigFile(file) {
+    const fullPath = path.resolve(process.cwd(), file);
+    try {
+        return JSON.parse(fs.readFileSync(fullPath, 'utf8'));
+    } catch (e) {
+        throw new Error(`Não foi possível ler o arquivo de provedores ${fullPath}: ${e.message}`);
+    }
+}
+
+function isHttpUrl(value) {
+    try {
+        const url = new URL(value);
+        return url.protocol === 'http:' || url.protocol === 'https:';
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Monta a configuração dos provedores a partir dos padrões, do arquivo opcional e do
+ * ambiente, validando tudo de uma vez. Lança um Error listando cada problema encontrado.
+ */
+function loadProvidersConfig(env = process.env) {
+    const file = env.PROVIDERS_CONFIG_FILE ? readConfigFile(env.PROVIDERS_CONFIG_FILE) : {};
+    const errors = [];
+
+    const urls = {};
+    for (const [name, envKey] of Object.entries(ENV_URLS)) {
+        const value = env[envKey] || file.urls?.[name] || PROVIDER_DEFAULTS.urls[name];
+        if (!isHttpUrl(value)) errors.push(`URL inválida para ${name}: "${value}"`);
+        urls[name] = String(value).replace(/\/+$/, '');
+    }
+
+    const timeouts = {};
+    for (const [group, envKey] of Object.entries(ENV_TIMEOUTS)) {
+        const raw = env[envKey] ?? file.timeouts?.[group] ?? PROVIDER_DEFAULTS.timeouts[group];
+        const value = Number(raw);
+        if (!Number.isInteger(value) || value < 500 || value > 120000) {
+            errors.push(`Timeout de ${group} deve ser um inteiro entre 500 e 120000 ms (recebido "${raw}")`);
+        }
+        timeouts[group] = value;
+    }
+
+    const order = {};
+    for (const [group, envKey] of Object.entries(ENV_ORDER)) {
+        const allowed = PROVIDER_DEFAULTS.order[group];
+        const raw = env[envKey] ? env[envKey].split(',') : (file.order?.[group] || allowed);
+        const list = raw.map(p => String(p).trim()).filter(Boolean)
+            .map(p => allowed.find(a => a.toLowerCase() === p.toLowerCase()) || p);
+
+        const unknown = list.filter(p => !allowed.includes(p));
+        if (unknown.length > 0) errors.push(`Provedor(es) desconhecido(s) em ${group}: ${unknown.join(', ')} (use ${allowed.join(', ')})`);
+        if (list.length === 0) errors.push(`A ordem de ${group} precisa de pelo menos um provedor`);
+        if (new Set(list).size !== list.length) errors.push(`Provedor repetido na ordem de ${group}`);
+        order[group] = list;
+    }
+
+    const breaker = {};
+    for (const [key, { env: envKey, min, max }] of Object.entries(ENV_BREAKER)) {
+        const raw = env[envKey] ?? file.breaker?.[key] ?? PROVIDER_DEFAULTS.breaker[key];
+        const value = Number(raw);
+        if (!Number.isInteger(value) || value < min || value > max) {
+            errors.push(`${key} do circuit breaker deve ser um inteiro entre ${min} e ${max} (recebido "${raw}")`);
+        }
+        breaker[key] = value;
+    }
+
+    const rawCountries = env.GEOCODING_COUNTRIES || file.geocodingCountries || PROVIDER_DEFAULTS.geocodingCountries;
+    const geocodingCountries = parseCountryList(rawCountries);
+    if (!geocodingCountries) {
+        errors.push(`Países da geocodificação devem ser até ${MAX_COUNTRIES} códigos ISO 3166-1 de 2 letras, ou "all" (recebido "${rawCountries}")`);
+    }
+
+    if (errors.length > 0) {
+        throw new Error(`Configuração de provedores inválida:\n- ${errors.join('\n- ')}`);
+    }
+    return { urls, timeouts, order, breaker, geocodingCountries };
+}
+
+let cached = null;
+
+// Configuração do processo, carregada (e validada) no primeiro uso
+function getProvidersConfig() {
+    if (!cached) cached = loadProvidersConfig();
+    return cached;
+}
+
+module.exports = { PROVIDER_DEFAULTS, loadProvidersConfig, getProvidersConfig, parseCountryList };
@@ -0,0 +1,36 @@
+// Modos de viagem aceitos em `profile`, o intervalo padrão entre checkpoints (segundos)
+// e o perfil equivalente em cada provedor de rotas. Moto e caminhão usam o perfil de
+// carro onde o provedor não tem um específico.
+// Obs.: o servidor público do OSRM (router.project-osrm.org) só calcula rotas de carro;
+// os perfis cycling/walking dependem de uma instância própria do OSRM.
+const TRAVEL_PROFILES = {
+    car: {
+        label: 'Carro',
+        checkpointInterval: 3600,
+        routing: { osrm: 'driving', graphhopper: 'car', mapbox: 'driving' }
+    },
+    motorcycle: {
+        label: 'Moto',
+        checkpointInterval: 2700,
+        routing: { osrm: 'driving', graphhopper: 'car', mapbox: 'driving' }
+    },
+    truck: {
+        label: 'Caminhão',
+        checkpointInterval: 3600,
+        routing: { osrm: 'driving', graphhopper: 'truck', mapbox: 'driving' }
+    },
+    bike: {
+        label: 'Bicicleta',
+        checkpointInterval: 1800,
+        routing: { osrm: 'cycling', graphhopper: 'bike', mapbox: 'cycling' }
+    },
+    foot: {
+        label: 'A pé',
+        checkpointInterval: 1800,
+        routing: { osrm: 'walking', graphhopper: 'foot', mapbox: 'walking' }
+    }
+};
+
+const DEFAULT_PROFILE = 'car';
+
+module.exports = { TRAVEL_PROFILES, DEFAULT_PROFILE };
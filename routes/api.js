@@ -1,65 +1,905 @@
 const express = require('express');
+const rateLimit = require('express-rate-limit');
 const router = express.Router();
 const fs = require('fs');
+const crypto = require('crypto');
 const path = require('path');
 const logger = require('../config/logger');
+const { TRAVEL_PROFILES } = require('../config/travelProfiles');
+const { getProvidersConfig, parseCountryList } = require('../config/providers');
+const { negotiateLocale, t, LocalizedError, localizeError } = require('../config/i18n');
+const TimeZone = require('../services/TimeZone');
+const UnitConverter = require('../services/UnitConverter');
 
 // Importação das Classes de Serviço
 const CacheRepository = require('../services/CacheRepository');
 const GeocodingService = require('../services/GeocodingService');
+const GeocodingCacheRepository = require('../services/GeocodingCacheRepository');
 const RoutingProviderService = require('../services/RoutingProviderService');
 const WeatherService = require('../services/WeatherService');
+const HazardScoringService = require('../services/HazardScoringService');
 const RouteWeatherOrchestrator = require('../services/weatherRouteService');
+const RouteExportService = require('../services/RouteExportService');
+const TrackImportService = require('../services/TrackImportService');
+const TripRepository = require('../services/TripRepository');
+const NotificationService = require('../services/NotificationService');
+const TripWatchService = require('../services/TripWatchService');
+const WebhookRepository = require('../services/WebhookRepository');
+const WebhookService = require('../services/WebhookService');
+const ApiKeyRepository = require('../services/ApiKeyRepository');
+const ApiKeyService = require('../services/ApiKeyService');
 
 // Injeção de Dependências
 const cacheRepo = new CacheRepository();
-const geocoding = new GeocodingService();
+const geocodingCache = new GeocodingCacheRepository();
+const geocoding = new GeocodingService(getProvidersConfig(), geocodingCache);
 const routing = new RoutingProviderService();
 const weather = new WeatherService();
-const orchestrator = new RouteWeatherOrchestrator(cacheRepo, geocoding, routing, weather);
+const hazard = new HazardScoringService();
+const orchestrator = new RouteWeatherOrchestrator(cacheRepo, geocoding, routing, weather, hazard);
+const exporter = new RouteExportService();
+const trackImporter = new TrackImportService();
+const tripRepo = new TripRepository();
+const webhookRepo = new WebhookRepository();
+const webhooks = new WebhookService(webhookRepo);
+const notifications = new NotificationService({ webhooks });
+const apiKeyRepo = new ApiKeyRepository();
+const apiKeys = new ApiKeyService(apiKeyRepo);
+
+/**
+ * Dispara 'forecast.completed' para os webhooks inscritos, sem segurar a resposta.
+ * O payload leva o resumo da previsão; geometria e alternativas ficam de fora.
+ */
+function notifyForecast(request, data) {
+    const { routeGeo, alternatives, ...summary } = data;
+    webhooks.dispatch('forecast.completed', { request, result: summary })
+        .catch(error => logger.error("Erro ao disparar webhooks", { error: error.message }));
+}
+
+// --- IDIOMA ---
+
+// Idioma das mensagens e da previsão: `locale` na query ou no body (pt-BR, en, es; tags
+// como en-US também servem), senão o Accept-Language. Sem nenhum dos dois, pt-BR.
+router.use((req, res, next) => {
+    const requested = req.query.locale || (req.body && typeof req.body === 'object' ? req.body.locale : undefined);
+    req.locale = negotiateLocale(requested, req.get('Accept-Language'));
+    res.set('Content-Language', req.locale);
+    res.vary('Accept-Language');
+    next();
+});
+
+// --- CHAVES DE API E LIMITES ---
+
+// Requisições sem chave (a interface web) caem no nível anônimo, limitado por IP.
+// ANON_RATE_LIMIT=0 exige chave em todas as rotas fora de /admin, que usam o ADMIN_TOKEN.
+const RATE_WINDOW_MS = 15 * 60 * 1000;
+const ANON_RATE_LIMIT = process.env.ANON_RATE_LIMIT !== undefined ? Number(process.env.ANON_RATE_LIMIT) : 100;
+
+/**
+ * Valida `Authorization: Bearer <chave>` e deixa o registro em `req.apiKey`. As rotas
+ * /admin usam o mesmo header com o ADMIN_TOKEN e são verificadas por requireAdminToken.
+ */
+async function authenticateApiKey(req, res, next) {
+    if (req.path.startsWith('/admin/')) return next();
+
+    const header = req.get('Authorization');
+    if (!header) {
+        if (ANON_RATE_LIMIT > 0) return next();
+        return res.status(401).json({ error: t(req.locale, 'errors.apiKeyRequired') });
+    }
+
+    try {
+        const [scheme, key] = header.split(' ');
+        const apiKey = scheme === 'Bearer' ? await apiKeys.authenticate(key) : null;
+        if (!apiKey) return res.status(401).json({ error: t(req.locale, 'errors.apiKeyInvalid') });
+        req.apiKey = apiKey;
+        next();
+    } catch (error) {
+        logger.error("Erro ao validar chave de API", { error: error.message });
+        res.status(500).json({ error: localizeError(error, req.locale) });
+    }
+}
+
+const apiKeyLimiter = rateLimit({
+    windowMs: RATE_WINDOW_MS,
+    limit: (req) => req.apiKey.rateLimit,
+    keyGenerator: (req) => req.apiKey.id,
+    skip: (req) => !req.apiKey,
+    message: (req) => ({ error: t(req.locale, 'errors.apiKeyRateLimited') }),
+    standardHeaders: true,
+    legacyHeaders: false
+});
+
+const anonymousLimiter = rateLimit({
+    windowMs: RATE_WINDOW_MS,
+    limit: ANON_RATE_LIMIT,
+    skip: (req) => Boolean(req.apiKey) || ANON_RATE_LIMIT === 0 || req.path.startsWith('/admin/'),
+    message: (req) => ({ error: t(req.locale, 'errors.anonymousRateLimited') }),
+    standardHeaders: true,
+    legacyHeaders: false
+});
+
+// /admin fica fora dos limites por chave e do anônimo, mas continua limitado por IP
+// (como o antigo limite global) para o ADMIN_TOKEN não poder ser testado por força bruta
+const ADMIN_RATE_LIMIT = 100;
+const adminLimiter = rateLimit({
+    windowMs: RATE_WINDOW_MS,
+    limit: ADMIN_RATE_LIMIT,
+    message: (req) => ({ error: t(req.locale, 'errors.adminRateLimited') }),
+    standardHeaders: true,
+    legacyHeaders: false
+});
+
+// Cota diária por chave (renovada à 0h UTC), contada depois do limite por janela
+async function enforceDailyQuota(req, res, next) {
+    if (!req.apiKey) return next();
+    try {
+        const quota = await apiKeys.consume(req.apiKey);
+        res.set({ 'X-Quota-Limit': String(quota.limit), 'X-Quota-Remaining': String(quota.remaining) });
+        if (!quota.allowed) {
+            return res.status(429).json({ error: t(req.locale, 'errors.dailyQuotaExceeded') });
+        }
+        next();
+    } catch (error) {
+        logger.error("Erro ao contar uso da chave de API", { error: error.message, keyId: req.apiKey.id });
+        res.status(500).json({ error: localizeError(error, req.locale) });
+    }
+}
+
+router.use('/admin', adminLimiter);
+router.use(authenticateApiKey, apiKeyLimiter, anonymousLimiter, enforceDailyQuota);
+
+/**
+ * Validação comum aos endpoints que recebem origem/destino/paradas/data.
+ * Retorna o erro (LocalizedError, traduzido na resposta) ou null se o input for válido.
+ */
+function validateTripInput({ origin, destination, stops, date }) {
+    if (typeof origin !== 'string' || origin.length > 200 || origin.trim() === '') {
+        return new LocalizedError('errors.invalidOrigin');
+    }
+    if (typeof destination !== 'string' || destination.length > 200 || destination.trim() === '') {
+        return new LocalizedError('errors.invalidDestination');
+    }
+
+    if (stops) {
+        if (!Array.isArray(stops) || stops.length > 10) {
+            return new LocalizedError('errors.invalidStops');
+        }
+        // Cada parada pode ser um texto ou { name, stayMinutes }
+        const names = stops.map(s => (s && typeof s === 'object' ? s.name : s));
+        if (names.some(n => typeof n !== 'string' || n.length > 200)) {
+            return new LocalizedError('errors.invalidStopNames');
+        }
+        const stays = stops.filter(s => s && typeof s === 'object' && s.stayMinutes !== undefined).map(s => s.stayMinutes);
+        if (stays.some(m => !Number.isInteger(m) || m < 0 || m > 1440)) {
+            return new LocalizedError('errors.invalidStayMinutes');
+        }
+    }
+
+    if (date && isNaN(Date.parse(date))) {
+        return new LocalizedError('errors.invalidDate');
+    }
+    return null;
+}
+
+function validateProfile(profile) {
+    if (profile !== undefined && !Object.prototype.hasOwnProperty.call(TRAVEL_PROFILES, profile)) {
+        return new LocalizedError('errors.invalidProfile', { profiles: Object.keys(TRAVEL_PROFILES).join(', ') });
+    }
+    return null;
+}
+
+/**
+ * Validação da janela diária de direção opcional: { start: "HH:MM", end: "HH:MM" }.
+ */
+function validateDrivingWindow(drivingWindow) {
+    if (drivingWindow === undefined || drivingWindow === null) return null;
+
+    const toMinutes = (value) => {
+        const match = typeof value === 'string' && value.match(/^([01]\d|2[0-3]):([0-5]\d)$/);
+        return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+    };
+    const start = toMinutes(drivingWindow.start);
+    const end = toMinutes(drivingWindow.end);
+
+    if (start === null || end === null) {
+        return new LocalizedError('errors.invalidDrivingWindowFormat');
+    }
+    if (end - start < 60) {
+        return new LocalizedError('errors.invalidDrivingWindowLength');
+    }
+    return null;
+}
+
+/**
+ * Fuso IANA opcional do viajante (ex.: "America/Sao_Paulo"), usado para datas sem offset.
+ */
+function validateTimeZone(timeZone) {
+    if (timeZone !== undefined && !TimeZone.isValid(timeZone)) {
+        return new LocalizedError('errors.invalidTimeZone');
+    }
+    return null;
+}
+
+/**
+ * Sistema de unidades opcional da resposta: 'metric' (padrão) ou 'imperial'.
+ */
+function validateUnits(units) {
+    if (units !== undefined && !UnitConverter.isValid(units)) {
+        return new LocalizedError('errors.invalidUnits', { units: UnitConverter.SYSTEMS.join(', ') });
+    }
+    return null;
+}
+
+/**
+ * Países opcionais da geocodificação: códigos ISO 3166-1 alfa-2 em array ou separados
+ * por vírgula ("br,uy,ar"), ou "all" para não restringir.
+ */
+function validateCountries(countries) {
+    if (countries !== undefined && !parseCountryList(countries)) {
+        return new LocalizedError('errors.invalidCountries');
+    }
+    return null;
+}
+
+// Lista normalizada (minúsculas, sem repetição) para o GeocodingService; sem `countries`, vale GEOCODING_COUNTRIES
+const countryList = (countries) => (countries === undefined ? undefined : parseCountryList(countries));
+
+/**
+ * Validação do espaçamento opcional dos checkpoints: `interval` (minutos) ou `everyKm`.
+ */
+function validateSampling({ interval, everyKm }) {
+    if (interval !== undefined && everyKm !== undefined) {
+        return new LocalizedError('errors.samplingConflict');
+    }
+    if (interval !== undefined && (!Number.isInteger(interval) || interval < 15 || interval > 360)) {
+        return new LocalizedError('errors.invalidInterval');
+    }
+    if (everyKm !== undefined && (!Number.isInteger(everyKm) || everyKm < 5 || everyKm > 500)) {
+        return new LocalizedError('errors.invalidEveryKm');
+    }
+    return null;
+}
 
 router.post('/forecast', async (req, res) => {
     try {
-        const { origin, destination, stops, date } = req.body;
+        const { origin, destination, stops, date, interval, everyKm, drivingWindow, profile, timeZone, units } = req.body;
 
         // --- VALIDAÇÃO DE INPUT (SEGURANÇA) ---
-        if (typeof origin !== 'string' || origin.length > 200 || origin.trim() === '') {
-            return res.status(400).json({ error: "Origem inválida ou muito longa (máx 200 caracteres)." });
+        const validationError = validateTripInput(req.body) || validateSampling(req.body) || validateDrivingWindow(drivingWindow)
+            || validateProfile(profile) || validateTimeZone(timeZone) || validateUnits(units) || validateCountries(req.body.countries);
+        if (validationError) return res.status(400).json({ error: localizeError(validationError, req.locale) });
+
+        const countries = countryList(req.body.countries);
+        const data = await orchestrator.getRouteForecast(origin, destination, stops || [], date, { interval, everyKm, drivingWindow, profile, timeZone, units, countries, locale: req.locale });
+        res.json(data);
+        notifyForecast({ origin, destination, stops: stops || [], date, interval, everyKm, drivingWindow, profile, timeZone, units, countries }, data);
+    } catch (error) {
+        logger.error("Erro na rota /forecast", { error: error.message });
+        res.status(500).json({ error: localizeError(error, req.locale) });
+    }
+});
+
+/**
+ * Converte a query string do endpoint de streaming no mesmo formato do body de
+ * POST /forecast: `stops` e `drivingWindow` chegam como JSON, os números como texto.
+ */
+function parseStreamQuery(query) {
+    const json = (field) => {
+        if (query[field] === undefined || query[field] === '') return undefined;
+        try {
+            return JSON.parse(query[field]);
+        } catch (e) {
+            throw new LocalizedError('errors.invalidJsonParam', { field });
         }
-        if (typeof destination !== 'string' || destination.length > 200 || destination.trim() === '') {
-            return res.status(400).json({ error: "Destino inválido ou muito longo (máx 200 caracteres)." });
+    };
+    const number = (field) => (query[field] === undefined || query[field] === '' ? undefined : Number(query[field]));
+
+    return {
+        origin: query.origin,
+        destination: query.destination,
+        stops: json('stops'),
+        date: query.date,
+        interval: number('interval'),
+        everyKm: number('everyKm'),
+        drivingWindow: json('drivingWindow'),
+        profile: query.profile || undefined,
+        timeZone: query.timeZone || undefined,
+        units: query.units || undefined,
+        countries: query.countries || undefined
+    };
+}
+
+// Mesma previsão de POST /forecast via Server-Sent Events: 'route' (geometria), 'weather'
+// (clima de todos os checkpoints), 'location' (cada nome de cidade) e 'complete' (resposta final)
+router.get('/forecast/stream', async (req, res) => {
+    let input;
+    try {
+        input = parseStreamQuery(req.query);
+    } catch (error) {
+        return res.status(400).json({ error: localizeError(error, req.locale) });
+    }
+
+    const { origin, destination, stops, date, interval, everyKm, drivingWindow, profile, timeZone, units } = input;
+    const validationError = validateTripInput(input) || validateSampling(input) || validateDrivingWindow(drivingWindow)
+        || validateProfile(profile) || validateTimeZone(timeZone) || validateUnits(units) || validateCountries(input.countries);
+    if (validationError) return res.status(400).json({ error: localizeError(validationError, req.locale) });
+    const countries = countryList(input.countries);
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // Evita buffering em proxies (nginx/Render)
+    });
+    res.flushHeaders();
+
+    let closed = false;
+    res.on('close', () => { closed = true; });
+    const send = (event, data) => {
+        if (!closed) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    try {
+        const data = await orchestrator.getRouteForecast(origin, destination, stops || [], date, {
+            interval, everyKm, drivingWindow, profile, timeZone, units, countries,
+            locale: req.locale,
+            onProgress: send
+        });
+        send('complete', data);
+        notifyForecast({ origin, destination, stops: stops || [], date, interval, everyKm, drivingWindow, profile, timeZone, units, countries }, data);
+    } catch (error) {
+        logger.error("Erro na rota /forecast/stream", { error: error.message });
+        send('error', { error: localizeError(error, req.locale) });
+    }
+    res.end();
+});
+
+// Arquivo enviado como corpo cru (curl --data-binary @trilha.gpx); JSON continua no express.json global
+const trackBodyParser = express.text({
+    type: ['application/gpx+xml', 'application/xml', 'text/xml', 'application/geo+json', 'text/plain'],
+    limit: '5mb'
+});
+
+// Previsão sobre uma trilha pronta (GPX ou GeoJSON LineString), sem geocoding nem roteamento.
+// O arquivo vem como corpo cru (opções na query string, como em /forecast/stream) ou em
+// JSON: { track, date, averageSpeed, interval, everyKm, drivingWindow, profile, timeZone, units }.
+router.post('/forecast/import', trackBodyParser, async (req, res) => {
+    let input;
+    try {
+        input = typeof req.body === 'string'
+            ? { ...parseStreamQuery(req.query), averageSpeed: req.query.averageSpeed, track: req.body }
+            : req.body || {};
+    } catch (error) {
+        return res.status(400).json({ error: localizeError(error, req.locale) });
+    }
+
+    const { track, date, drivingWindow, profile, timeZone, units } = input;
+    const averageSpeed = input.averageSpeed === undefined || input.averageSpeed === '' ? undefined : Number(input.averageSpeed);
+
+    const validationError = validateSampling(input) || validateDrivingWindow(drivingWindow)
+        || validateProfile(profile) || validateTimeZone(timeZone) || validateUnits(units);
+    if (validationError) return res.status(400).json({ error: localizeError(validationError, req.locale) });
+    if (!track || (typeof track !== 'string' && typeof track !== 'object')) {
+        return res.status(400).json({ error: t(req.locale, 'errors.trackMissing') });
+    }
+    if (date && isNaN(Date.parse(date))) {
+        return res.status(400).json({ error: t(req.locale, 'errors.invalidDate') });
+    }
+    if (averageSpeed !== undefined && (!Number.isFinite(averageSpeed) || averageSpeed < 1 || averageSpeed > 300)) {
+        return res.status(400).json({ error: t(req.locale, 'errors.invalidAverageSpeed') });
+    }
+
+    let routeData;
+    try {
+        routeData = trackImporter.toRouteData(trackImporter.parse(track), { averageSpeed });
+    } catch (error) {
+        return res.status(400).json({ error: localizeError(error, req.locale) });
+    }
+
+    try {
+        const data = await orchestrator.getTrackForecast(routeData, date, {
+            interval: input.interval, everyKm: input.everyKm, drivingWindow, profile, timeZone, units, locale: req.locale
+        });
+        res.json(data);
+        notifyForecast({ source: routeData.provider, date, interval: input.interval, everyKm: input.everyKm, drivingWindow, profile, timeZone, units }, data);
+    } catch (error) {
+        logger.error("Erro na rota /forecast/import", { error: error.message });
+        res.status(500).json({ error: localizeError(error, req.locale) });
+    }
+});
+
+/**
+ * Exportação comum a GET (query como em /forecast/stream) e POST (body como em /forecast).
+ * `format` é gpx, kml ou geojson; `route` escolhe a rota (0 = principal, 1+ = alternativas).
+ */
+async function sendExport(input, req, res) {
+    const { origin, destination, stops, date, interval, everyKm, drivingWindow, profile, timeZone, units } = input;
+    const format = String(input.format || '').toLowerCase();
+    const routeIndex = input.route === undefined ? 0 : Number(input.route);
+
+    const validationError = validateTripInput(input) || validateSampling(input) || validateDrivingWindow(drivingWindow)
+        || validateProfile(profile) || validateTimeZone(timeZone) || validateUnits(units) || validateCountries(input.countries);
+    if (validationError) return res.status(400).json({ error: localizeError(validationError, req.locale) });
+    if (!RouteExportService.FORMATS.includes(format)) {
+        return res.status(400).json({ error: t(req.locale, 'errors.invalidExportFormat', { formats: RouteExportService.FORMATS.join(', ') }) });
+    }
+    if (!Number.isInteger(routeIndex) || routeIndex < 0) {
+        return res.status(400).json({ error: t(req.locale, 'errors.invalidRouteIndex') });
+    }
+
+    const data = await orchestrator.getRouteForecast(origin, destination, stops || [], date, {
+        interval, everyKm, drivingWindow, profile, timeZone, units, countries: countryList(input.countries), locale: req.locale
+    });
+    const route = [data, ...(data.alternatives || [])][routeIndex];
+    if (!route) return res.status(400).json({ error: t(req.locale, 'errors.routeIndexOutOfRange', { index: routeIndex, count: 1 + (data.alternatives || []).length }) });
+
+    const name = `${origin} → ${destination}`;
+    const { content, contentType, extension } = exporter.export(route, format, { name, locale: req.locale });
+    const slug = `${origin}-${destination}`.normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 80);
+
+    res.set('Content-Type', `${contentType}; charset=utf-8`);
+    res.attachment(`rota-${slug || 'previsao'}.${extension}`);
+    res.send(content);
+}
+
+router.get('/forecast/export', async (req, res) => {
+    let input;
+    try {
+        input = parseStreamQuery(req.query);
+    } catch (error) {
+        return res.status(400).json({ error: localizeError(error, req.locale) });
+    }
+
+    try {
+        await sendExport({ ...input, format: req.query.format, route: req.query.route }, req, res);
+    } catch (error) {
+        logger.error("Erro na rota /forecast/export", { error: error.message });
+        res.status(500).json({ error: localizeError(error, req.locale) });
+    }
+});
+
+router.post('/forecast/export', async (req, res) => {
+    try {
+        await sendExport({ ...req.body, format: req.query.format || req.body.format, route: req.query.route ?? req.body.route }, req, res);
+    } catch (error) {
+        logger.error("Erro na rota /forecast/export", { error: error.message });
+        res.status(500).json({ error: localizeError(error, req.locale) });
+    }
+});
+
+router.post('/forecast/departure-options', async (req, res) => {
+    try {
+        const { origin, destination, stops, date, interval, everyKm, drivingWindow, profile, timeZone, windowHours = 48, stepMinutes = 60 } = req.body;
+
+        const validationError = validateTripInput(req.body) || validateSampling(req.body)
+            || validateDrivingWindow(drivingWindow) || validateProfile(profile) || validateTimeZone(timeZone) || validateCountries(req.body.countries);
+        if (validationError) return res.status(400).json({ error: localizeError(validationError, req.locale) });
+
+        if (!Number.isInteger(windowHours) || windowHours < 1 || windowHours > 72) {
+            return res.status(400).json({ error: t(req.locale, 'errors.invalidDepartureWindow') });
         }
+        if (!Number.isInteger(stepMinutes) || stepMinutes < 30 || stepMinutes > 360) {
+            return res.status(400).json({ error: t(req.locale, 'errors.invalidDepartureStep') });
+        }
+
+        const data = await orchestrator.getDepartureOptions(origin, destination, stops || [], {
+            dateString: date,
+            windowHours,
+            stepMinutes,
+            interval,
+            everyKm,
+            drivingWindow,
+            profile,
+            timeZone,
+            countries: countryList(req.body.countries),
+            locale: req.locale
+        });
+        res.json(data);
+    } catch (error) {
+        logger.error("Erro na rota /forecast/departure-options", { error: error.message });
+        res.status(500).json({ error: localizeError(error, req.locale) });
+    }
+});
+
+// --- VIAGENS COMPARTILHADAS ---
+
+// Só os parâmetros de busca conhecidos são salvos; sem data, fica registrada a partida usada.
+// A data é gravada em UTC (sem depender do fuso de quem abrir o link); o fuso continua
+// valendo para a janela de direção. O idioma e as unidades de quem salvou valem para as notificações.
+function tripParams({ origin, destination, stops, date, interval, everyKm, drivingWindow, profile, timeZone, units, countries }, locale) {
+    return {
+        origin,
+        destination,
+        stops: stops || [],
+        date: (date ? TimeZone.parse(date, timeZone || TimeZone.DEFAULT) : new Date()).toISOString(),
+        interval,
+        everyKm,
+        drivingWindow,
+        profile,
+        timeZone,
+        units,
+        countries: countryList(countries),
+        locale
+    };
+}
+
+function forecastTrip(params) {
+    const { origin, destination, stops, date, interval, everyKm, drivingWindow, profile, timeZone, units, countries, locale } = params;
+    return orchestrator.getRouteForecast(origin, destination, stops, date, { interval, everyKm, drivingWindow, profile, timeZone, units, countries, locale });
+}
 
-        if (stops) {
-            if (!Array.isArray(stops) || stops.length > 10) {
-                return res.status(400).json({ error: "As paradas devem ser um array com no máximo 10 itens." });
-            }
-            if (stops.some(s => typeof s !== 'string' || s.length > 200)) {
-                return res.status(400).json({ error: "Uma ou mais paradas são inválidas ou muito longas (máx 200 caracteres per item)." });
-            }
+// Job de acompanhamento: recalcula as viagens com inscrições e notifica quando a previsão piora.
+// TRIP_WATCH_INTERVAL_MS=0 desliga o job; o server.js o inicia junto com o servidor.
+const TRIP_WATCH_INTERVAL = process.env.TRIP_WATCH_INTERVAL_MS !== undefined ? Number(process.env.TRIP_WATCH_INTERVAL_MS) : 3 * 3600 * 1000;
+const tripWatch = new TripWatchService(tripRepo, forecastTrip, notifications, {
+    intervalMs: TRIP_WATCH_INTERVAL,
+    publicBaseUrl: process.env.PUBLIC_BASE_URL || '',
+    webhooks
+});
+
+const MAX_WATCHES_PER_TRIP = 10;
+
+// Salva uma viagem com os mesmos parâmetros de POST /forecast. A previsão é calculada aqui
+// (com os caches de rota e clima, costuma ser imediata) em vez de confiar no snapshot do cliente.
+router.post('/trips', async (req, res) => {
+    try {
+        const { drivingWindow, profile, timeZone, units } = req.body;
+        const validationError = validateTripInput(req.body) || validateSampling(req.body) || validateDrivingWindow(drivingWindow)
+            || validateProfile(profile) || validateTimeZone(timeZone) || validateUnits(units) || validateCountries(req.body.countries);
+        if (validationError) return res.status(400).json({ error: localizeError(validationError, req.locale) });
+
+        const params = tripParams(req.body, req.locale);
+        const trip = await tripRepo.create(params, await forecastTrip(params));
+        res.status(201).json(trip);
+    } catch (error) {
+        logger.error("Erro na rota /trips", { error: error.message });
+        res.status(500).json({ error: localizeError(error, req.locale) });
+    }
+});
+
+// Viagem salva; `refresh=true` recalcula a previsão com os mesmos parâmetros (no idioma e,
+// se informadas, nas `units` de quem pediu) e devolve em `result`, com `refreshedAt`. O
+// snapshot salvo não muda: quem abre o link não troca o idioma e as unidades da viagem.
+router.get('/trips/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!TripRepository.isValidId(id)) return res.status(404).json({ error: t(req.locale, 'errors.tripNotFound') });
+
+        const unitsError = validateUnits(req.query.units);
+        if (unitsError) return res.status(400).json({ error: localizeError(unitsError, req.locale) });
+
+        const trip = await tripRepo.get(id);
+        if (!trip) return res.status(404).json({ error: t(req.locale, 'errors.tripNotFound') });
+
+        if (req.query.refresh === 'true') {
+            const units = req.query.units || trip.params.units;
+            const result = await forecastTrip({ ...trip.params, units, locale: req.locale });
+            return res.json({ ...trip, result, refreshedAt: new Date().toISOString() });
         }
+        res.json(trip);
+    } catch (error) {
+        logger.error("Erro na rota /trips/:id", { error: error.message });
+        res.status(500).json({ error: localizeError(error, req.locale) });
+    }
+});
 
-        if (date && isNaN(Date.parse(date))) {
-            return res.status(400).json({ error: "Data fornecida é inválida." });
+// Acompanha a viagem: { channel: "webhook", target: "https://..." } ou { channel: "email", target: "a@b.com" }.
+// Exige chave de API; só a mesma chave cancela a inscrição. No canal webhook, a URL tem que
+// ser pública e as notificações vão assinadas por um webhook da inscrição, cujo `secret`
+// só aparece nesta resposta.
+router.post('/trips/:id/watch', async (req, res) => {
+    try {
+        if (!req.apiKey) return res.status(401).json({ error: t(req.locale, 'errors.apiKeyRequired') });
+
+        const { id } = req.params;
+        const { channel, target } = req.body;
+        if (!TripRepository.isValidId(id) || !(await tripRepo.get(id))) {
+            return res.status(404).json({ error: t(req.locale, 'errors.tripNotFound') });
+        }
+        if (!notifications.names.includes(channel)) {
+            return res.status(400).json({ error: t(req.locale, 'errors.invalidChannel', { channels: notifications.names.join(', ') }) });
+        }
+        if (typeof target !== 'string' || target.length > 500 || !(await notifications.isValidTarget(channel, target))) {
+            return res.status(400).json({ error: t(req.locale, channel === 'email' ? 'errors.invalidEmail' : 'errors.invalidWebhookTarget') });
+        }
+        if (await tripRepo.countWatches(id) >= MAX_WATCHES_PER_TRIP) {
+            return res.status(400).json({ error: t(req.locale, 'errors.watchLimit', { max: MAX_WATCHES_PER_TRIP }) });
         }
 
-        const data = await orchestrator.getRouteForecast(origin, destination, stops || [], date);
-        res.json(data);
+        if (channel !== 'webhook') {
+            return res.status(201).json(await tripRepo.addWatch(id, channel, target, req.apiKey.id));
+        }
+        const hook = await webhookRepo.create({
+            id: TripRepository.generateId(),
+            url: target,
+            secret: WebhookService.generateSecret(),
+            events: ['trip.forecast_changed'],
+            tripId: id
+        });
+        const watch = await tripRepo.addWatch(id, channel, hook.id, req.apiKey.id);
+        logger.info("Webhook de viagem cadastrado", { tripId: id, watchId: watch.id, url: target });
+        res.status(201).json({ ...watch, target, secret: hook.secret });
     } catch (error) {
-        logger.error("Erro na rota /forecast", { error: error.message });
-        res.status(500).json({ error: error.message });
+        logger.error("Erro na rota /trips/:id/watch", { error: error.message });
+        res.status(500).json({ error: localizeError(error, req.locale) });
     }
 });
 
+router.delete('/trips/:id/watch/:watchId', async (req, res) => {
+    try {
+        if (!req.apiKey) return res.status(401).json({ error: t(req.locale, 'errors.apiKeyRequired') });
+
+        const removed = await tripRepo.removeWatch(req.params.id, req.params.watchId, req.apiKey.id);
+        if (!removed) return res.status(404).json({ error: t(req.locale, 'errors.watchNotFound') });
+        if (removed.channel === 'webhook') await webhookRepo.remove(removed.target);
+        res.status(204).end();
+    } catch (error) {
+        logger.error("Erro na rota /trips/:id/watch/:watchId", { error: error.message });
+        res.status(500).json({ error: localizeError(error, req.locale) });
+    }
+});
+
+// Autocomplete; `countries` restringe a busca como em /forecast
 router.get('/search', async (req, res) => {
     try {
-        const { q } = req.query;
+        const { q, countries } = req.query;
+        const validationError = validateCountries(countries);
+        if (validationError) return res.status(400).json({ error: localizeError(validationError, req.locale) });
         if (!q) return res.json([]);
-        const data = await orchestrator.searchAddress(q);
+        const data = await orchestrator.searchAddress(q, { countries: countryList(countries) });
         res.json(data);
     } catch (error) {
         logger.error("Erro na rota /search", { error: error.message });
-        res.status(500).json({ error: error.message });
+        res.status(500).json({ error: localizeError(error, req.locale) });
+    }
+});
+
+// Estado dos circuit breakers de cada provedor externo, na ordem em que serão tentados
+router.get('/health/providers', (req, res) => {
+    try {
+        res.json({
+            checkedAt: new Date().toISOString(),
+            routing: routing.registry.health(),
+            geocoding: geocoding.registry.health(),
+            weather: weather.registry.health()
+        });
+    } catch (error) {
+        logger.error("Erro na rota /health/providers", { error: error.message });
+        res.status(500).json({ error: localizeError(error, req.locale) });
+    }
+});
+
+// Métricas dos caches persistentes (entradas válidas, hits e misses desde o último restart)
+router.get('/health/cache', async (req, res) => {
+    try {
+        res.json({ geocoding: await geocodingCache.stats() });
+    } catch (error) {
+        logger.error("Erro na rota /health/cache", { error: error.message });
+        res.status(500).json({ error: localizeError(error, req.locale) });
+    }
+});
+
+// --- ADMINISTRAÇÃO DO CACHE ---
+
+/**
+ * Exige `Authorization: Bearer <ADMIN_TOKEN>`. Sem ADMIN_TOKEN no ambiente as rotas
+ * administrativas ficam desabilitadas.
+ */
+function requireAdminToken(req, res, next) {
+    const expected = process.env.ADMIN_TOKEN;
+    if (!expected) {
+        return res.status(503).json({ error: t(req.locale, 'errors.adminDisabled') });
+    }
+
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+    // Compara os hashes para ter tamanho fixo e tempo constante
+    const digest = (value) => crypto.createHash('sha256').update(value || '').digest();
+    if (scheme !== 'Bearer' || !crypto.timingSafeEqual(digest(token), digest(expected))) {
+        logger.warn("Acesso administrativo negado", { ip: req.ip, path: req.originalUrl });
+        return res.status(401).json({ error: t(req.locale, 'errors.adminTokenInvalid') });
+    }
+    next();
+}
+
+/**
+ * `olderThan` aceita uma idade ("30m", "12h", "7d") ou uma data ISO.
+ * Retorna o timestamp de corte em ms, null se ausente, ou NaN se inválido.
+ */
+function parseOlderThan(value) {
+    if (value === undefined || value === '') return null;
+
+    const age = String(value).match(/^(\d+)(m|h|d)$/);
+    if (age) {
+        const unit = { m: 60000, h: 3600000, d: 86400000 }[age[2]];
+        return Date.now() - Number(age[1]) * unit;
+    }
+    return Date.parse(value);
+}
+
+const ADMIN_CACHES = ['routes', 'weather', 'geocoding'];
+
+router.get('/admin/cache/stats', requireAdminToken, async (req, res) => {
+    try {
+        const { databaseSizeBytes, routes, weather } = await cacheRepo.stats();
+        res.json({
+            checkedAt: new Date().toISOString(),
+            databaseSizeBytes,
+            routes,
+            weather,
+            geocoding: await geocodingCache.stats()
+        });
+    } catch (error) {
+        logger.error("Erro na rota /admin/cache/stats", { error: error.message });
+        res.status(500).json({ error: localizeError(error, req.locale) });
+    }
+});
+
+// Remove entradas do cache: `olderThan`, `routeKey` (só rotas) e/ou `cache` (lista separada por
+// vírgula); `all=true` é exigido para apagar tudo sem nenhum filtro
+router.delete('/admin/cache', requireAdminToken, async (req, res) => {
+    try {
+        const { routeKey, all } = req.query;
+        const olderThan = parseOlderThan(req.query.olderThan);
+        if (Number.isNaN(olderThan)) {
+            return res.status(400).json({ error: t(req.locale, 'errors.invalidOlderThan') });
+        }
+
+        const caches = req.query.cache ? String(req.query.cache).split(',').map(c => c.trim()) : ADMIN_CACHES;
+        const unknown = caches.filter(c => !ADMIN_CACHES.includes(c));
+        if (unknown.length > 0) {
+            return res.status(400).json({ error: t(req.locale, 'errors.unknownCache', { caches: unknown.join(', '), allowed: ADMIN_CACHES.join(', ') }) });
+        }
+        if (olderThan === null && !routeKey && all !== 'true') {
+            return res.status(400).json({ error: t(req.locale, 'errors.purgeScopeRequired') });
+        }
+
+        const deleted = await cacheRepo.purge({
+            olderThan,
+            routeKey: routeKey || null,
+            caches: caches.filter(c => c !== 'geocoding')
+        });
+        if (caches.includes('geocoding') && !routeKey) {
+            deleted.geocoding = await geocodingCache.purge({ olderThan });
+        }
+
+        logger.info("Cache administrado via API", { ip: req.ip, deleted });
+        res.json({ deleted });
+    } catch (error) {
+        logger.error("Erro na rota /admin/cache", { error: error.message });
+        res.status(500).json({ error: localizeError(error, req.locale) });
+    }
+});
+
+// Roda o acompanhamento de viagens agora, sem esperar o próximo ciclo do job
+router.post('/admin/trips/watch/run', requireAdminToken, async (req, res) => {
+    try {
+        res.json(await tripWatch.checkAll());
+    } catch (error) {
+        logger.error("Erro na rota /admin/trips/watch/run", { error: error.message });
+        res.status(500).json({ error: localizeError(error, req.locale) });
+    }
+});
+
+// --- WEBHOOKS ---
+
+// Cadastra um webhook: { url, events, secret? }. Sem `secret`, um é gerado; ele só
+// aparece nesta resposta e assina (HMAC-SHA256) cada entrega.
+router.post('/admin/webhooks', requireAdminToken, async (req, res) => {
+    try {
+        const { url, events, secret } = req.body || {};
+        if (typeof url !== 'string' || url.length > 500 || !/^https?:\/\/[^\s]+$/i.test(url)) {
+            return res.status(400).json({ error: t(req.locale, 'errors.invalidWebhookUrl') });
+        }
+        if (!Array.isArray(events) || events.length === 0 || events.some(e => !WebhookService.EVENTS.includes(e))) {
+            return res.status(400).json({ error: t(req.locale, 'errors.invalidWebhookEvents', { events: WebhookService.EVENTS.join(', ') }) });
+        }
+        if (secret !== undefined && (typeof secret !== 'string' || secret.length < 16 || secret.length > 200)) {
+            return res.status(400).json({ error: t(req.locale, 'errors.invalidWebhookSecret') });
+        }
+
+        const hook = await webhookRepo.create({
+            id: TripRepository.generateId(),
+            url,
+            secret: secret || WebhookService.generateSecret(),
+            events: [...new Set(events)]
+        });
+        logger.info("Webhook cadastrado", { id: hook.id, url, events: hook.events });
+        res.status(201).json(hook);
+    } catch (error) {
+        logger.error("Erro na rota /admin/webhooks", { error: error.message });
+        res.status(500).json({ error: localizeError(error, req.locale) });
+    }
+});
+
+router.get('/admin/webhooks', requireAdminToken, async (req, res) => {
+    try {
+        const hooks = await webhookRepo.list();
+        res.json(hooks.map(({ secret, ...hook }) => hook));
+    } catch (error) {
+        logger.error("Erro na rota /admin/webhooks", { error: error.message });
+        res.status(500).json({ error: localizeError(error, req.locale) });
+    }
+});
+
+router.delete('/admin/webhooks/:id', requireAdminToken, async (req, res) => {
+    try {
+        if (!(await webhookRepo.remove(req.params.id))) {
+            return res.status(404).json({ error: t(req.locale, 'errors.webhookNotFound') });
+        }
+        logger.info("Webhook removido", { id: req.params.id });
+        res.status(204).end();
+    } catch (error) {
+        logger.error("Erro na rota /admin/webhooks/:id", { error: error.message });
+        res.status(500).json({ error: localizeError(error, req.locale) });
+    }
+});
+
+// Log das últimas 50 entregas do webhook (status, tentativas, resposta e próximo reenvio)
+router.get('/admin/webhooks/:id/deliveries', requireAdminToken, async (req, res) => {
+    try {
+        res.json(await webhookRepo.deliveries(req.params.id));
+    } catch (error) {
+        logger.error("Erro na rota /admin/webhooks/:id/deliveries", { error: error.message });
+        res.status(500).json({ error: localizeError(error, req.locale) });
+    }
+});
+
+// --- ADMINISTRAÇÃO DAS CHAVES DE API ---
+
+// Emite uma chave: { name, rateLimit?, dailyQuota? }. A chave só aparece nesta resposta.
+router.post('/admin/api-keys', requireAdminToken, async (req, res) => {
+    try {
+        const { name, rateLimit: limit, dailyQuota } = req.body || {};
+        if (typeof name !== 'string' || name.trim() === '' || name.length > 100) {
+            return res.status(400).json({ error: t(req.locale, 'errors.invalidKeyName') });
+        }
+        if (limit !== undefined && (!Number.isInteger(limit) || limit < 1 || limit > 100000)) {
+            return res.status(400).json({ error: t(req.locale, 'errors.invalidKeyRateLimit') });
+        }
+        if (dailyQuota !== undefined && (!Number.isInteger(dailyQuota) || dailyQuota < 1 || dailyQuota > 10000000)) {
+            return res.status(400).json({ error: t(req.locale, 'errors.invalidKeyDailyQuota') });
+        }
+
+        const issued = await apiKeys.issue({ id: TripRepository.generateId(), name: name.trim(), rateLimit: limit, dailyQuota });
+        res.status(201).json(issued);
+    } catch (error) {
+        logger.error("Erro na rota /admin/api-keys", { error: error.message });
+        res.status(500).json({ error: localizeError(error, req.locale) });
+    }
+});
+
+// Chaves emitidas (sem a chave em si), com uso total e do dia
+router.get('/admin/api-keys', requireAdminToken, async (req, res) => {
+    try {
+        res.json(await apiKeyRepo.list(ApiKeyService.day(Date.now())));
+    } catch (error) {
+        logger.error("Erro na rota /admin/api-keys", { error: error.message });
+        res.status(500).json({ error: localizeError(error, req.locale) });
+    }
+});
+
+// Uso diário da chave nos últimos 30 dias com requisições
+router.get('/admin/api-keys/:id/usage', requireAdminToken, async (req, res) => {
+    try {
+        res.json(await apiKeyRepo.usage(req.params.id));
+    } catch (error) {
+        logger.error("Erro na rota /admin/api-keys/:id/usage", { error: error.message });
+        res.status(500).json({ error: localizeError(error, req.locale) });
+    }
+});
+
+router.delete('/admin/api-keys/:id', requireAdminToken, async (req, res) => {
+    try {
+        if (!(await apiKeyRepo.revoke(req.params.id))) {
+            return res.status(404).json({ error: t(req.locale, 'errors.apiKeyNotFound') });
+        }
+        logger.info("Chave de API revogada", { id: req.params.id });
+        res.status(204).end();
+    } catch (error) {
+        logger.error("Erro na rota /admin/api-keys/:id", { error: error.message });
+        res.status(500).json({ error: localizeError(error, req.locale) });
     }
 });
 
@@ -73,8 +913,11 @@ router.get('/version', (req, res) => {
         });
     } catch (error) {
         logger.error("Erro na rota /version", { error: error.message });
-        res.status(500).json({ error: "Erro ao ler versão" });
+        res.status(500).json({ error: t(req.locale, 'errors.versionUnavailable') });
     }
 });
 
 module.exports = router;
+// Jobs em segundo plano: o server.js inicia quando o servidor começa a escutar e para quando ele fecha
+module.exports.webhooks = webhooks;
+module.exports.tripWatch = tripWatch;
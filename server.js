@@ -4,8 +4,6 @@ const helmet = require('helmet');
 const fs = require('fs');
 const path = require('path');
 
-const rateLimit = require('express-rate-limit');
-
 // --- 1. CONFIGURAÇÃO DE VARIÁVEIS DE AMBIENTE ---
 // Tenta carregar do caminho de segredos do Render (Produção)
 if (fs.existsSync('/etc/secrets/.env')) {
@@ -17,18 +15,20 @@ if (fs.existsSync('/etc/secrets/.env')) {
     console.log("💻 Carregando variáveis locais");
 }
 
-const app = express();
+// Valida endereços, timeouts e ordem de fallback dos provedores antes de subir o servidor
+const { getProvidersConfig } = require('./config/providers');
+try {
+    const providers = getProvidersConfig();
+    console.log(`🧭 Provedores de rota: ${providers.order.routing.join(' → ')} | geocodificação: ${providers.order.geocoding.join(' → ')}`);
+} catch (e) {
+    console.error(`❌ ${e.message}`);
+    process.exit(1);
+}
 
-// --- 2. SEGURANÇA GLOBAL (Rate Limit) ---
-const globalLimiter = rateLimit({
-    windowMs: 15 * 60 * 1000, // 15 minutos
-    max: 100, // Limite de 100 requisições por IP globalmente
-    message: { error: "Muitas requisições vindas deste IP. Tente novamente mais tarde." },
-    standardHeaders: true,
-    legacyHeaders: false,
-});
-app.use(globalLimiter);
+const app = express();
 
+// --- 2. SEGURANÇA GLOBAL ---
+// Autenticação por chave de API e limites de requisições ficam em routes/api.js
 app.use(helmet({
     contentSecurityPolicy: false, // Desabilitado para não bloquear o Leaflet/Mapbox Tiles
     crossOriginEmbedderPolicy: false
@@ -77,10 +77,29 @@ app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'index.html'));
 });
 
+// Link de viagem compartilhada: mesma página, que carrega a viagem pelo id da URL.
+// O <base> mantém os caminhos relativos (assets/...) apontando para a raiz.
+app.get('/t/:id', (req, res) => {
+    fs.readFile(path.join(__dirname, 'index.html'), 'utf8', (err, html) => {
+        if (err) return res.status(500).send('Erro ao carregar a página.');
+        res.setHeader('Cache-Control', 'no-cache');
+        res.type('html').send(html.replace('<head>', '<head>\n    <base href="/">'));
+    });
+});
+
 // --- 2. ROTAS DA API ---
 const apiRoutes = require('./routes/api');
 app.use('/api', apiRoutes);
 
 const PORT = process.env.PORT || 3000;
 
-app.listen(PORT, () => console.log(`🚀 Backend rodando na porta ${PORT}`));
+const server = app.listen(PORT, () => {
+    console.log(`🚀 Backend rodando na porta ${PORT}`);
+    // Reenvio de webhooks pendentes e acompanhamento de viagens
+    apiRoutes.webhooks.start();
+    apiRoutes.tripWatch.start();
+});
+server.on('close', () => {
+    apiRoutes.webhooks.stop();
+    apiRoutes.tripWatch.stop();
+});
@@ -0,0 +1,96 @@
+const db = require('../config/database');
+
+const run = (sql, params = []) => new Promise((resolve, reject) => {
+    db.run(sql, params, function (err) {
+        if (err) return reject(err);
+        resolve({ changes: this.changes });
+    });
+});
+
+const get = (sql, params = []) => new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+});
+
+const all = (sql, params = []) => new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+});
+
+const toIso = (ms) => (ms ? new Date(ms).toISOString() : null);
+
+const toKey = (row) => ({
+    id: row.id,
+    name: row.name,
+    prefix: row.prefix,
+    rateLimit: row.rate_limit,
+    dailyQuota: row.daily_quota,
+    totalRequests: row.total_requests,
+    createdAt: toIso(row.created_at),
+    lastUsedAt: toIso(row.last_used_at),
+    revokedAt: toIso(row.revoked_at)
+});
+
+/**
+ * Chaves de API (tabela api_keys) e contagem de uso por dia (api_key_usage).
+ * A chave em si nunca é gravada: buscas são feitas pelo hash.
+ */
+class ApiKeyRepository {
+    async create({ id, name, keyHash, prefix, rateLimit, dailyQuota }) {
+        const createdAt = Date.now();
+        await run(
+            `INSERT INTO api_keys (id, name, key_hash, prefix, rate_limit, daily_quota, total_requests, created_at)
+            VALUES (?, ?, ?, ?, ?, ?, 0, ?)`,
+            [id, name, keyHash, prefix, rateLimit, dailyQuota, createdAt]
+        );
+        return toKey({ id, name, prefix, rate_limit: rateLimit, daily_quota: dailyQuota, total_requests: 0, created_at: createdAt });
+    }
+
+    async findByHash(keyHash) {
+        const row = await get(`SELECT * FROM api_keys WHERE key_hash = ?`, [keyHash]);
+        return row ? toKey(row) : null;
+    }
+
+    /**
+     * Todas as chaves, com o uso do dia informado em `requestsToday`.
+     */
+    async list(day) {
+        const rows = await all(
+            `SELECT k.*, COALESCE(u.requests, 0) AS requests_today
+            FROM api_keys k LEFT JOIN api_key_usage u ON u.key_id = k.id AND u.day = ?
+            ORDER BY k.created_at`,
+            [day]
+        );
+        return rows.map(row => ({ ...toKey(row), requestsToday: row.requests_today }));
+    }
+
+    /**
+     * Marca a chave como revogada; retorna false se ela não existir ou já estiver revogada.
+     */
+    async revoke(id) {
+        const { changes } = await run(`UPDATE api_keys SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL`, [Date.now(), id]);
+        return changes > 0;
+    }
+
+    /**
+     * Conta uma requisição da chave no dia e retorna o total do dia já com ela.
+     */
+    async incrementUsage(id, day) {
+        const row = await get(
+            `INSERT INTO api_key_usage (key_id, day, requests) VALUES (?, ?, 1)
+            ON CONFLICT (key_id, day) DO UPDATE SET requests = requests + 1
+            RETURNING requests`,
+            [id, day]
+        );
+        await run(`UPDATE api_keys SET total_requests = total_requests + 1, last_used_at = ? WHERE id = ?`, [Date.now(), id]);
+        return row.requests;
+    }
+
+    /**
+     * Uso diário da chave, do dia mais recente para o mais antigo.
+     */
+    async usage(id, days = 30) {
+        const rows = await all(`SELECT day, requests FROM api_key_usage WHERE key_id = ? ORDER BY day DESC LIMIT ?`, [id, days]);
+        return rows.map(row => ({ day: row.day, requests: row.requests }));
+    }
+}
+
+module.exports = ApiKeyRepository;
@@ -0,0 +1,76 @@
+const crypto = require('crypto');
+const logger = require('../config/logger');
+
+const KEY_PREFIX = 'wr_';
+const DEFAULT_RATE_LIMIT = 300; // requisições por janela de 15 min
+const DEFAULT_DAILY_QUOTA = 5000; // requisições por dia (UTC)
+
+/**
+ * Emissão e validação de chaves de API. A chave só é conhecida por quem a recebe na
+ * emissão: o banco guarda o SHA-256 dela (chaves aleatórias longas dispensam salt)
+ * e um prefixo curto para identificá-la nas listagens.
+ */
+class ApiKeyService {
+    constructor(repo, { now = () => Date.now() } = {}) {
+        this.repo = repo;
+        this.now = now;
+    }
+
+    static generateKey() {
+        return KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+    }
+
+    static hash(key) {
+        return crypto.createHash('sha256').update(key).digest('hex');
+    }
+
+    // Dia (UTC) em que a cota é contada, no formato YYYY-MM-DD
+    static day(timestamp) {
+        return new Date(timestamp).toISOString().slice(0, 10);
+    }
+
+    /**
+     * Cria uma chave e retorna o registro com a chave em claro em `key` (única vez em que ela aparece).
+     */
+    async issue({ id, name, rateLimit = DEFAULT_RATE_LIMIT, dailyQuota = DEFAULT_DAILY_QUOTA }) {
+        const key = ApiKeyService.generateKey();
+        const record = await this.repo.create({
+            id,
+            name,
+            keyHash: ApiKeyService.hash(key),
+            prefix: key.slice(0, KEY_PREFIX.length + 5),
+            rateLimit,
+            dailyQuota
+        });
+        logger.info("Chave de API emitida", { id, name, rateLimit, dailyQuota });
+        return { ...record, key };
+    }
+
+    /**
+     * Registro da chave, ou null se ela não existir ou tiver sido revogada.
+     */
+    async authenticate(key) {
+        if (typeof key !== 'string' || !key.startsWith(KEY_PREFIX)) return null;
+        const record = await this.repo.findByHash(ApiKeyService.hash(key));
+        return record && !record.revokedAt ? record : null;
+    }
+
+    /**
+     * Conta uma requisição na cota diária da chave. A requisição que passa do limite
+     * também é contada, então `used` mostra a demanda real do dia.
+     */
+    async consume(record) {
+        const used = await this.repo.incrementUsage(record.id, ApiKeyService.day(this.now()));
+        return {
+            allowed: used <= record.dailyQuota,
+            used,
+            limit: record.dailyQuota,
+            remaining: Math.max(0, record.dailyQuota - used)
+        };
+    }
+}
+
+ApiKeyService.DEFAULT_RATE_LIMIT = DEFAULT_RATE_LIMIT;
+ApiKeyService.DEFAULT_DAILY_QUOTA = DEFAULT_DAILY_QUOTA;
+
+module.exports = ApiKeyService;
@@ -1,44 +1,210 @@
 const db = require('../config/database');
 const logger = require('../config/logger');
+const { ROUTE_CACHE_TTL, WEATHER_CACHE_TTL } = require('../config/cache');
 
+const WEATHER_LOOKUP_CHUNK = 500; // Abaixo do limite de parâmetros por consulta do SQLite
+
+const TABLES = {
+    routes: { table: 'route_geometry_cache', key: 'route_key' },
+    weather: { table: 'weather_cache', key: 'cache_key' }
+};
+
+/**
+ * Cache de rotas e de clima em tabelas separadas, cada uma com seu TTL: a geometria
+ * (route_geometry_cache) vale dias, o clima (weather_cache) é guardado por ponto
+ * arredondado e hora UTC e expira rápido. O orquestrador recombina os dois.
+ * Mantém contadores de hit/miss desde o início do processo.
+ */
 class CacheRepository {
     constructor() {
-        this.CACHE_TTL = 24 * 3600 * 1000; // 24 horas de TTL
+        this.ROUTE_TTL = ROUTE_CACHE_TTL;
+        this.WEATHER_TTL = WEATHER_CACHE_TTL;
+        this.counters = { routes: { hits: 0, misses: 0 }, weather: { hits: 0, misses: 0 } };
     }
 
-    checkCache(routeKey, dateKey) {
+    /**
+     * Chave do clima de um ponto: lat/lng com 2 casas (~1 km) e a hora UTC mais próxima,
+     * a mesma que o WeatherService usa para o ponto.
+     */
+    static weatherKey({ lat, lng, date }) {
+        const hour = new Date(Math.round(date.getTime() / 3600000) * 3600000);
+        return `${Number(lat).toFixed(2)},${Number(lng).toFixed(2)}|${hour.toISOString().slice(0, 13)}`;
+    }
+
+    getRoute(routeKey) {
         return new Promise((resolve) => {
             db.get(
-                `SELECT data FROM route_cache WHERE origin_text = ? AND trip_date = ? AND created_at > ?`,
-                [routeKey, dateKey, Date.now() - this.CACHE_TTL],
+                `SELECT data FROM route_geometry_cache WHERE route_key = ? AND created_at > ?`,
+                [routeKey, Date.now() - this.ROUTE_TTL],
                 (err, row) => {
                     if (!err && row) {
                         try {
-                            logger.debug("Cache validado", { routeKey, dateKey });
-                            return resolve(JSON.parse(row.data));
+                            const data = JSON.parse(row.data);
+                            logger.debug("Cache de rota validado", { routeKey });
+                            this.counters.routes.hits++;
+                            return resolve(data);
                         } catch (e) {
-                            logger.error("Erro ao parsear JSON do cache", { error: e.message, routeKey });
+                            logger.error("Erro ao parsear JSON do cache de rota", { error: e.message, routeKey });
                         }
                     }
+                    this.counters.routes.misses++;
                     resolve(null);
                 }
             );
         });
     }
 
-    saveToCache(routeKey, dateKey, data) {
+    saveRoute(routeKey, routeData) {
         db.run(
-            `INSERT INTO route_cache (origin_text, trip_date, data, created_at) VALUES (?, ?, ?, ?)`,
-            [routeKey, dateKey, JSON.stringify(data), Date.now()],
+            `INSERT OR REPLACE INTO route_geometry_cache (route_key, data, created_at) VALUES (?, ?, ?)`,
+            [routeKey, JSON.stringify(routeData), Date.now()],
             (err) => {
                 if (err) {
-                    logger.error("Erro ao salvar no cache", { error: err.message, routeKey });
+                    logger.error("Erro ao salvar rota no cache", { error: err.message, routeKey });
                 } else {
                     logger.debug("Rota salva no cache", { routeKey });
                 }
             }
         );
     }
+
+    /**
+     * Clima em cache para cada ponto { lat, lng, date }, na mesma ordem; null onde não há.
+     */
+    async getWeather(points) {
+        const keys = points.map(p => CacheRepository.weatherKey(p));
+        const found = new Map();
+
+        const unique = [...new Set(keys)];
+        for (let i = 0; i < unique.length; i += WEATHER_LOOKUP_CHUNK) {
+            const chunk = unique.slice(i, i + WEATHER_LOOKUP_CHUNK);
+            const rows = await new Promise((resolve) => {
+                db.all(
+                    `SELECT cache_key, data FROM weather_cache WHERE cache_key IN (${chunk.map(() => '?').join(',')}) AND created_at > ?`,
+                    [...chunk, Date.now() - this.WEATHER_TTL],
+                    (err, result) => {
+                        if (err) logger.error("Erro ao consultar o cache de clima", { error: err.message });
+                        resolve(result || []);
+                    }
+                );
+            });
+
+            for (const row of rows) {
+                try {
+                    found.set(row.cache_key, JSON.parse(row.data));
+                } catch (e) {
+                    logger.error("Erro ao parsear JSON do cache de clima", { error: e.message, key: row.cache_key });
+                }
+            }
+        }
+
+        const hits = keys.filter(key => found.has(key)).length;
+        this.counters.weather.hits += hits;
+        this.counters.weather.misses += keys.length - hits;
+
+        return keys.map(key => (found.has(key) ? found.get(key) : null));
+    }
+
+    /**
+     * Salva o clima de cada ponto; entradas de falha (temp "--") e médias climatológicas
+     * (locais, sem custo) não são gravadas.
+     */
+    saveWeather(points, weathers) {
+        const createdAt = Date.now();
+        points.forEach((point, i) => {
+            const weather = weathers[i];
+            if (!weather || weather.temp === "--" || weather.source === 'climatology') return;
+
+            db.run(
+                `INSERT OR REPLACE INTO weather_cache (cache_key, data, created_at) VALUES (?, ?, ?)`,
+                [CacheRepository.weatherKey(point), JSON.stringify(weather), createdAt],
+                (err) => {
+                    if (err) logger.error("Erro ao salvar clima no cache", { error: err.message });
+                }
+            );
+        });
+    }
+
+    /**
+     * Métricas de cada cache: entradas (e quantas já expiraram), tamanho dos dados,
+     * entradas mais antiga e mais recente, hits, misses e taxa de acerto. Inclui o
+     * tamanho total do arquivo do banco.
+     */
+    async stats() {
+        const [routes, weather, databaseSizeBytes] = await Promise.all([
+            this._tableStats('routes', this.ROUTE_TTL),
+            this._tableStats('weather', this.WEATHER_TTL),
+            new Promise((resolve) => {
+                db.get(`SELECT page_count * page_size AS size FROM pragma_page_count(), pragma_page_size()`, (err, row) => {
+                    if (err) logger.error("Erro ao medir o banco de cache", { error: err.message });
+                    resolve(row ? row.size : null);
+                });
+            })
+        ]);
+        return { databaseSizeBytes, routes, weather };
+    }
+
+    _tableStats(name, ttl) {
+        const { table } = TABLES[name];
+        return new Promise((resolve) => {
+            db.get(
+                `SELECT COUNT(*) AS entries, COALESCE(SUM(created_at <= ?), 0) AS expired,
+                    COALESCE(SUM(LENGTH(data)), 0) AS sizeBytes, MIN(created_at) AS oldest, MAX(created_at) AS newest
+                FROM ${table}`,
+                [Date.now() - ttl],
+                (err, row) => {
+                    if (err) logger.error("Erro ao contar o cache", { error: err.message, table });
+                    const { hits, misses } = this.counters[name];
+                    const total = hits + misses;
+                    const toIso = (ms) => (ms ? new Date(ms).toISOString() : null);
+                    resolve({
+                        ttlHours: ttl / 3600000,
+                        entries: row ? row.entries : 0,
+                        expired: row ? row.expired : 0,
+                        sizeBytes: row ? row.sizeBytes : 0,
+                        oldestEntry: row ? toIso(row.oldest) : null,
+                        newestEntry: row ? toIso(row.newest) : null,
+                        hits,
+                        misses,
+                        hitRate: total > 0 ? Math.round((hits / total) * 100) / 100 : null
+                    });
+                }
+            );
+        });
+    }
+
+    /**
+     * Remove entradas de rotas e/ou clima. `olderThan` (timestamp em ms) limita às
+     * entradas criadas antes dele; `routeKey` remove só aquela rota (o clima não
+     * pertence a uma rota e fica intacto). Retorna quantas linhas saíram de cada tabela.
+     */
+    async purge({ olderThan = null, routeKey = null, caches = ['routes', 'weather'] } = {}) {
+        const deleted = {};
+        for (const name of caches) {
+            if (routeKey && name !== 'routes') continue;
+            const { table, key } = TABLES[name];
+
+            const conditions = [];
+            const params = [];
+            if (olderThan !== null) {
+                conditions.push('created_at < ?');
+                params.push(olderThan);
+            }
+            if (routeKey) {
+                conditions.push(`${key} = ?`);
+                params.push(routeKey);
+            }
+            const where = conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '';
+
+            deleted[name] = await new Promise((resolve, reject) => {
+                db.run(`DELETE FROM ${table}${where}`, params, function (err) {
+                    if (err) return reject(err);
+                    resolve(this.changes);
+                });
+            });
+        }
+        return deleted;
+    }
 }
 
 module.exports = CacheRepository;
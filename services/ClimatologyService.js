@@ -0,0 +1,56 @@
+const RouteGeometry = require('./RouteGeometry');
+const { t, DEFAULT_LOCALE } = require('../config/i18n');
+const DATASET = require('../config/climatology.json');
+
+const MAX_DISTANCE_KM = 500; // Além disso, a estação mais próxima não representa o local
+
+/**
+ * Médias climatológicas mensais (config/climatology.json) para checkpoints além do
+ * horizonte de previsão dos provedores. Usa a estação mais próxima do ponto.
+ */
+class ClimatologyService {
+    constructor(dataset = DATASET) {
+        this.stations = dataset.stations;
+    }
+
+    /**
+     * Clima médio do mês de `date` no ponto, no formato de clima do checkpoint, ou null
+     * quando não há estação a até MAX_DISTANCE_KM.
+     */
+    getNormals(lat, lng, date) {
+        const nearest = this._nearestStation(lat, lng);
+        if (!nearest) return null;
+
+        const month = date.getUTCMonth();
+        const { station, distance } = nearest;
+        return {
+            temp: station.temperature[month],
+            condition: t(DEFAULT_LOCALE, 'weather.climatology'),
+            weatherCode: null,
+            apparentTemp: null,
+            humidity: null,
+            precipitationProbability: null,
+            precipitation: null,
+            windSpeed: null,
+            windGusts: null,
+            visibility: null,
+            climatology: {
+                station: station.name,
+                distanceKm: Math.round(distance / 1000),
+                month: month + 1,
+                monthlyPrecipitation: station.precipitation[month]
+            }
+        };
+    }
+
+    _nearestStation(lat, lng) {
+        let nearest = null;
+        for (const station of this.stations) {
+            const distance = RouteGeometry.haversine([lng, lat], [station.lng, station.lat]);
+            if (!nearest || distance < nearest.distance) nearest = { station, distance };
+        }
+        return nearest && nearest.distance <= MAX_DISTANCE_KM * 1000 ? nearest : null;
+    }
+}
+
+module.exports = ClimatologyService;
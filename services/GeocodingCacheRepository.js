@@ -0,0 +1,104 @@
+const db = require('../config/database');
+const logger = require('../config/logger');
+const { GEOCODE_CACHE_TTL } = require('../config/cache');
+
+const KINDS = ['forward', 'reverse', 'search'];
+
+/**
+ * Cache persistente de geocodificação (tabela geocode_cache). `kind` separa busca de
+ * coordenadas ('forward'), nome da cidade ('reverse') e autocomplete ('search'); as
+ * chaves são normalizadas pelo GeocodingService (queryKey/coordKey).
+ * Mantém contadores de hit/miss desde o início do processo.
+ */
+class GeocodingCacheRepository {
+    constructor() {
+        this.CACHE_TTL = GEOCODE_CACHE_TTL;
+        this.counters = Object.fromEntries(KINDS.map(kind => [kind, { hits: 0, misses: 0 }]));
+    }
+
+    get(kind, key) {
+        return new Promise((resolve) => {
+            db.get(
+                `SELECT data FROM geocode_cache WHERE kind = ? AND cache_key = ? AND created_at > ?`,
+                [kind, key, Date.now() - this.CACHE_TTL],
+                (err, row) => {
+                    if (!err && row) {
+                        try {
+                            const data = JSON.parse(row.data);
+                            this.counters[kind].hits++;
+                            return resolve(data);
+                        } catch (e) {
+                            logger.error("Erro ao parsear JSON do cache de geocodificação", { error: e.message, kind, key });
+                        }
+                    }
+                    this.counters[kind].misses++;
+                    resolve(null);
+                }
+            );
+        });
+    }
+
+    set(kind, key, data) {
+        db.run(
+            `INSERT OR REPLACE INTO geocode_cache (kind, cache_key, data, created_at) VALUES (?, ?, ?, ?)`,
+            [kind, key, JSON.stringify(data), Date.now()],
+            (err) => {
+                if (err) logger.error("Erro ao salvar no cache de geocodificação", { error: err.message, kind, key });
+            }
+        );
+    }
+
+    /**
+     * Métricas por tipo: entradas válidas no banco, hits, misses e taxa de acerto; e,
+     * para a tabela toda, tamanho dos dados e entradas mais antiga e mais recente.
+     */
+    stats() {
+        return new Promise((resolve) => {
+            db.all(
+                `SELECT kind, SUM(created_at > ?) AS entries, SUM(LENGTH(data)) AS sizeBytes,
+                    MIN(created_at) AS oldest, MAX(created_at) AS newest
+                FROM geocode_cache GROUP BY kind`,
+                [Date.now() - this.CACHE_TTL],
+                (err, rows) => {
+                    if (err) logger.error("Erro ao contar o cache de geocodificação", { error: err.message });
+                    const entries = Object.fromEntries((rows || []).map(r => [r.kind, r.entries]));
+
+                    const byKind = Object.fromEntries(KINDS.map(kind => {
+                        const { hits, misses } = this.counters[kind];
+                        const total = hits + misses;
+                        return [kind, {
+                            entries: entries[kind] || 0,
+                            hits,
+                            misses,
+                            hitRate: total > 0 ? Math.round((hits / total) * 100) / 100 : null
+                        }];
+                    }));
+                    const all = rows || [];
+                    const toIso = (ms) => (ms ? new Date(ms).toISOString() : null);
+                    resolve({
+                        ttlHours: this.CACHE_TTL / 3600000,
+                        sizeBytes: all.reduce((sum, r) => sum + (r.sizeBytes || 0), 0),
+                        oldestEntry: toIso(all.length > 0 ? Math.min(...all.map(r => r.oldest)) : null),
+                        newestEntry: toIso(all.length > 0 ? Math.max(...all.map(r => r.newest)) : null),
+                        ...byKind
+                    });
+                }
+            );
+        });
+    }
+
+    /**
+     * Remove entradas criadas antes de `olderThan` (timestamp em ms), ou todas sem ele.
+     */
+    purge({ olderThan = null } = {}) {
+        const where = olderThan !== null ? ' WHERE created_at < ?' : '';
+        return new Promise((resolve, reject) => {
+            db.run(`DELETE FROM geocode_cache${where}`, olderThan !== null ? [olderThan] : [], function (err) {
+                if (err) return reject(err);
+                resolve(this.changes);
+            });
+        });
+    }
+}
+
+module.exports = GeocodingCacheRepository;
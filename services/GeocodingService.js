@@ -1,130 +1,223 @@
 const axios = require('axios');
-
-const BRAZIL_STATES = {
-    "Acre": "AC", "Alagoas": "AL", "Amapá": "AP", "Amazonas": "AM", "Bahia": "BA", "Ceará": "CE",
-    "Distrito Federal": "DF", "Espírito Santo": "ES", "Goiás": "GO", "Maranhão": "MA", "Mato Grosso": "MT",
-    "Mato Grosso do Sul": "MS", "Minas Gerais": "MG", "Pará": "PA", "Paraíba": "PB", "Paraná": "PR",
-    "Pernambuco": "PE", "Piauí": "PI", "Rio de Janeiro": "RJ", "Rio Grande do Norte": "RN",
-    "Rio Grande do Sul": "RS", "Rondônia": "RO", "Roraima": "RR", "Santa Catarina": "SC",
-    "São Paulo": "SP", "Sergipe": "SE", "Tocantins": "TO"
-};
-
 const logger = require('../config/logger');
+const { getProvidersConfig } = require('../config/providers');
+const ProviderRegistry = require('./ProviderRegistry');
+const RegionFormatter = require('./RegionFormatter');
+const { t, DEFAULT_LOCALE } = require('../config/i18n');
+
+const HEADERS = { 'User-Agent': 'WeatherTripApp/1.0' };
 
 class GeocodingService {
-    constructor() {
+    /**
+     * @param {Object} config Endereços, timeouts, ordem de fallback e circuit breaker (ver config/providers.js)
+     * @param {Object|null} cache Cache persistente (GeocodingCacheRepository); sem ele toda consulta vai aos provedores
+     */
+    constructor(config = getProvidersConfig(), cache = null) {
         this.MAPBOX_TOKEN = process.env.MAPBOX_TOKEN;
+        this.cache = cache;
+        this.countries = config.geocodingCountries;
+        this.urls = config.urls;
+        this.timeout = config.timeouts.geocoding;
+
+        this.registry = new ProviderRegistry('geocoding', { order: config.order.geocoding, ...config.breaker })
+            .register('mapbox', {
+                getCoordinates: (query, countries) => this._mapboxCoordinates(query, countries),
+                getCityName: (lat, lng) => this._mapboxCityName(lat, lng),
+                searchAddress: (query, countries) => this._mapboxSearch(query, countries)
+            }, { isAvailable: () => Boolean(this.MAPBOX_TOKEN) })
+            .register('nominatim', {
+                getCoordinates: (query, countries) => this._nominatimCoordinates(query, countries),
+                getCityName: (lat, lng) => this._nominatimCityName(lat, lng),
+                searchAddress: (query, countries) => this._nominatimSearch(query, countries)
+            });
+    }
+
+    /**
+     * Chave de cache para textos: minúsculas, sem acentos e com espaços/pontuação colapsados,
+     * para "São Paulo - SP" e "sao paulo, sp" caírem na mesma chave.
+     */
+    static queryKey(text) {
+        return String(text)
+            .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/\s+-\s+/g, ', ')
+            .replace(/\s*,\s*/g, ', ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Chave de cache para coordenadas: arredondadas em 2 casas (~1 km), suficiente para o nome da cidade.
+     */
+    static coordKey(lat, lng) {
+        return `${Number(lat).toFixed(2)},${Number(lng).toFixed(2)}`;
+    }
+
+    /**
+     * Chave de cache das buscas por texto: o mesmo nome pode cair em outro país quando a
+     * restrição muda ("sao paulo, sp|br", "rivera|br,uy", "rivera|*").
+     */
+    static searchKey(text, countries) {
+        return `${GeocodingService.queryKey(text)}|${countries.length > 0 ? countries.join(',') : '*'}`;
     }
 
-    async getCoordinates(query) {
+    /**
+     * `options.countries` (códigos ISO 3166-1 alfa-2, lista vazia = qualquer país) troca os
+     * países configurados em GEOCODING_COUNTRIES. O mesmo vale para searchAddress.
+     */
+    async getCoordinates(query, { countries = this.countries } = {}) {
         try {
-            logger.info(`Buscando coordenadas`, { query });
+            logger.info(`Buscando coordenadas`, { query, countries });
             const cleanQuery = query.replace(/ - /g, ', ');
-
-            if (this.MAPBOX_TOKEN) {
-                try {
-                    const url = `https://api.mapbox.com/geocoding/v5/mapbox.places/${encodeURIComponent(cleanQuery)}.json?country=br&limit=1&access_token=${this.MAPBOX_TOKEN}`;
-                    const res = await axios.get(url, { headers: { 'User-Agent': 'WeatherTripApp/1.0' }, timeout: 5000 });
-
-                    if (res.data && res.data.features && res.data.features.length > 0) {
-                        const feature = res.data.features[0];
-                        logger.debug(`Mapbox encontrou localidade`, { place: feature.place_name });
-                        return { lat: feature.center[1], lng: feature.center[0] };
-                    }
-                } catch (e) {
-                    logger.warn(`Mapbox falhou, tentando Nominatim fallback`, { error: e.message });
-                }
-            }
-
-            logger.info(`Tentando Nominatim`, { query: cleanQuery });
-            const url = `https://nominatim.openstreetmap.org/search?format=json&q=${encodeURIComponent(cleanQuery)}&limit=1&countrycodes=br`;
-            const res = await axios.get(url, { headers: { 'User-Agent': 'WeatherTripApp/1.0' }, timeout: 5000 });
-
-            if (res.data && res.data[0]) {
-                logger.debug(`Nominatim encontrou localidade`, { display_name: res.data[0].display_name });
-                return { lat: parseFloat(res.data[0].lat), lng: parseFloat(res.data[0].lon) };
-            }
-            return null;
+            return await this._cached('forward', GeocodingService.searchKey(cleanQuery, countries),
+                () => this.registry.run('getCoordinates', cleanQuery, countries));
         } catch (e) {
             logger.error(`Erro ao buscar coordenadas`, { error: e.message, query });
             return null;
         }
     }
 
-    async getCityName(lat, lng) {
-        if (this.MAPBOX_TOKEN) {
-            try {
-                const url = `https://api.mapbox.com/geocoding/v5/mapbox.places/${lng},${lat}.json?limit=1&types=place,locality&access_token=${this.MAPBOX_TOKEN}`;
-                const res = await axios.get(url, { headers: { 'User-Agent': 'WeatherTripApp/1.0' }, timeout: 5000 });
-
-                if (res.data && res.data.features && res.data.features.length > 0) {
-                    const feature = res.data.features[0];
-                    const addrCtx = feature.context || [];
-                    const isPlace = feature.id.startsWith('place');
-                    const city = isPlace ? feature.text : (addrCtx.find(c => c.id.startsWith('place'))?.text || feature.text);
-                    const stateCtx = addrCtx.find(c => c.id.startsWith('region'));
-
-                    let uf = "";
-                    if (stateCtx) {
-                        uf = BRAZIL_STATES[stateCtx.text] || stateCtx.short_code?.replace('BR-', '')?.toUpperCase() || stateCtx.text;
-                    }
-                    return uf ? `${city}, ${uf}` : city;
-                }
-            } catch (error) {
-                logger.warn(`Mapbox reverse falhou, tentando Nominatim fallback`, { error: error.message, lat, lng });
-            }
-        }
-
+    async getCityName(lat, lng, locale = DEFAULT_LOCALE) {
         try {
-            await new Promise(r => setTimeout(r, 600)); // Respeitar rate limit do Nominatim
-            const url = `https://nominatim.openstreetmap.org/reverse?format=json&lat=${lat}&lon=${lng}&zoom=10`;
-            const res = await axios.get(url, { headers: { 'User-Agent': 'WeatherTripApp/1.0' }, timeout: 5000 });
-            const addr = res.data.address;
-            const city = addr.city || addr.town || addr.village || addr.municipality || "Estrada";
-            const uf = BRAZIL_STATES[addr.state] || addr.state || "";
-            return uf ? `${city}, ${uf}` : city;
+            return (await this._cached('reverse', GeocodingService.coordKey(lat, lng),
+                () => this.registry.run('getCityName', lat, lng))) || t(locale, 'places.road');
         } catch (error) {
-            return "Estrada";
+            return t(locale, 'places.road');
         }
     }
 
-    async searchAddress(query) {
-        if (this.MAPBOX_TOKEN) {
-            try {
-                const url = `https://api.mapbox.com/geocoding/v5/mapbox.places/${encodeURIComponent(query)}.json?country=br&limit=5&types=place,locality,neighborhood,address&access_token=${this.MAPBOX_TOKEN}`;
-                const res = await axios.get(url, { timeout: 5000 });
-
-                if (res.data && res.data.features && res.data.features.length > 0) {
-                    return res.data.features.map(f => {
-                        const cityCtx = f.context?.find(c => c.id.startsWith('place'));
-                        const stateCtx = f.context?.find(c => c.id.startsWith('region'));
-                        let stateName = stateCtx ? stateCtx.text : '';
-                        if (BRAZIL_STATES[stateName]) {
-                            stateName = BRAZIL_STATES[stateName];
-                        } else if (stateCtx && stateCtx.short_code) {
-                            stateName = stateCtx.short_code.replace('BR-', '').toUpperCase();
-                        }
-                        return {
-                            display_name: f.place_name,
-                            address: { city: cityCtx ? cityCtx.text : f.text, state: stateName },
-                            lat: f.center[1], lon: f.center[0]
-                        };
-                    });
-                }
-            } catch (e) {
-                logger.warn(`Mapbox Search falhou, tentando Nominatim`, { error: e.message, query });
-            }
-        }
-
+    async searchAddress(query, { countries = this.countries } = {}) {
         try {
-            const url = `https://nominatim.openstreetmap.org/search?format=json&q=${encodeURIComponent(query)}&addressdetails=1&limit=5&countrycodes=br`;
-            const res = await axios.get(url, { headers: { 'User-Agent': 'WeatherTripApp/1.0' }, timeout: 5000 });
-            return res.data || [];
+            return (await this._cached('search', GeocodingService.searchKey(query, countries),
+                () => this.registry.run('searchAddress', query, countries))) || [];
         } catch (e) {
             logger.error(`Erro final no Search Address`, { error: e.message, query });
             return [];
         }
     }
+
+    /**
+     * Consulta o cache antes dos provedores. Respostas vazias (não encontrado, todos os
+     * provedores indisponíveis) não são gravadas, para serem tentadas de novo.
+     */
+    async _cached(kind, key, fetchFromProviders) {
+        if (!this.cache) return fetchFromProviders();
+
+        const cached = await this.cache.get(kind, key);
+        if (cached !== null) {
+            logger.debug(`Cache de geocodificação (hit)`, { kind, key });
+            return cached;
+        }
+
+        const result = await fetchFromProviders();
+        if (result && !(Array.isArray(result) && result.length === 0)) {
+            this.cache.set(kind, key, result);
+        }
+        return result;
+    }
+
+    async _mapboxCoordinates(query, countries = this.countries) {
+        const url = `${this.urls.mapbox}/geocoding/v5/mapbox.places/${encodeURIComponent(query)}.json?limit=1${this._countryParam('country', countries)}&access_token=${this.MAPBOX_TOKEN}`;
+        const res = await axios.get(url, { headers: HEADERS, timeout: this.timeout });
+
+        if (res.data && res.data.features && res.data.features.length > 0) {
+            const feature = res.data.features[0];
+            logger.debug(`Mapbox encontrou localidade`, { place: feature.place_name });
+            return { lat: feature.center[1], lng: feature.center[0] };
+        }
+        return null;
+    }
+
+    async _nominatimCoordinates(query, countries = this.countries) {
+        logger.info(`Tentando Nominatim`, { query });
+        const url = `${this.urls.nominatim}/search?format=json&q=${encodeURIComponent(query)}&limit=1${this._countryParam('countrycodes', countries)}`;
+        const res = await axios.get(url, { headers: HEADERS, timeout: this.timeout });
+
+        if (res.data && res.data[0]) {
+            logger.debug(`Nominatim encontrou localidade`, { display_name: res.data[0].display_name });
+            return { lat: parseFloat(res.data[0].lat), lng: parseFloat(res.data[0].lon) };
+        }
+        return null;
+    }
+
+    async _mapboxCityName(lat, lng) {
+        const url = `${this.urls.mapbox}/geocoding/v5/mapbox.places/${lng},${lat}.json?limit=1&types=place,locality&access_token=${this.MAPBOX_TOKEN}`;
+        const res = await axios.get(url, { headers: HEADERS, timeout: this.timeout });
+
+        if (res.data && res.data.features && res.data.features.length > 0) {
+            const feature = res.data.features[0];
+            const addrCtx = feature.context || [];
+            const isPlace = feature.id.startsWith('place');
+            const city = isPlace ? feature.text : (addrCtx.find(c => c.id.startsWith('place'))?.text || feature.text);
+            return RegionFormatter.placeName({ city, ...this._mapboxRegion(addrCtx) });
+        }
+        return null;
+    }
+
+    async _nominatimCityName(lat, lng) {
+        await new Promise(r => setTimeout(r, 600)); // Respeitar rate limit do Nominatim
+        const url = `${this.urls.nominatim}/reverse?format=json&lat=${lat}&lon=${lng}&zoom=10`;
+        const res = await axios.get(url, { headers: HEADERS, timeout: this.timeout });
+        const addr = res.data.address || {};
+        // Sem cidade o resultado é null, e getCityName usa 'places.road' no idioma pedido
+        const city = addr.city || addr.town || addr.village || addr.municipality;
+        return RegionFormatter.placeName({ city, ...this._nominatimRegion(addr) });
+    }
+
+    /**
+     * Sugestões do autocomplete. `label` é o nome curto do lugar no mesmo formato da
+     * geocodificação reversa ("Registro, SP", "Rivera, UY").
+     */
+    async _mapboxSearch(query, countries = this.countries) {
+        const url = `${this.urls.mapbox}/geocoding/v5/mapbox.places/${encodeURIComponent(query)}.json?limit=5${this._countryParam('country', countries)}&types=place,locality,neighborhood,address&access_token=${this.MAPBOX_TOKEN}`;
+        const res = await axios.get(url, { timeout: this.timeout });
+
+        if (res.data && res.data.features && res.data.features.length > 0) {
+            return res.data.features.map(f => {
+                const cityCtx = f.context?.find(c => c.id.startsWith('place'));
+                const city = cityCtx ? cityCtx.text : f.text;
+                const region = this._mapboxRegion(f.context || []);
+                return {
+                    display_name: f.place_name,
+                    label: RegionFormatter.placeName({ city, ...region }),
+                    address: { city, state: RegionFormatter.regionLabel(region), country_code: region.countryCode },
+                    lat: f.center[1], lon: f.center[0]
+                };
+            });
+        }
+        return null;
+    }
+
+    async _nominatimSearch(query, countries = this.countries) {
+        const url = `${this.urls.nominatim}/search?format=json&q=${encodeURIComponent(query)}&addressdetails=1&limit=5${this._countryParam('countrycodes', countries)}`;
+        const res = await axios.get(url, { headers: HEADERS, timeout: this.timeout });
+        return (res.data || []).map(place => {
+            const addr = place.address || {};
+            const city = addr.city || addr.town || addr.village || addr.municipality;
+            return { ...place, label: RegionFormatter.placeName({ city, ...this._nominatimRegion(addr) }) };
+        });
+    }
+
+    // Parâmetro de restrição por país do provedor ("&country=br,uy"), vazio sem restrição
+    _countryParam(name, countries) {
+        return countries && countries.length > 0 ? `&${name}=${countries.join(',')}` : '';
+    }
+
+    // Região e país no contexto do Mapbox (ids "region.*" e "country.*")
+    _mapboxRegion(context) {
+        const regionCtx = context.find(c => c.id.startsWith('region'));
+        const countryCtx = context.find(c => c.id.startsWith('country'));
+        return {
+            region: regionCtx ? regionCtx.text : null,
+            regionCode: regionCtx ? regionCtx.short_code : null,
+            countryCode: countryCtx ? countryCtx.short_code : null
+        };
+    }
+
+    // Região e país no endereço do Nominatim (addressdetails)
+    _nominatimRegion(addr) {
+        return { region: addr.state || null, regionCode: addr['ISO3166-2-lvl4'] || null, countryCode: addr.country_code || null };
+    }
 }
 
 module.exports = GeocodingService;
@@ -0,0 +1,167 @@
+const i18n = require('../config/i18n');
+const UnitConverter = require('./UnitConverter');
+
+const RISK_LEVELS = ['low', 'moderate', 'high', 'severe'];
+
+// Códigos WMO agrupados pelo risco que representam para quem está dirigindo
+const WMO_RISK = {
+    moderate: [45, 48, 53, 55, 56, 63, 66, 73, 80, 81, 85],
+    high: [57, 65, 67, 75, 82, 86, 95],
+    severe: [96, 99]
+};
+
+// Limiares padrão (carro). Cada limiar indica o valor mínimo para atingir o nível.
+const DEFAULT_THRESHOLDS = {
+    precipitation: { moderate: 1, high: 4, severe: 10 },   // mm/h
+    windGusts: { moderate: 50, high: 70, severe: 90 },     // km/h
+    visibility: { moderate: 3000, high: 1000, severe: 200 } // metros (quanto menor, pior)
+};
+
+// Limiares por modo de viagem: moto e bicicleta sentem mais chuva e vento; caminhões
+// (carroceria alta) sentem mais vento; a pé e de bicicleta a visibilidade pesa menos.
+const PROFILE_THRESHOLDS = {
+    car: DEFAULT_THRESHOLDS,
+    truck: {
+        ...DEFAULT_THRESHOLDS,
+        windGusts: { moderate: 45, high: 60, severe: 80 }
+    },
+    motorcycle: {
+        precipitation: { moderate: 0.5, high: 2, severe: 6 },
+        windGusts: { moderate: 40, high: 55, severe: 75 },
+        visibility: { moderate: 3000, high: 1000, severe: 300 }
+    },
+    bike: {
+        precipitation: { moderate: 0.5, high: 2, severe: 5 },
+        windGusts: { moderate: 30, high: 45, severe: 60 },
+        visibility: { moderate: 1000, high: 500, severe: 200 }
+    },
+    foot: {
+        precipitation: { moderate: 1, high: 4, severe: 10 },
+        windGusts: { moderate: 40, high: 60, severe: 80 },
+        visibility: { moderate: 500, high: 200, severe: 100 }
+    }
+};
+
+class HazardScoringService {
+    constructor(thresholds = DEFAULT_THRESHOLDS) {
+        this.thresholds = thresholds;
+    }
+
+    /**
+     * Avalia o risco de direção de um checkpoint a partir do clima previsto.
+     * `profile` (car, motorcycle, truck, bike, foot) troca os limiares pelos do modo de viagem.
+     * Retorna { level, score, reasons } onde score é o índice do nível (0 = low, 3 = severe)
+     * e os motivos estão no idioma `locale`, com os valores nas unidades de `units`.
+     * `weather` é sempre métrico, como os limiares.
+     */
+    assessCheckpoint(weather, profile = null, locale = i18n.DEFAULT_LOCALE, units = UnitConverter.DEFAULT_UNITS) {
+        if (!weather) return { level: 'low', score: 0, reasons: [] };
+
+        const t = (profile && PROFILE_THRESHOLDS[profile]) || this.thresholds;
+        const convert = new UnitConverter(units);
+        const findings = [];
+
+        const code = weather.weatherCode;
+        if (code !== null && code !== undefined) {
+            for (const level of ['severe', 'high', 'moderate']) {
+                if (WMO_RISK[level].includes(code)) {
+                    findings.push({ level, reason: weather.condition });
+                    break;
+                }
+            }
+        }
+
+        const rain = weather.precipitation;
+        const rainLevel = this._levelAbove(rain, t.precipitation);
+        if (rainLevel) findings.push({ level: rainLevel, reason: i18n.t(locale, 'hazard.rain', { amount: convert.precipitation(rain), unit: convert.labels.precipitation }) });
+
+        const wind = Math.max(weather.windGusts || 0, weather.windSpeed || 0);
+        const windLevel = this._levelAbove(wind, t.windGusts);
+        if (windLevel) findings.push({ level: windLevel, reason: i18n.t(locale, 'hazard.gusts', { speed: Math.round(convert.speed(wind)), unit: convert.labels.speed }) });
+
+        const vis = weather.visibility;
+        const visLevel = this._levelBelow(vis, t.visibility);
+        if (visLevel) findings.push({ level: visLevel, reason: i18n.t(locale, 'hazard.visibility', { distance: convert.imperial ? convert.visibility(vis) : Math.round(vis), unit: convert.labels.visibility }) });
+
+        const score = findings.reduce((max, f) => Math.max(max, RISK_LEVELS.indexOf(f.level)), 0);
+        return {
+            level: RISK_LEVELS[score],
+            score,
+            reasons: findings.map(f => f.reason)
+        };
+    }
+
+    /**
+     * Agrupa checkpoints consecutivos com risco moderado ou maior em trechos,
+     * ordenados do pior para o melhor. Os limites de cada trecho (fromKm/toKm, na unidade
+     * de `distanceFromStart` dos checkpoints) vão do ponto médio com o checkpoint anterior
+     * ao ponto médio com o próximo.
+     */
+    summarizeRoute(checkpoints, maxSegments = 5) {
+        const segments = [];
+        let current = null;
+
+        checkpoints.forEach((c, i) => {
+            const score = c.hazard ? c.hazard.score : 0;
+            if (score === 0) {
+                current = null;
+                return;
+            }
+
+            if (!current) {
+                current = { score, startIdx: i, endIdx: i, reasons: new Set(), locations: [] };
+                segments.push(current);
+            }
+            current.endIdx = i;
+            current.score = Math.max(current.score, score);
+            c.hazard.reasons.forEach(r => current.reasons.add(r));
+            if (c.locationName && !current.locations.includes(c.locationName)) current.locations.push(c.locationName);
+        });
+
+        const km = (i) => checkpoints[i].distanceFromStart || 0;
+        const mid = (a, b) => Math.round((km(a) + km(b)) / 2);
+        const lastIdx = checkpoints.length - 1;
+
+        const formatted = segments.map(s => ({
+            level: RISK_LEVELS[s.score],
+            score: s.score,
+            fromKm: s.startIdx > 0 ? mid(s.startIdx - 1, s.startIdx) : km(s.startIdx),
+            toKm: s.endIdx < lastIdx ? mid(s.endIdx, s.endIdx + 1) : km(s.endIdx),
+            startTime: checkpoints[s.startIdx].formattedTime,
+            endTime: checkpoints[s.endIdx].formattedTime,
+            locations: s.locations,
+            reasons: [...s.reasons]
+        }));
+
+        formatted.sort((a, b) => b.score - a.score || a.fromKm - b.fromKm);
+
+        const maxScore = formatted.length > 0 ? formatted[0].score : 0;
+        return {
+            maxLevel: RISK_LEVELS[maxScore],
+            riskyCheckpoints: checkpoints.filter(c => c.hazard && c.hazard.score > 0).length,
+            segments: formatted.slice(0, maxSegments)
+        };
+    }
+
+    _levelAbove(value, limits) {
+        if (value === null || value === undefined) return null;
+        if (value >= limits.severe) return 'severe';
+        if (value >= limits.high) return 'high';
+        if (value >= limits.moderate) return 'moderate';
+        return null;
+    }
+
+    _levelBelow(value, limits) {
+        if (value === null || value === undefined) return null;
+        if (value < limits.severe) return 'severe';
+        if (value < limits.high) return 'high';
+        if (value < limits.moderate) return 'moderate';
+        return null;
+    }
+}
+
+HazardScoringService.RISK_LEVELS = RISK_LEVELS;
+HazardScoringService.DEFAULT_THRESHOLDS = DEFAULT_THRESHOLDS;
+HazardScoringService.PROFILE_THRESHOLDS = PROFILE_THRESHOLDS;
+
+module.exports = HazardScoringService;
@@ -0,0 +1,76 @@
+const logger = require('../config/logger');
+const { t, DEFAULT_LOCALE } = require('../config/i18n');
+const UnitConverter = require('./UnitConverter');
+
+/**
+ * Substituto do SMTP: registra o e-mail no log em vez de enviá-lo. Tem a mesma interface
+ * `sendMail({ to, subject, text })` de um transporter do nodemailer, que pode ser
+ * injetado no lugar dele.
+ */
+class LogMailer {
+    async sendMail({ to, subject, text }) {
+        logger.info("E-mail (stand-in SMTP)", { to, subject, text });
+        return { accepted: [to] };
+    }
+}
+
+/**
+ * Canais de entrega de notificações. Cada canal é { validate(target), send(target, notification) },
+ * e `validate` pode ser assíncrono. `email` vem registrado; `webhook` só com um WebhookService,
+ * que assina as entregas: o destino validado é a URL e o de `send` é o id do webhook da
+ * inscrição. Outros canais podem ser adicionados com `register`.
+ */
+class NotificationService {
+    constructor({ mailer = new LogMailer(), webhooks = null } = {}) {
+        this.channels = new Map();
+
+        if (webhooks) {
+            this.register('webhook', {
+                validate: (url) => /^https?:\/\/[^\s]+$/i.test(url || '') && webhooks.isPublicUrl(url),
+                send: (webhookId, notification) => webhooks.deliverTo(webhookId, notification.event, notification)
+            });
+        }
+
+        this.register('email', {
+            validate: (target) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(target || ''),
+            send: async (to, notification) => {
+                await mailer.sendMail({ to, subject: notification.title, text: NotificationService.toText(notification) });
+            }
+        });
+    }
+
+    register(name, channel) {
+        this.channels.set(name, channel);
+        return this;
+    }
+
+    get names() {
+        return [...this.channels.keys()];
+    }
+
+    async isValidTarget(channel, target) {
+        const impl = this.channels.get(channel);
+        return Boolean(impl && await impl.validate(target));
+    }
+
+    async send(channel, target, notification) {
+        const impl = this.channels.get(channel);
+        if (!impl) throw new Error(`Canal de notificação desconhecido: ${channel}`);
+        await impl.send(target, notification);
+    }
+
+    /**
+     * Versão em texto (e-mail) de uma notificação de mudança na previsão, no idioma e nas
+     * unidades dela.
+     */
+    static toText(notification) {
+        const locale = notification.locale || DEFAULT_LOCALE;
+        const units = new UnitConverter(notification.units);
+        const lines = notification.changes.map(c => `- ${c.formattedTime} · ${c.locationName || units.milestone(c.distanceFromStart, locale)}: ${c.message}`);
+        return [notification.title, '', ...lines, '', t(locale, 'notifications.viewTrip', { url: notification.tripUrl })].join('\n');
+    }
+}
+
+NotificationService.LogMailer = LogMailer;
+
+module.exports = NotificationService;
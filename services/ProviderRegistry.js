@@ -0,0 +1,176 @@
+const logger = require('../config/logger');
+
+const EWMA_WEIGHT = 0.3; // Peso da última chamada nas médias móveis
+const SLOW_THRESHOLD = 3000; // ms; acima disso o provedor perde uma posição
+
+/**
+ * Lista ordenada de provedores intercambiáveis (rotas, geocodificação, clima) com
+ * circuit breaker por provedor. Após `failureThreshold` falhas seguidas o circuito abre
+ * e o provedor é pulado até passar o `cooldownMs`; depois disso recebe uma única
+ * chamada de teste (half-open) que fecha ou reabre o circuito.
+ *
+ * A ordem configurada é mantida enquanto os provedores estão saudáveis; os que falham
+ * com frequência ou respondem devagar descem na fila.
+ */
+class ProviderRegistry {
+    /**
+     * @param {string} name Nome do grupo, usado nos logs e no health check
+     * @param {Object} options
+     * @param {string[]} options.order Ordem preferida (ver config/providers.js)
+     * @param {number} options.failureThreshold Falhas seguidas para abrir o circuito
+     * @param {number} options.cooldownMs Tempo com o circuito aberto antes de testar de novo
+     * @param {Function} options.now Relógio (injetável nos testes)
+     */
+    constructor(name, { order = [], failureThreshold = 3, cooldownMs = 60000, now = Date.now } = {}) {
+        this.name = name;
+        this.order = order;
+        this.failureThreshold = failureThreshold;
+        this.cooldownMs = cooldownMs;
+        this.now = now;
+        this.providers = new Map();
+    }
+
+    /**
+     * Registra um provedor. `impl` é um objeto com as operações suportadas
+     * (ex.: { route }, { getCoordinates, getCityName }). Provedores fora de `order`
+     * são ignorados; `isAvailable` permite pular provedores sem chave configurada.
+     */
+    register(providerName, impl, { isAvailable = () => true } = {}) {
+        if (!this.order.includes(providerName)) return this;
+
+        this.providers.set(providerName, {
+            name: providerName,
+            impl,
+            isAvailable,
+            state: 'closed',
+            consecutiveFailures: 0,
+            openedAt: null,
+            successRate: 1,
+            avgLatency: null,
+            totalCalls: 0,
+            totalFailures: 0,
+            lastError: null,
+            lastFailureAt: null
+        });
+        return this;
+    }
+
+    /**
+     * Executa `operation` nos provedores em ordem até um deles devolver um resultado.
+     * Um resultado null/undefined (ex.: endereço não encontrado) não conta como falha,
+     * mas passa para o próximo provedor. Retorna null se ninguém tiver resposta e
+     * relança o último erro se todos falharem.
+     */
+    async run(operation, ...args) {
+        const candidates = this._candidates(operation);
+        if (candidates.length === 0) {
+            throw new Error(`Nenhum provedor de ${this.name} disponível no momento`);
+        }
+
+        let lastError = null;
+        for (const provider of candidates) {
+            if (provider.state === 'open') provider.state = 'half-open';
+
+            const started = this.now();
+            try {
+                const result = await provider.impl[operation](...args);
+                this._recordSuccess(provider, this.now() - started);
+                if (result !== null && result !== undefined) return result;
+            } catch (e) {
+                this._recordFailure(provider, this.now() - started, e);
+                lastError = e;
+            }
+        }
+
+        if (lastError) throw lastError;
+        return null;
+    }
+
+    /**
+     * Provedores que podem ser chamados agora, já na ordem efetiva.
+     */
+    _candidates(operation) {
+        const now = this.now();
+        return this.ranked().filter(p =>
+            typeof p.impl[operation] === 'function'
+            && p.isAvailable()
+            && (p.state !== 'open' || now - p.openedAt >= this.cooldownMs)
+        );
+    }
+
+    /**
+     * Ordem efetiva: posição configurada + penalidade por falhas e lentidão recentes.
+     * Circuitos abertos vão para o fim; ao fim do cooldown o provedor volta à posição
+     * configurada para receber a chamada de teste antes dos demais.
+     */
+    ranked() {
+        const total = this.order.length;
+        const now = this.now();
+        const priority = (p) => {
+            const position = this.order.indexOf(p.name);
+            if (p.state === 'open') {
+                return now - p.openedAt >= this.cooldownMs ? position : position + total * 2;
+            }
+            const slow = p.avgLatency !== null && p.avgLatency > SLOW_THRESHOLD ? 1 : 0;
+            return position + (1 - p.successRate) * total + slow;
+        };
+        return [...this.providers.values()].sort((a, b) => priority(a) - priority(b));
+    }
+
+    _recordSuccess(provider, latency) {
+        if (provider.state !== 'closed') {
+            logger.info(`Circuito de ${this.name}/${provider.name} fechado`);
+        }
+        provider.state = 'closed';
+        provider.consecutiveFailures = 0;
+        provider.openedAt = null;
+        provider.totalCalls++;
+        this._updateAverages(provider, 1, latency);
+    }
+
+    _recordFailure(provider, latency, error) {
+        provider.consecutiveFailures++;
+        provider.totalCalls++;
+        provider.totalFailures++;
+        provider.lastError = error.message;
+        provider.lastFailureAt = this.now();
+        this._updateAverages(provider, 0, latency);
+
+        logger.warn(`Provedor ${this.name}/${provider.name} falhou`, { error: error.message, consecutiveFailures: provider.consecutiveFailures });
+
+        if (provider.state === 'half-open' || provider.consecutiveFailures >= this.failureThreshold) {
+            if (provider.state !== 'open') {
+                logger.warn(`Circuito de ${this.name}/${provider.name} aberto por ${this.cooldownMs / 1000}s`);
+            }
+            provider.state = 'open';
+            provider.openedAt = this.now();
+        }
+    }
+
+    _updateAverages(provider, success, latency) {
+        provider.successRate = provider.successRate * (1 - EWMA_WEIGHT) + success * EWMA_WEIGHT;
+        provider.avgLatency = provider.avgLatency === null
+            ? latency
+            : provider.avgLatency * (1 - EWMA_WEIGHT) + latency * EWMA_WEIGHT;
+    }
+
+    /**
+     * Estado atual de cada provedor, na ordem efetiva, para o endpoint de health check.
+     */
+    health() {
+        return this.ranked().map(p => ({
+            name: p.name,
+            state: p.isAvailable() ? p.state : 'unavailable',
+            successRate: Math.round(p.successRate * 100) / 100,
+            avgLatencyMs: p.avgLatency === null ? null : Math.round(p.avgLatency),
+            consecutiveFailures: p.consecutiveFailures,
+            totalCalls: p.totalCalls,
+            totalFailures: p.totalFailures,
+            lastError: p.lastError,
+            lastFailureAt: p.lastFailureAt ? new Date(p.lastFailureAt).toISOString() : null,
+            retryAt: p.state === 'open' ? new Date(p.openedAt + this.cooldownMs).toISOString() : null
+        }));
+    }
+}
+
+module.exports = ProviderRegistry;
@@ -0,0 +1,58 @@
+// Siglas das unidades federativas, pelo nome que os provedores devolvem
+const BRAZIL_STATES = {
+    "Acre": "AC", "Alagoas": "AL", "Amapá": "AP", "Amazonas": "AM", "Bahia": "BA", "Ceará": "CE",
+    "Distrito Federal": "DF", "Espírito Santo": "ES", "Goiás": "GO", "Maranhão": "MA", "Mato Grosso": "MT",
+    "Mato Grosso do Sul": "MS", "Minas Gerais": "MG", "Pará": "PA", "Paraíba": "PB", "Paraná": "PR",
+    "Pernambuco": "PE", "Piauí": "PI", "Rio de Janeiro": "RJ", "Rio Grande do Norte": "RN",
+    "Rio Grande do Sul": "RS", "Rondônia": "RO", "Roraima": "RR", "Santa Catarina": "SC",
+    "São Paulo": "SP", "Sergipe": "SE", "Tocantins": "TO"
+};
+
+// Resultados sem país são tratados como brasileiros, e nomes no Brasil não levam o país
+const HOME_COUNTRY = 'br';
+
+// Sufixo do código ISO 3166-2 da subdivisão ("BR-SP" → "SP", "US-TX" → "TX")
+const isoSubdivision = (regionCode) => (regionCode ? String(regionCode).split('-').pop().toUpperCase() : null);
+
+// Rótulo da região por país. Onde a sigla ISO é a de uso comum ela substitui o nome;
+// países fora da lista mostram o nome da região como veio do provedor.
+const REGION_FORMATTERS = {
+    br: ({ region, regionCode }) => BRAZIL_STATES[region] || isoSubdivision(regionCode) || region,
+    us: ({ region, regionCode }) => isoSubdivision(regionCode) || region,
+    ca: ({ region, regionCode }) => isoSubdivision(regionCode) || region,
+    au: ({ region, regionCode }) => isoSubdivision(regionCode) || region
+};
+
+/**
+ * Nomes curtos de lugares a partir das partes devolvidas pelos provedores de geocodificação:
+ * cidade, região (estado, província, departamento), código ISO 3166-2 da região e país.
+ */
+class RegionFormatter {
+    static regionLabel({ region, regionCode, countryCode } = {}) {
+        const formatter = REGION_FORMATTERS[RegionFormatter._country(countryCode)];
+        return (formatter ? formatter({ region, regionCode }) : region) || '';
+    }
+
+    /**
+     * "Registro, SP" no Brasil; nos outros países, região e código do país:
+     * "Posadas, Misiones, AR". A região some quando repete a cidade ("Montevideo, UY").
+     */
+    static placeName({ city, region, regionCode, countryCode } = {}) {
+        if (!city) return null;
+        const country = RegionFormatter._country(countryCode);
+        const label = RegionFormatter.regionLabel({ region, regionCode, countryCode: country });
+
+        const parts = [city];
+        if (label && label !== city) parts.push(label);
+        if (country !== HOME_COUNTRY) parts.push(country.toUpperCase());
+        return parts.join(', ');
+    }
+
+    static _country(countryCode) {
+        return countryCode ? String(countryCode).toLowerCase() : HOME_COUNTRY;
+    }
+}
+
+RegionFormatter.HOME_COUNTRY = HOME_COUNTRY;
+
+module.exports = RegionFormatter;
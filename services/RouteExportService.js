@@ -0,0 +1,147 @@
+const { t, LocalizedError, DEFAULT_LOCALE } = require('../config/i18n');
+const UnitConverter = require('./UnitConverter');
+
+const HAZARD_LEVELS = ['moderate', 'high', 'severe'];
+
+const FORMATS = {
+    gpx: { contentType: 'application/gpx+xml', extension: 'gpx' },
+    kml: { contentType: 'application/vnd.google-earth.kml+xml', extension: 'kml' },
+    geojson: { contentType: 'application/geo+json', extension: 'geojson' }
+};
+
+const escapeXml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+/**
+ * Converte uma rota da previsão (formato de POST /forecast) em GPX, KML ou GeoJSON
+ * para apps de navegação: a trilha vem de `routeGeo` ([lng, lat]) e cada checkpoint
+ * vira um waypoint com horário, temperatura, condição e risco na descrição.
+ */
+class RouteExportService {
+    static get FORMATS() {
+        return Object.keys(FORMATS);
+    }
+
+    /**
+     * Retorna { content, contentType, extension } no formato pedido. Nomes e descrições
+     * dos waypoints saem no idioma `locale`.
+     */
+    export(route, format, { name, locale = DEFAULT_LOCALE } = {}) {
+        const spec = FORMATS[format];
+        if (!spec) throw new LocalizedError('errors.invalidExportFormat', { formats: RouteExportService.FORMATS.join(', ') });
+
+        const builders = { gpx: this.toGpx, kml: this.toKml, geojson: this.toGeoJson };
+        return { content: builders[format].call(this, route, name || t(locale, 'places.route'), locale), ...spec };
+    }
+
+    toGpx(route, name = t(DEFAULT_LOCALE, 'places.route'), locale = DEFAULT_LOCALE) {
+        const waypoints = route.checkpoints.map(c => [
+            `  <wpt lat="${c.lat}" lon="${c.lng}">`,
+            c.time ? `    <time>${c.time}</time>` : null,
+            `    <name>${escapeXml(this._waypointName(c, locale, route.units))}</name>`,
+            `    <desc>${escapeXml(this.describeCheckpoint(c, locale, route.units))}</desc>`,
+            '  </wpt>'
+        ].filter(Boolean).join('\n'));
+        const trackPoints = (route.routeGeo || []).map(([lng, lat]) => `      <trkpt lat="${lat}" lon="${lng}"/>`);
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<gpx version="1.1" creator="WeatherRoute" xmlns="http://www.topografix.com/GPX/1/1">',
+            `  <metadata><name>${escapeXml(name)}</name></metadata>`,
+            ...waypoints,
+            '  <trk>',
+            `    <name>${escapeXml(name)}</name>`,
+            '    <trkseg>',
+            ...trackPoints,
+            '    </trkseg>',
+            '  </trk>',
+            '</gpx>',
+            ''
+        ].join('\n');
+    }
+
+    toKml(route, name = t(DEFAULT_LOCALE, 'places.route'), locale = DEFAULT_LOCALE) {
+        const placemarks = route.checkpoints.map(c => [
+            '    <Placemark>',
+            `      <name>${escapeXml(this._waypointName(c, locale, route.units))}</name>`,
+            `      <description>${escapeXml(this.describeCheckpoint(c, locale, route.units))}</description>`,
+            c.time ? `      <TimeStamp><when>${c.time}</when></TimeStamp>` : null,
+            `      <Point><coordinates>${c.lng},${c.lat}</coordinates></Point>`,
+            '    </Placemark>'
+        ].filter(Boolean).join('\n'));
+        const coordinates = (route.routeGeo || []).map(([lng, lat]) => `${lng},${lat}`).join(' ');
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<kml xmlns="http://www.opengis.net/kml/2.2">',
+            '  <Document>',
+            `    <name>${escapeXml(name)}</name>`,
+            '    <Placemark>',
+            `      <name>${escapeXml(name)}</name>`,
+            `      <LineString><tessellate>1</tessellate><coordinates>${coordinates}</coordinates></LineString>`,
+            '    </Placemark>',
+            ...placemarks,
+            '  </Document>',
+            '</kml>',
+            ''
+        ].join('\n');
+    }
+
+    toGeoJson(route, name = t(DEFAULT_LOCALE, 'places.route'), locale = DEFAULT_LOCALE) {
+        const track = {
+            type: 'Feature',
+            geometry: { type: 'LineString', coordinates: route.routeGeo || [] },
+            properties: {
+                name,
+                provider: route.provider,
+                profile: route.profile,
+                distance: route.distanceTotal,
+                duration: route.durationTotal,
+                units: route.units || UnitConverter.DEFAULT_UNITS
+            }
+        };
+        const waypoints = route.checkpoints.map(c => ({
+            type: 'Feature',
+            geometry: { type: 'Point', coordinates: [c.lng, c.lat] },
+            properties: {
+                name: this._waypointName(c, locale, route.units),
+                description: this.describeCheckpoint(c, locale, route.units),
+                time: c.time || null,
+                localTime: c.localTime || null,
+                timeZone: c.timeZone || null,
+                distanceFromStart: c.distanceFromStart,
+                weather: c.weather,
+                hazard: c.hazard
+            }
+        }));
+
+        return JSON.stringify({ type: 'FeatureCollection', features: [track, ...waypoints] }, null, 2);
+    }
+
+    /**
+     * Texto do waypoint: "10/05, 14:00 · 22°C · Chuva Leve · Risco alto: chuva forte".
+     */
+    describeCheckpoint(checkpoint, locale = DEFAULT_LOCALE, units = UnitConverter.DEFAULT_UNITS) {
+        const weather = checkpoint.weather || {};
+        const parts = [checkpoint.formattedTime];
+        if (weather.temp !== undefined && weather.temp !== "--") parts.push(`${weather.temp}${new UnitConverter(units).labels.temperature}`);
+        if (weather.condition) parts.push(weather.condition);
+
+        const hazard = checkpoint.hazard;
+        if (hazard && HAZARD_LEVELS.includes(hazard.level)) {
+            const label = t(locale, `hazard.labels.${hazard.level}`);
+            parts.push(hazard.reasons && hazard.reasons.length > 0 ? `${label}: ${hazard.reasons.join(', ')}` : label);
+        }
+        return parts.filter(Boolean).join(' · ');
+    }
+
+    _waypointName(checkpoint, locale = DEFAULT_LOCALE, units = UnitConverter.DEFAULT_UNITS) {
+        return checkpoint.locationName || new UnitConverter(units).milestone(checkpoint.distanceFromStart, locale);
+    }
+}
+
+module.exports = RouteExportService;
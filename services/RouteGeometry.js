@@ -0,0 +1,93 @@
+const EARTH_RADIUS = 6371000; // metros
+
+/**
+ * Utilitários de geometria para polylines no formato GeoJSON ([lng, lat]).
+ */
+class RouteGeometry {
+    static haversine([lng1, lat1], [lng2, lat2]) {
+        const toRad = (deg) => (deg * Math.PI) / 180;
+        const dLat = toRad(lat2 - lat1);
+        const dLng = toRad(lng2 - lng1);
+        const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+        return 2 * EARTH_RADIUS * Math.asin(Math.sqrt(a));
+    }
+
+    /**
+     * Distância acumulada (metros) de cada vértice desde o início da polyline.
+     */
+    static cumulativeDistances(path) {
+        const cumulative = new Array(path.length).fill(0);
+        for (let i = 1; i < path.length; i++) {
+            cumulative[i] = cumulative[i - 1] + RouteGeometry.haversine(path[i - 1], path[i]);
+        }
+        return cumulative;
+    }
+
+    /**
+     * Tempo acumulado (segundos) de cada vértice. Usa as durações por segmento do
+     * provedor quando existirem e forem compatíveis com a geometria; caso contrário
+     * distribui a duração total proporcionalmente à distância.
+     * O resultado é sempre escalado para terminar exatamente em `totalDuration`.
+     */
+    static cumulativeTimes(path, cumDistances, totalDuration, segmentDurations = null) {
+        const cumulative = new Array(path.length).fill(0);
+        const useProvider = Array.isArray(segmentDurations) && segmentDurations.length === path.length - 1;
+
+        for (let i = 1; i < path.length; i++) {
+            const step = useProvider ? segmentDurations[i - 1] : cumDistances[i] - cumDistances[i - 1];
+            cumulative[i] = cumulative[i - 1] + Math.max(0, step || 0);
+        }
+
+        const last = cumulative[cumulative.length - 1];
+        if (!last) {
+            // Geometria degenerada: todos os vértices no mesmo lugar
+            return cumulative.map((_, i) => (path.length > 1 ? (i / (path.length - 1)) * totalDuration : 0));
+        }
+        return cumulative.map(v => (v / last) * totalDuration);
+    }
+
+    /**
+     * Posição interpolada no ponto em que `values` (crescente, um valor por vértice)
+     * atinge `target`. Retorna { lng, lat, index, fraction }.
+     */
+    static locate(path, values, target) {
+        if (path.length === 1 || target <= values[0]) {
+            return { lng: path[0][0], lat: path[0][1], index: 0, fraction: 0 };
+        }
+        const lastIdx = path.length - 1;
+        if (target >= values[lastIdx]) {
+            return { lng: path[lastIdx][0], lat: path[lastIdx][1], index: lastIdx, fraction: 0 };
+        }
+
+        // Busca binária pelo segmento [lo, lo + 1] que contém o alvo
+        let lo = 0;
+        let hi = lastIdx;
+        while (hi - lo > 1) {
+            const mid = (lo + hi) >> 1;
+            if (values[mid] <= target) lo = mid;
+            else hi = mid;
+        }
+
+        const span = values[lo + 1] - values[lo];
+        const fraction = span > 0 ? (target - values[lo]) / span : 0;
+        const [lng1, lat1] = path[lo];
+        const [lng2, lat2] = path[lo + 1];
+        return {
+            lng: lng1 + (lng2 - lng1) * fraction,
+            lat: lat1 + (lat2 - lat1) * fraction,
+            index: lo,
+            fraction
+        };
+    }
+
+    /**
+     * Interpola um valor por vértice na posição retornada por `locate`.
+     */
+    static valueAt(values, position) {
+        const { index, fraction } = position;
+        if (index >= values.length - 1) return values[values.length - 1];
+        return values[index] + (values[index + 1] - values[index]) * fraction;
+    }
+}
+
+module.exports = RouteGeometry;
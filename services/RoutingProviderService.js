@@ -1,74 +1,131 @@
 const axios = require('axios');
 const logger = require('../config/logger');
+const RouteGeometry = require('./RouteGeometry');
+const { TRAVEL_PROFILES, DEFAULT_PROFILE } = require('../config/travelProfiles');
+const { PROVIDER_DEFAULTS, getProvidersConfig } = require('../config/providers');
+const ProviderRegistry = require('./ProviderRegistry');
+const { LocalizedError } = require('../config/i18n');
 
 class RoutingProviderService {
-    constructor() {
+    /**
+     * @param {Object} config Endereços, timeouts, ordem de fallback e circuit breaker (ver config/providers.js)
+     */
+    constructor(config = getProvidersConfig()) {
         this.GRAPHHOPPER_KEY = process.env.GRAPHHOPPER_KEY;
         this.MAPBOX_TOKEN = process.env.MAPBOX_TOKEN;
-    }
+        this.MAX_ALTERNATIVES = 2; // Rotas alternativas além da principal
+        this.urls = config.urls;
+        this.timeout = config.timeouts.routing;
 
-    async getRouteWithFallback(points) {
-        try {
-            logger.info("Tentando OSRM...");
-            return await this._getOSRMRoute(points);
-        } catch (e) {
-            logger.warn("OSRM falhou, tentando GraphHopper", { error: e.message });
-        }
+        this.registry = new ProviderRegistry('routing', { order: config.order.routing, ...config.breaker })
+            .register('osrm', { route: (points, modes) => this._getOSRMRoute(points, modes.osrm) })
+            .register('graphhopper', { route: (points, modes) => this._getGraphHopperRoute(points, modes.graphhopper) }, {
+                // A chave só é exigida pelo serviço público; instâncias próprias dispensam
+                isAvailable: () => Boolean(this.GRAPHHOPPER_KEY) || this.urls.graphhopper !== PROVIDER_DEFAULTS.urls.graphhopper
+            })
+            .register('mapbox', { route: (points, modes) => this._getMapboxRoute(points, modes.mapbox) }, {
+                isAvailable: () => Boolean(this.MAPBOX_TOKEN)
+            });
+    }
 
-        try {
-            if (!this.GRAPHHOPPER_KEY) throw new Error("Chave GraphHopper ausente");
-            return await this._getGraphHopperRoute(points);
-        } catch (e) {
-            logger.warn("GraphHopper falhou, tentando Mapbox", { error: e.message });
-        }
+    async getRouteWithFallback(points, profile = DEFAULT_PROFILE) {
+        const modes = (TRAVEL_PROFILES[profile] || TRAVEL_PROFILES[DEFAULT_PROFILE]).routing;
 
         try {
-            if (!this.MAPBOX_TOKEN) throw new Error("Token Mapbox ausente");
-            return await this._getMapboxRoute(points);
+            return await this.registry.run('route', points, modes);
         } catch (e) {
-            logger.error("Todos os provedores de rota falharam", { error: e.message });
-            throw new Error("Serviços de mapas indisponíveis. Tente novamente mais tarde.");
+            logger.error("Todos os provedores de rota falharam", { error: e.message, profile });
+            throw new LocalizedError('errors.mapsUnavailable');
         }
     }
 
-    async _getOSRMRoute(points) {
+    async _getOSRMRoute(points, mode = 'driving') {
         const coords = points.map(p => `${p.lng},${p.lat}`).join(';');
-        const url = `https://router.project-osrm.org/route/v1/driving/${coords}?overview=full&geometries=geojson`;
-        const res = await axios.get(url, { timeout: 8000 });
+        const url = `${this.urls.osrm}/route/v1/${mode}/${coords}?overview=full&geometries=geojson&annotations=duration${this._supportsAlternatives(points) ? `&alternatives=${this.MAX_ALTERNATIVES}` : ''}`;
+        const res = await axios.get(url, { timeout: this.timeout });
         if (!res.data.routes[0]) throw new Error("Rota não encontrada");
-        return {
-            duration: res.data.routes[0].duration,
-            distance: res.data.routes[0].distance,
-            path: res.data.routes[0].geometry.coordinates,
+        return this._withAlternatives(res.data.routes, route => ({
+            duration: route.duration,
+            distance: route.distance,
+            path: route.geometry.coordinates,
+            segmentDurations: this._legAnnotationDurations(route.legs),
             provider: 'OSRM'
-        };
+        }));
     }
 
-    async _getGraphHopperRoute(points) {
+    async _getGraphHopperRoute(points, mode = 'car') {
         const query = points.map(p => `point=${p.lat},${p.lng}`).join('&');
-        const url = `https://graphhopper.com/api/1/route?${query}&profile=car&locale=pt&points_encoded=false&key=${this.GRAPHHOPPER_KEY}`;
-        const res = await axios.get(url, { timeout: 8000 });
-        const route = res.data.paths[0];
-        return {
+        const alternatives = this._supportsAlternatives(points) ? `&algorithm=alternative_route&alternative_route.max_paths=${this.MAX_ALTERNATIVES + 1}` : '';
+        const url = `${this.urls.graphhopper}/route?${query}&profile=${mode}&locale=pt&points_encoded=false&details=time${alternatives}${this.GRAPHHOPPER_KEY ? `&key=${this.GRAPHHOPPER_KEY}` : ''}`;
+        const res = await axios.get(url, { timeout: this.timeout });
+        return this._withAlternatives(res.data.paths, route => ({
             duration: route.time / 1000,
             distance: route.distance,
             path: route.points.coordinates,
+            segmentDurations: this._timeDetailsToSegments(route.points.coordinates, route.details?.time),
             provider: 'GraphHopper'
-        };
+        }));
     }
 
-    async _getMapboxRoute(points) {
+    async _getMapboxRoute(points, mode = 'driving') {
         const coords = points.map(p => `${p.lng},${p.lat}`).join(';');
-        const url = `https://api.mapbox.com/directions/v5/mapbox/driving/${coords}?geometries=geojson&overview=full&access_token=${this.MAPBOX_TOKEN}`;
-        const res = await axios.get(url, { timeout: 8000 });
-        const route = res.data.routes[0];
-        return {
+        const url = `${this.urls.mapbox}/directions/v5/mapbox/${mode}/${coords}?geometries=geojson&overview=full&annotations=duration${this._supportsAlternatives(points) ? '&alternatives=true' : ''}&access_token=${this.MAPBOX_TOKEN}`;
+        const res = await axios.get(url, { timeout: this.timeout });
+        return this._withAlternatives(res.data.routes, route => ({
             duration: route.duration,
             distance: route.distance,
             path: route.geometry.coordinates,
+            segmentDurations: this._legAnnotationDurations(route.legs),
             provider: 'Mapbox'
+        }));
+    }
+
+    // Os provedores só calculam alternativas para rotas sem paradas intermediárias
+    _supportsAlternatives(points) {
+        return points.length === 2 && this.MAX_ALTERNATIVES > 0;
+    }
+
+    /**
+     * Converte a rota principal com `mapRoute` e anexa as alternativas (mesmo formato)
+     * em `alternatives`, limitadas a MAX_ALTERNATIVES.
+     */
+    _withAlternatives(routes, mapRoute) {
+        const [primary, ...others] = routes;
+        return {
+            ...mapRoute(primary),
+            alternatives: others.slice(0, this.MAX_ALTERNATIVES).map(mapRoute)
         };
     }
+
+    /**
+     * OSRM e Mapbox: concatena as durações por segmento (annotation.duration) de cada perna.
+     * Retorna null se alguma perna não trouxer anotações.
+     */
+    _legAnnotationDurations(legs) {
+        if (!Array.isArray(legs) || legs.length === 0) return null;
+        if (legs.some(leg => !leg.annotation || !Array.isArray(leg.annotation.duration))) return null;
+        return legs.flatMap(leg => leg.annotation.duration);
+    }
+
+    /**
+     * GraphHopper: converte os intervalos de `details.time` ([de, até, ms]) em durações
+     * por segmento (segundos), distribuindo o tempo de cada intervalo pela distância.
+     */
+    _timeDetailsToSegments(path, intervals) {
+        if (!Array.isArray(intervals) || intervals.length === 0 || !path || path.length < 2) return null;
+
+        const durations = new Array(path.length - 1).fill(0);
+        for (const [from, to, ms] of intervals) {
+            let span = 0;
+            for (let i = from; i < to; i++) span += RouteGeometry.haversine(path[i], path[i + 1]);
+
+            for (let i = from; i < to; i++) {
+                const share = span > 0 ? RouteGeometry.haversine(path[i], path[i + 1]) / span : 1 / (to - from);
+                durations[i] = (ms / 1000) * share;
+            }
+        }
+        return durations;
+    }
 }
 
 module.exports = RoutingProviderService;
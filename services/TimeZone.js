@@ -0,0 +1,102 @@
+const logger = require('../config/logger');
+
+/**
+ * Conversões entre instantes (UTC) e horário de parede em um fuso IANA, via Intl,
+ * sem depender do fuso do servidor.
+ */
+class TimeZone {
+    static isValid(timeZone) {
+        if (typeof timeZone !== 'string' || timeZone === '') return false;
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone });
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * Data e hora de parede de `date` no fuso: { year, month, day, hour, minute, second }.
+     */
+    static wallClock(date, timeZone) {
+        const parts = {};
+        TimeZone._formatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+            if (type !== 'literal') parts[type] = Number(value);
+        });
+        return { year: parts.year, month: parts.month, day: parts.day, hour: parts.hour, minute: parts.minute, second: parts.second };
+    }
+
+    /**
+     * Diferença do fuso para o UTC no instante `date`, em minutos (ex.: -180 em Brasília).
+     */
+    static offsetMinutes(date, timeZone) {
+        const wall = TimeZone.wallClock(date, timeZone);
+        const asUtc = Date.UTC(wall.year, wall.month - 1, wall.day, wall.hour, wall.minute, wall.second);
+        return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+    }
+
+    /**
+     * Instante do horário de parede no fuso. Campos fora do intervalo (dia 32, hora 24)
+     * são normalizados como em Date.UTC. Em horários que não existem na troca para o
+     * horário de verão, vale o offset de depois da troca.
+     */
+    static fromWallClock({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone) {
+        const guess = Date.UTC(year, month - 1, day, hour, minute, second);
+        const before = TimeZone.offsetMinutes(new Date(guess), timeZone);
+        const result = guess - before * 60000;
+        const after = TimeZone.offsetMinutes(new Date(result), timeZone);
+        return new Date(after === before ? result : guess - after * 60000);
+    }
+
+    /**
+     * ISO 8601 com o offset do fuso: "2030-01-01T09:00:00-03:00".
+     */
+    static toIsoString(date, timeZone) {
+        const wall = TimeZone.wallClock(date, timeZone);
+        const offset = TimeZone.offsetMinutes(date, timeZone);
+        const pad = (n) => String(n).padStart(2, '0');
+        const sign = offset < 0 ? '-' : '+';
+        return `${wall.year}-${pad(wall.month)}-${pad(wall.day)}T${pad(wall.hour)}:${pad(wall.minute)}:${pad(wall.second)}`
+            + `${sign}${pad(Math.floor(Math.abs(offset) / 60))}:${pad(Math.abs(offset) % 60)}`;
+    }
+
+    /**
+     * Data da requisição. Com offset ou "Z" vale o instante informado; sem offset
+     * (ex.: "2030-01-01T08:00" de um input datetime-local) é horário de parede no fuso
+     * do viajante. Retorna null para texto inválido.
+     */
+    static parse(value, timeZone) {
+        if (value instanceof Date) return value;
+        const text = String(value || '').trim();
+        const match = text.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?)?$/);
+        if (!match) {
+            const ms = Date.parse(text);
+            return isNaN(ms) ? null : new Date(ms);
+        }
+        const [, year, month, day, hour = 0, minute = 0, second = 0] = match.map(v => (v === undefined ? undefined : Number(v)));
+        return TimeZone.fromWallClock({ year, month, day, hour, minute, second }, timeZone);
+    }
+
+    static _formatter(timeZone) {
+        if (!FORMATTERS.has(timeZone)) {
+            FORMATTERS.set(timeZone, new Intl.DateTimeFormat('en-US', {
+                timeZone, hourCycle: 'h23',
+                year: 'numeric', month: '2-digit', day: '2-digit',
+                hour: '2-digit', minute: '2-digit', second: '2-digit'
+            }));
+        }
+        return FORMATTERS.get(timeZone);
+    }
+}
+
+const FORMATTERS = new Map();
+
+// Fuso do viajante quando a requisição não informa `timeZone`
+const FALLBACK_TIME_ZONE = 'America/Sao_Paulo';
+TimeZone.DEFAULT = process.env.DEFAULT_TIMEZONE || FALLBACK_TIME_ZONE;
+if (!TimeZone.isValid(TimeZone.DEFAULT)) {
+    logger.warn("DEFAULT_TIMEZONE inválido, usando o padrão", { value: TimeZone.DEFAULT, fallback: FALLBACK_TIME_ZONE });
+    TimeZone.DEFAULT = FALLBACK_TIME_ZONE;
+}
+
+module.exports = TimeZone;
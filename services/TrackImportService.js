@@ -0,0 +1,136 @@
+const RouteGeometry = require('./RouteGeometry');
+const { LocalizedError } = require('../config/i18n');
+
+const MAX_TRACK_POINTS = 50000;
+
+/**
+ * Lê trilhas prontas (GPX ou GeoJSON) e as converte no mesmo formato de rota devolvido
+ * pelo RoutingProviderService ({ path, distance, duration, segmentDurations, provider }),
+ * para que o orquestrador calcule o clima sobre a geometria exata, sem roteamento.
+ */
+class TrackImportService {
+    /**
+     * Detecta o formato pelo conteúdo: texto começando com "<" é GPX; objeto ou JSON é GeoJSON.
+     * Retorna { path: [[lng, lat]], times: [Date | null], name, format }.
+     */
+    parse(content) {
+        let track;
+        if (typeof content === 'string' && content.trim().startsWith('<')) {
+            track = this.parseGpx(content);
+        } else {
+            let geojson = content;
+            if (typeof content === 'string') {
+                try {
+                    geojson = JSON.parse(content);
+                } catch (e) {
+                    throw new LocalizedError('errors.trackInvalidFile');
+                }
+            }
+            track = this.parseGeoJson(geojson);
+        }
+
+        if (track.path.length < 2) throw new LocalizedError('errors.trackTooFewPoints');
+        if (track.path.length > MAX_TRACK_POINTS) throw new LocalizedError('errors.trackTooManyPoints', { max: MAX_TRACK_POINTS });
+        return track;
+    }
+
+    /**
+     * Pontos de trilha (<trkpt>) ou, na falta deles, de rota (<rtept>), com <time> opcional.
+     */
+    parseGpx(xml) {
+        const attr = (tag, name) => {
+            const match = tag.match(new RegExp(`\\b${name}\\s*=\\s*["']([^"']*)["']`));
+            return match ? Number(match[1]) : NaN;
+        };
+        const readPoints = (element) => {
+            const regex = new RegExp(`<${element}\\b([^>]*?)(?:/>|>([\\s\\S]*?)</${element}>)`, 'g');
+            return [...xml.matchAll(regex)].map(([, attributes, body = '']) => {
+                const time = body.match(/<time>\s*([^<]+?)\s*<\/time>/);
+                return { lat: attr(attributes, 'lat'), lng: attr(attributes, 'lon'), time: time ? new Date(time[1]) : null };
+            });
+        };
+
+        let points = readPoints('trkpt');
+        if (points.length === 0) points = readPoints('rtept');
+        if (points.some(p => !this._validCoordinate(p.lat, p.lng))) {
+            throw new LocalizedError('errors.gpxInvalidCoordinates');
+        }
+
+        const name = xml.match(/<(?:trk|rte)\b[^>]*>\s*<name>\s*([^<]+?)\s*<\/name>/);
+        return {
+            path: points.map(p => [p.lng, p.lat]),
+            times: points.map(p => (p.time && !isNaN(p.time) ? p.time : null)),
+            name: name ? name[1] : null,
+            format: 'gpx'
+        };
+    }
+
+    /**
+     * LineString ou MultiLineString (segmentos concatenados), direto ou dentro de um
+     * Feature/FeatureCollection (a primeira linha encontrada). Horários opcionais em
+     * `properties.coordTimes`, como gerado pelo togeojson.
+     */
+    parseGeoJson(geojson) {
+        const features = geojson && geojson.type === 'FeatureCollection' ? geojson.features || []
+            : geojson && geojson.type === 'Feature' ? [geojson]
+                : [{ type: 'Feature', geometry: geojson, properties: {} }];
+        const feature = features.find(f => f && f.geometry && ['LineString', 'MultiLineString'].includes(f.geometry.type));
+        if (!feature) throw new LocalizedError('errors.geojsonNoLine');
+
+        const { geometry, properties = {} } = feature;
+        const isMulti = geometry.type === 'MultiLineString';
+        const coordinates = isMulti ? [].concat(...geometry.coordinates) : geometry.coordinates;
+        if (!Array.isArray(coordinates) || coordinates.some(c => !Array.isArray(c) || !this._validCoordinate(c[1], c[0]))) {
+            throw new LocalizedError('errors.geojsonInvalidCoordinates');
+        }
+
+        const rawTimes = properties && properties.coordTimes;
+        const times = Array.isArray(rawTimes) ? (isMulti ? [].concat(...rawTimes) : rawTimes) : [];
+        return {
+            path: coordinates.map(c => [Number(c[0]), Number(c[1])]),
+            times: coordinates.map((_, i) => {
+                const date = times[i] ? new Date(times[i]) : null;
+                return date && !isNaN(date) ? date : null;
+            }),
+            name: (properties && properties.name) || null,
+            format: 'geojson'
+        };
+    }
+
+    /**
+     * Rota no formato do RoutingProviderService. Com horários em todos os pontos, a duração
+     * e o ritmo de cada segmento vêm deles e `departure` é o primeiro horário; sem eles,
+     * `averageSpeed` (km/h) é obrigatória e a duração é proporcional à distância.
+     */
+    toRouteData(track, { averageSpeed } = {}) {
+        const distance = RouteGeometry.cumulativeDistances(track.path)[track.path.length - 1];
+        const provider = track.format === 'gpx' ? 'GPX importado' : 'GeoJSON importado';
+        const times = track.times || [];
+        const timed = times.length === track.path.length && times.every(t => t)
+            && times.every((t, i) => i === 0 || t >= times[i - 1]);
+
+        if (timed) {
+            const segmentDurations = times.slice(1).map((t, i) => (t - times[i]) / 1000);
+            return {
+                path: track.path,
+                distance,
+                duration: (times[times.length - 1] - times[0]) / 1000,
+                segmentDurations,
+                provider,
+                departure: times[0]
+            };
+        }
+
+        if (!averageSpeed) {
+            throw new LocalizedError('errors.trackNeedsSpeed');
+        }
+        return { path: track.path, distance, duration: distance / (averageSpeed / 3.6), provider, departure: null };
+    }
+
+    _validCoordinate(lat, lng) {
+        return Number.isFinite(Number(lat)) && Number.isFinite(Number(lng))
+            && Math.abs(lat) <= 90 && Math.abs(lng) <= 180;
+    }
+}
+
+module.exports = TrackImportService;
@@ -0,0 +1,164 @@
+const crypto = require('crypto');
+const db = require('../config/database');
+const logger = require('../config/logger');
+
+const ID_BYTES = 6; // 8 caracteres em base64url
+const MAX_ID_ATTEMPTS = 5;
+
+/**
+ * Viagens salvas (tabela trips): parâmetros da busca e um snapshot do resultado,
+ * sob um id curto e aleatório usado nos links /t/:id.
+ */
+class TripRepository {
+    static generateId() {
+        return crypto.randomBytes(ID_BYTES).toString('base64url');
+    }
+
+    static isValidId(id) {
+        return typeof id === 'string' && /^[A-Za-z0-9_-]{8}$/.test(id);
+    }
+
+    /**
+     * Salva a viagem e retorna o registro criado. Um id repetido (raríssimo) é sorteado de novo.
+     */
+    async create(params, result) {
+        const now = Date.now();
+        for (let attempt = 1; attempt <= MAX_ID_ATTEMPTS; attempt++) {
+            const id = TripRepository.generateId();
+            try {
+                await new Promise((resolve, reject) => {
+                    db.run(
+                        `INSERT INTO trips (id, params, result, created_at, updated_at) VALUES (?, ?, ?, ?, ?)`,
+                        [id, JSON.stringify(params), JSON.stringify(result), now, now],
+                        (err) => (err ? reject(err) : resolve())
+                    );
+                });
+                logger.info("Viagem salva", { id });
+                return this._toTrip({ id, params, result, created_at: now, updated_at: now });
+            } catch (err) {
+                if (err.code !== 'SQLITE_CONSTRAINT' || attempt === MAX_ID_ATTEMPTS) {
+                    logger.error("Erro ao salvar viagem", { error: err.message });
+                    throw err;
+                }
+            }
+        }
+    }
+
+    get(id) {
+        return new Promise((resolve, reject) => {
+            db.get(`SELECT * FROM trips WHERE id = ?`, [id], (err, row) => {
+                if (err) return reject(err);
+                if (!row) return resolve(null);
+                try {
+                    resolve(this._toTrip({ ...row, params: JSON.parse(row.params), result: JSON.parse(row.result) }));
+                } catch (e) {
+                    logger.error("Erro ao parsear JSON da viagem", { error: e.message, id });
+                    resolve(null);
+                }
+            });
+        });
+    }
+
+    /**
+     * Troca o snapshot por uma previsão recalculada; retorna a viagem atualizada.
+     */
+    async updateResult(id, result) {
+        const now = Date.now();
+        await new Promise((resolve, reject) => {
+            db.run(`UPDATE trips SET result = ?, updated_at = ? WHERE id = ?`, [JSON.stringify(result), now, id],
+                (err) => (err ? reject(err) : resolve()));
+        });
+        return this.get(id);
+    }
+
+    /**
+     * Inscreve um canal para acompanhar a viagem, em nome da chave de API `apiKeyId`;
+     * retorna a inscrição criada.
+     */
+    async addWatch(tripId, channel, target, apiKeyId) {
+        const watch = { id: TripRepository.generateId(), tripId, channel, target, createdAt: new Date().toISOString() };
+        await new Promise((resolve, reject) => {
+            db.run(
+                `INSERT INTO trip_watches (id, trip_id, channel, target, api_key_id, created_at) VALUES (?, ?, ?, ?, ?, ?)`,
+                [watch.id, tripId, channel, target, apiKeyId, Date.parse(watch.createdAt)],
+                (err) => (err ? reject(err) : resolve())
+            );
+        });
+        return watch;
+    }
+
+    countWatches(tripId) {
+        return new Promise((resolve, reject) => {
+            db.get(`SELECT COUNT(*) AS total FROM trip_watches WHERE trip_id = ?`, [tripId],
+                (err, row) => (err ? reject(err) : resolve(row.total)));
+        });
+    }
+
+    /**
+     * Remove a inscrição feita pela chave `apiKeyId`; retorna a inscrição removida
+     * ({ id, channel, target }) ou null se ela não existir nessa viagem para essa chave.
+     */
+    async removeWatch(tripId, watchId, apiKeyId) {
+        const watch = await new Promise((resolve, reject) => {
+            db.get(`SELECT id, channel, target FROM trip_watches WHERE id = ? AND trip_id = ? AND api_key_id = ?`,
+                [watchId, tripId, apiKeyId], (err, row) => (err ? reject(err) : resolve(row || null)));
+        });
+        if (!watch) return null;
+        await new Promise((resolve, reject) => {
+            db.run(`DELETE FROM trip_watches WHERE id = ?`, [watchId], (err) => (err ? reject(err) : resolve()));
+        });
+        return watch;
+    }
+
+    /**
+     * Viagens com ao menos uma inscrição, cada uma com a lista `watches`.
+     */
+    getWatchedTrips() {
+        return new Promise((resolve, reject) => {
+            db.all(
+                `SELECT t.*, w.id AS watch_id, w.channel, w.target
+                FROM trips t JOIN trip_watches w ON w.trip_id = t.id
+                ORDER BY t.id`,
+                [],
+                (err, rows) => {
+                    if (err) return reject(err);
+                    const trips = new Map();
+                    for (const row of rows) {
+                        if (!trips.has(row.id)) {
+                            try {
+                                trips.set(row.id, {
+                                    ...this._toTrip({ ...row, params: JSON.parse(row.params), result: JSON.parse(row.result) }),
+                                    watches: []
+                                });
+                            } catch (e) {
+                                logger.error("Erro ao parsear JSON da viagem", { error: e.message, id: row.id });
+                                continue;
+                            }
+                        }
+                        trips.get(row.id).watches.push({ id: row.watch_id, channel: row.channel, target: row.target });
+                    }
+                    resolve([...trips.values()]);
+                }
+            );
+        });
+    }
+
+    markWatchNotified(watchId) {
+        return new Promise((resolve, reject) => {
+            db.run(`UPDATE trip_watches SET last_notified_at = ? WHERE id = ?`, [Date.now(), watchId],
+                (err) => (err ? reject(err) : resolve()));
+        });
+    }
+
+    _toTrip(row) {
+        return {
+            id: row.id,
+            params: row.params,
+            result: row.result,
+            createdAt: new Date(row.created_at).toISOString(),
+            updatedAt: new Date(row.updated_at).toISOString()
+        };
+    }
+}
+
+module.exports = TripRepository;
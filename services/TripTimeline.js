@@ -0,0 +1,114 @@
+const TimeZone = require('./TimeZone');
+
+/**
+ * Converte tempo de direção acumulado (segundos desde a partida, sem pausas) em horário
+ * real, considerando permanência nas paradas e uma janela diária de direção opcional
+ * (ex.: dirigir apenas das 07:00 às 19:00, pernoitando fora dela).
+ */
+class TripTimeline {
+    /**
+     * @param {Date} departure Horário de partida desejado
+     * @param {Object} options
+     * @param {Array<{offset: number, minutes: number, name: string}>} options.pauses Paradas com permanência, por tempo de direção
+     * @param {{start: string, end: string}|null} options.drivingWindow Janela diária no formato "HH:MM"
+     * @param {string|null} options.timeZone Fuso IANA da janela de direção (sem ele, o do servidor)
+     */
+    constructor(departure, { pauses = [], drivingWindow = null, timeZone = null } = {}) {
+        this.timeZone = timeZone;
+        this.pauses = pauses.filter(p => p.minutes > 0).sort((a, b) => a.offset - b.offset);
+        this.window = drivingWindow ? {
+            start: TripTimeline.parseTime(drivingWindow.start),
+            end: TripTimeline.parseTime(drivingWindow.end)
+        } : null;
+
+        // Partidas fora da janela aguardam a próxima abertura
+        this.departure = this.window ? this._enterWindow(departure.getTime()) : departure.getTime();
+    }
+
+    static parseTime(value) {
+        const [hours, minutes] = value.split(':').map(Number);
+        return { hours, minutes };
+    }
+
+    /**
+     * Horário real em que o carro atinge `drivingOffset` segundos de direção.
+     * Uma parada exatamente nesse ponto ainda não foi cumprida (horário de chegada).
+     */
+    at(drivingOffset) {
+        return new Date(this._simulate(drivingOffset).clock);
+    }
+
+    /**
+     * Horário de chegada e lista de pausas (paradas e pernoites) até `totalDuration`.
+     */
+    plan(totalDuration) {
+        const { clock, rests } = this._simulate(totalDuration, true);
+        return { departure: new Date(this.departure), arrival: new Date(clock), rests };
+    }
+
+    _simulate(target, collectRests = false) {
+        const rests = collectRests ? [] : null;
+        let clock = this.departure;
+        let driven = 0;
+
+        for (const pause of this.pauses) {
+            if (pause.offset >= target) break;
+            clock = this._drive(clock, driven, pause.offset - driven, rests);
+            driven = pause.offset;
+
+            const end = clock + pause.minutes * 60000;
+            if (rests) rests.push({ type: 'stop', name: pause.name, drivingOffset: pause.offset, start: new Date(clock), end: new Date(end) });
+            clock = end;
+        }
+
+        clock = this._drive(clock, driven, target - driven, rests);
+        return { clock, rests };
+    }
+
+    _drive(clock, driven, seconds, rests) {
+        if (!this.window) return clock + seconds * 1000;
+
+        let remaining = seconds * 1000;
+        while (remaining > 0) {
+            const entered = this._enterWindow(clock);
+            if (entered !== clock && rests) {
+                rests.push({ type: 'overnight', drivingOffset: driven + (seconds * 1000 - remaining) / 1000, start: new Date(clock), end: new Date(entered) });
+            }
+            clock = entered;
+
+            const chunk = Math.min(remaining, this._windowBounds(clock).end - clock);
+            clock += chunk;
+            remaining -= chunk;
+        }
+        return clock;
+    }
+
+    // Início e fim da janela no dia de `ms` (ou `days` dias depois)
+    _windowBounds(ms, days = 0) {
+        return {
+            start: this._localTime(ms, days, this.window.start),
+            end: this._localTime(ms, days, this.window.end)
+        };
+    }
+
+    // Horário de parede no dia de `ms` + `days`, no fuso da viagem
+    _localTime(ms, days, { hours, minutes }) {
+        if (this.timeZone) {
+            const { year, month, day } = TimeZone.wallClock(new Date(ms), this.timeZone);
+            return TimeZone.fromWallClock({ year, month, day: day + days, hour: hours, minute: minutes }, this.timeZone).getTime();
+        }
+        const date = new Date(ms);
+        date.setDate(date.getDate() + days);
+        date.setHours(hours, minutes, 0, 0);
+        return date.getTime();
+    }
+
+    _enterWindow(ms) {
+        const { start, end } = this._windowBounds(ms);
+        if (ms < start) return start;
+        if (ms < end) return ms;
+        return this._windowBounds(ms, 1).start;
+    }
+}
+
+module.exports = TripTimeline;
@@ -0,0 +1,184 @@
+const logger = require('../config/logger');
+const HazardScoringService = require('./HazardScoringService');
+const TimeZone = require('./TimeZone');
+const UnitConverter = require('./UnitConverter');
+const { t, DEFAULT_LOCALE } = require('../config/i18n');
+
+const TEMP_SWING = 5; // °C de diferença no mesmo checkpoint para notificar
+
+const isRainy = (w) => (w.precipitationProbability || 0) >= 50 || (w.precipitation || 0) >= 1;
+// Médias climatológicas (além do horizonte da previsão) não são comparadas
+const hasData = (w) => w && w.temp !== "--" && w.temp !== undefined && w.source !== 'climatology';
+
+/**
+ * Acompanhamento de viagens salvas: de tempos em tempos recalcula a previsão das viagens
+ * com inscrições ativas (ainda não iniciadas), compara com o último snapshot e avisa
+ * pelos canais do NotificationService quando aparece chuva, a temperatura muda muito
+ * ou o risco aumenta em algum checkpoint. Com `webhooks`, a mudança também vira o
+ * evento 'trip.forecast_changed' para os webhooks cadastrados.
+ */
+class TripWatchService {
+    constructor(tripRepo, forecastTrip, notifications, { intervalMs = 3 * 3600 * 1000, publicBaseUrl = '', webhooks = null, now = () => Date.now() } = {}) {
+        this.tripRepo = tripRepo;
+        this.forecastTrip = forecastTrip;
+        this.notifications = notifications;
+        this.intervalMs = intervalMs;
+        this.publicBaseUrl = publicBaseUrl.replace(/\/$/, '');
+        this.webhooks = webhooks;
+        this.now = now;
+        this.running = false;
+        this.timer = null;
+    }
+
+    // Agenda as rodadas; `intervalMs` 0 deixa o job desligado (ainda dá para chamar checkAll)
+    start() {
+        if (this.timer || !(this.intervalMs > 0)) return;
+        this.timer = setInterval(() => this.checkAll(), this.intervalMs);
+        logger.info("Acompanhamento de viagens agendado", { intervalMinutes: this.intervalMs / 60000 });
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Uma rodada do job. Rodadas não se sobrepõem; o erro de uma viagem não interrompe as demais.
+     * Retorna quantas viagens foram verificadas e quantas geraram notificação.
+     */
+    async checkAll() {
+        if (this.running) return { checked: 0, notified: 0 };
+        this.running = true;
+
+        let checked = 0;
+        let notified = 0;
+        try {
+            const trips = await this.tripRepo.getWatchedTrips();
+            for (const trip of trips) {
+                // Viagem já iniciada: nada mais a avisar (data sem offset vale no fuso de quem salvou)
+                const departure = TimeZone.parse(trip.params.date, trip.params.timeZone || TimeZone.DEFAULT);
+                if (departure && departure.getTime() <= this.now()) continue;
+
+                try {
+                    checked++;
+                    if (await this.checkTrip(trip)) notified++;
+                } catch (error) {
+                    logger.error("Erro ao verificar viagem acompanhada", { tripId: trip.id, error: error.message });
+                }
+            }
+        } catch (error) {
+            logger.error("Erro no acompanhamento de viagens", { error: error.message });
+        } finally {
+            this.running = false;
+        }
+
+        logger.info("Acompanhamento de viagens concluído", { checked, notified });
+        return { checked, notified };
+    }
+
+    /**
+     * Recalcula uma viagem, atualiza o snapshot e notifica os inscritos se a previsão piorou,
+     * no idioma em que a viagem foi salva.
+     */
+    async checkTrip(trip) {
+        const locale = trip.params.locale || DEFAULT_LOCALE;
+        const fresh = await this.forecastTrip(trip.params);
+        const changes = this.diffForecasts(trip.result, fresh, locale);
+        await this.tripRepo.updateResult(trip.id, fresh);
+        if (changes.length === 0) return false;
+
+        const notification = {
+            event: 'trip.forecast_changed',
+            tripId: trip.id,
+            tripUrl: `${this.publicBaseUrl}/t/${trip.id}`,
+            title: t(locale, 'notifications.title', { origin: trip.params.origin, destination: trip.params.destination }),
+            departure: trip.params.date,
+            checkedAt: new Date(this.now()).toISOString(),
+            locale,
+            units: fresh.units || UnitConverter.DEFAULT_UNITS,
+            changes
+        };
+
+        for (const watch of trip.watches) {
+            try {
+                await this.notifications.send(watch.channel, watch.target, notification);
+                await this.tripRepo.markWatchNotified(watch.id);
+            } catch (error) {
+                logger.error("Erro ao enviar notificação de viagem", { tripId: trip.id, watchId: watch.id, channel: watch.channel, error: error.message });
+            }
+        }
+
+        if (this.webhooks) {
+            try {
+                await this.webhooks.dispatch(notification.event, notification);
+            } catch (error) {
+                logger.error("Erro ao disparar webhooks da viagem", { tripId: trip.id, error: error.message });
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Mudanças relevantes entre dois resultados da rota principal, checkpoint a checkpoint
+     * (pareados pelo tempo de direção). Checkpoints sem dados em um dos lados são ignorados.
+     * Os limiares valem no métrico, mesmo que os snapshots estejam em `units` diferentes;
+     * as mensagens usam as unidades de `current`.
+     */
+    diffForecasts(previous, current, locale = DEFAULT_LOCALE) {
+        const before = (previous && previous.checkpoints) || [];
+        const beforeUnits = new UnitConverter(previous && previous.units);
+        const currentUnits = new UnitConverter(current && current.units);
+        const changes = [];
+
+        for (const checkpoint of (current && current.checkpoints) || []) {
+            const old = this._closest(before, checkpoint.drivingOffset);
+            if (!old || !hasData(old.weather) || !hasData(checkpoint.weather)) continue;
+
+            const where = {
+                formattedTime: checkpoint.formattedTime,
+                locationName: checkpoint.locationName,
+                distanceFromStart: checkpoint.distanceFromStart
+            };
+            const w = currentUnits.toMetric(checkpoint.weather);
+            const oldWeather = beforeUnits.toMetric(old.weather);
+
+            if (isRainy(w) && !isRainy(oldWeather)) {
+                changes.push({ type: 'rain', ...where, precipitationProbability: w.precipitationProbability, message: t(locale, 'notifications.rain', { condition: w.condition }) });
+            }
+
+            const swing = w.temp - oldWeather.temp;
+            if (Math.abs(swing) >= TEMP_SWING) {
+                const from = currentUnits.temperature(oldWeather.temp);
+                const to = checkpoint.weather.temp;
+                changes.push({ type: 'temperature', ...where, from, to, message: t(locale, 'notifications.temperature', { from, to, unit: currentUnits.labels.temperature }) });
+            }
+
+            const oldScore = old.hazard ? old.hazard.score : 0;
+            if (checkpoint.hazard && checkpoint.hazard.score > oldScore) {
+                changes.push({
+                    type: 'hazard',
+                    ...where,
+                    from: HazardScoringService.RISK_LEVELS[oldScore],
+                    to: checkpoint.hazard.level,
+                    reasons: checkpoint.hazard.reasons,
+                    message: checkpoint.hazard.reasons.length
+                        ? t(locale, 'notifications.hazardWithReasons', { level: t(locale, `hazard.levels.${checkpoint.hazard.level}`), reasons: checkpoint.hazard.reasons.join(', ') })
+                        : t(locale, 'notifications.hazard', { level: t(locale, `hazard.levels.${checkpoint.hazard.level}`) })
+                });
+            }
+        }
+        return changes;
+    }
+
+    // Checkpoint anterior mais próximo no tempo de direção (até 30 min de diferença)
+    _closest(checkpoints, drivingOffset) {
+        let best = null;
+        for (const c of checkpoints) {
+            const diff = Math.abs(c.drivingOffset - drivingOffset);
+            if (diff <= 1800 && (!best || diff < best.diff)) best = { c, diff };
+        }
+        return best ? best.c : null;
+    }
+}
+
+module.exports = TripWatchService;
@@ -0,0 +1,108 @@
+const { t, DEFAULT_LOCALE } = require('../config/i18n');
+
+// Unidades de cada sistema aceito em `units`. Os serviços calculam tudo no métrico;
+// a conversão é só para a resposta.
+const UNIT_SYSTEMS = {
+    metric: { temperature: '°C', distance: 'km', speed: 'km/h', precipitation: 'mm', visibility: 'm' },
+    imperial: { temperature: '°F', distance: 'mi', speed: 'mph', precipitation: 'in', visibility: 'mi' }
+};
+
+const DEFAULT_UNITS = 'metric';
+
+const KM_PER_MILE = 1.609344;
+const MM_PER_INCH = 25.4;
+
+const round = (value, decimals) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+const isNumber = (value) => typeof value === 'number' && !isNaN(value);
+
+/**
+ * Converte valores métricos (°C, km, km/h, mm, visibilidade e distância total em metros) para o sistema
+ * de unidades pedido. No métrico os valores passam sem mudança.
+ */
+class UnitConverter {
+    constructor(units = DEFAULT_UNITS) {
+        this.units = UNIT_SYSTEMS[units] ? units : DEFAULT_UNITS;
+        this.labels = UNIT_SYSTEMS[this.units];
+        this.imperial = this.units === 'imperial';
+    }
+
+    static isValid(units) {
+        return Object.prototype.hasOwnProperty.call(UNIT_SYSTEMS, units);
+    }
+
+    temperature(celsius) {
+        return this.imperial && isNumber(celsius) ? round(celsius * 9 / 5 + 32, 1) : celsius;
+    }
+
+    // Quilômetros inteiros (distanceFromStart) em milhas inteiras
+    distance(km) {
+        return this.imperial && isNumber(km) ? Math.round(km / KM_PER_MILE) : km;
+    }
+
+    speed(kmh) {
+        return this.imperial && isNumber(kmh) ? round(kmh / KM_PER_MILE, 1) : kmh;
+    }
+
+    precipitation(mm) {
+        return this.imperial && isNumber(mm) ? round(mm / MM_PER_INCH, 2) : mm;
+    }
+
+    // Metros no métrico, milhas no imperial
+    visibility(meters) {
+        return this.imperial && isNumber(meters) ? round(meters / 1000 / KM_PER_MILE, 1) : meters;
+    }
+
+    // Distância total da rota: metros no métrico, milhas (uma casa) no imperial
+    routeDistance(meters) {
+        return this.imperial && isNumber(meters) ? round(meters / 1000 / KM_PER_MILE, 1) : meters;
+    }
+
+    /**
+     * Cópia do clima de um checkpoint nas unidades do sistema.
+     */
+    weather(weather) {
+        if (!weather || !this.imperial) return weather;
+        const converted = {
+            ...weather,
+            temp: this.temperature(weather.temp),
+            apparentTemp: this.temperature(weather.apparentTemp),
+            precipitation: this.precipitation(weather.precipitation),
+            windSpeed: this.speed(weather.windSpeed),
+            windGusts: this.speed(weather.windGusts),
+            visibility: this.visibility(weather.visibility)
+        };
+        if (weather.climatology) {
+            converted.climatology = { ...weather.climatology, monthlyPrecipitation: this.precipitation(weather.climatology.monthlyPrecipitation) };
+        }
+        return converted;
+    }
+
+    /**
+     * Volta para o métrico um clima convertido por `weather` (usado para comparar
+     * snapshots salvos em unidades diferentes).
+     */
+    toMetric(weather) {
+        if (!weather || !this.imperial) return weather;
+        const fromF = (f) => (isNumber(f) ? round((f - 32) * 5 / 9, 1) : f);
+        const times = (value, factor) => (isNumber(value) ? round(value * factor, 1) : value);
+        return {
+            ...weather,
+            temp: fromF(weather.temp),
+            apparentTemp: fromF(weather.apparentTemp),
+            precipitation: times(weather.precipitation, MM_PER_INCH),
+            windSpeed: times(weather.windSpeed, KM_PER_MILE),
+            windGusts: times(weather.windGusts, KM_PER_MILE),
+            visibility: times(weather.visibility, KM_PER_MILE * 1000)
+        };
+    }
+
+    // Nome de um ponto sem cidade pela distância da partida ("Km 120" / "Mile 75")
+    milestone(distance, locale = DEFAULT_LOCALE) {
+        return this.imperial ? t(locale, 'places.mile', { mile: distance }) : t(locale, 'places.km', { km: distance });
+    }
+}
+
+UnitConverter.SYSTEMS = Object.keys(UNIT_SYSTEMS);
+UnitConverter.DEFAULT_UNITS = DEFAULT_UNITS;
+
+module.exports = UnitConverter;
@@ -1,130 +1,246 @@
 const axios = require('axios');
 const logger = require('../config/logger');
+const { getProvidersConfig } = require('../config/providers');
+const ProviderRegistry = require('./ProviderRegistry');
+const ClimatologyService = require('./ClimatologyService');
+const { t, weatherCondition, DEFAULT_LOCALE } = require('../config/i18n');
+
+// Variáveis horárias solicitadas ao Open-Meteo para cada checkpoint
+const HOURLY_VARIABLES = [
+    'temperature_2m', 'apparent_temperature', 'relativehumidity_2m', 'weathercode',
+    'precipitation_probability', 'precipitation', 'windspeed_10m', 'windgusts_10m', 'visibility'
+].join(',');
+
+// O Open-Meteo só tem previsão para hoje e os 15 dias seguintes (datas UTC)
+const FORECAST_DAYS = 16;
+
+const shiftDate = (isoDate, days) => new Date(Date.parse(isoDate) + days * 86400000).toISOString().slice(0, 10);
 
 class WeatherService {
+    /**
+     * @param {Object} config Endereços, timeouts, ordem de fallback e circuit breaker (ver config/providers.js)
+     * @param {Object} options
+     * @param {ClimatologyService} options.climatology Médias usadas além do horizonte de previsão
+     * @param {Function} options.now Relógio (injetável nos testes)
+     */
+    constructor(config = getProvidersConfig(), { climatology = new ClimatologyService(), now = () => Date.now() } = {}) {
+        this.WEATHER_API_KEY = process.env.WEATHER_API_KEY;
+        this.urls = config.urls;
+        this.timeout = config.timeouts.weather;
+        this.climatology = climatology;
+        this.now = now;
+
+        // `fetchBulkRange` é só de quem busca todos os pontos em um pedido: o WeatherAPI faz um
+        // pedido por ponto e fica fora dos lotes grandes (ver getBatchWeather)
+        this.registry = new ProviderRegistry('weather', { order: config.order.weather, ...config.breaker })
+            .register('openMeteo', {
+                fetchRange: (points) => this._fetchFromOpenMeteo(points),
+                fetchBulkRange: (points) => this._fetchFromOpenMeteo(points)
+            })
+            .register('weatherApi', { fetchRange: (points) => this._fetchFromWeatherAPI(points) }, {
+                isAvailable: () => Boolean(this.WEATHER_API_KEY)
+            });
+    }
+
     async getWeather(lat, lng, date) {
         const results = await this.getBatchWeather([{ lat, lng, date }]);
         return results[0];
     }
 
-    async getBatchWeather(points) {
+    /**
+     * Clima de cada ponto ({ lat, lng, date }), na mesma ordem, com a origem em `source`
+     * ('openMeteo', 'weatherApi' ou 'climatology'). Todos os pontos dentro do horizonte
+     * vão em um único pedido ao provedor, cobrindo o intervalo contínuo de datas da viagem;
+     * os que passam do horizonte recebem `beyondHorizon: true` e a média climatológica.
+     * Com `perPointFallback: false` (lotes grandes, como os horários de partida) o fallback
+     * do WeatherAPI, que faria um pedido por ponto, não é usado.
+     */
+    async getBatchWeather(points, { perPointFallback = true } = {}) {
         if (!points || points.length === 0) return [];
 
-        // Agrupar por data para otimizar chamadas (Open-Meteo batch suporta múltiplas coordenadas para o mesmo período)
-        const dateGroups = {};
+        const finalResults = new Array(points.length);
+        const horizon = this._forecastHorizon();
+        const inRange = [];
         points.forEach((p, idx) => {
-            const isoDate = p.date.toISOString().split('T')[0];
-            if (!dateGroups[isoDate]) dateGroups[isoDate] = [];
-            dateGroups[isoDate].push({ ...p, originalIdx: idx });
+            if (p.date.getTime() >= horizon) finalResults[idx] = this._beyondHorizon(p);
+            else inRange.push({ ...p, originalIdx: idx });
         });
+        if (inRange.length === 0) return finalResults;
 
-        const finalResults = new Array(points.length);
+        try {
+            const results = await this.registry.run(perPointFallback ? 'fetchRange' : 'fetchBulkRange', inRange);
+            // null: o instante fica depois da última hora devolvida pelo provedor
+            inRange.forEach((p, i) => { finalResults[p.originalIdx] = results[i] || this._beyondHorizon(p); });
+        } catch (e) {
+            // `error` permite traduzir a condição na resposta (ver RouteWeatherOrchestrator)
+            const error = e.response?.status === 429 ? 'rateLimited' : 'connection';
+            logger.error("Todos os provedores de clima falharam", { points: inRange.length, error: e.message });
+            inRange.forEach(p => {
+                finalResults[p.originalIdx] = { temp: "--", condition: t(DEFAULT_LOCALE, `weather.${error}`), error };
+            });
+        }
+
+        return finalResults;
+    }
+
+    // Primeiro instante sem previsão: 0h UTC do dia seguinte ao último dia do Open-Meteo
+    _forecastHorizon() {
+        const today = new Date(this.now()).toISOString().slice(0, 10);
+        return Date.parse(shiftDate(today, FORECAST_DAYS));
+    }
+
+    // Média climatológica do ponto ou, sem estação próxima, "fora do horizonte"
+    _beyondHorizon(point) {
+        const normals = this.climatology.getNormals(point.lat, point.lng, point.date);
+        if (normals) return { ...normals, source: 'climatology', beyondHorizon: true };
+        return { temp: "--", condition: t(DEFAULT_LOCALE, 'weather.beyondHorizon'), error: 'beyondHorizon', beyondHorizon: true };
+    }
+
+    /**
+     * Busca no Open-Meteo o clima de todos os pontos em um só pedido (com uma nova
+     * tentativa em caso de erro), do primeiro ao último dia da viagem. Retorna um
+     * resultado por ponto, na mesma ordem, com o fuso IANA do local em `timeZone`, ou
+     * null para pontos depois da última hora da resposta.
+     * Com timezone=auto os dias da resposta são os do local, então o pedido cobre também o
+     * dia anterior e o seguinte, e cada ponto fica com a hora mais próxima do seu instante
+     * (timeformat=unixtime), não com a hora do relógio do servidor.
+     */
+    async _fetchFromOpenMeteo(groupPoints) {
+        // Coordenadas repetidas (ex.: mesmo checkpoint em horários diferentes) são pedidas uma só vez
+        const coordIndex = new Map();
+        groupPoints.forEach(p => {
+            const key = `${p.lat},${p.lng}`;
+            if (!coordIndex.has(key)) coordIndex.set(key, coordIndex.size);
+        });
+        const uniqueCoords = [...coordIndex.keys()].map(k => k.split(','));
+        const lats = uniqueCoords.map(c => c[0]).join(',');
+        const lngs = uniqueCoords.map(c => c[1]).join(',');
+
+        const instants = groupPoints.map(p => p.date.getTime());
+        const lastDay = shiftDate(new Date(this.now()).toISOString().slice(0, 10), FORECAST_DAYS - 1);
+        const startDate = shiftDate(new Date(Math.min(...instants)).toISOString().slice(0, 10), -1);
+        const endDate = [shiftDate(new Date(Math.max(...instants)).toISOString().slice(0, 10), 1), lastDay].sort()[0];
 
-        for (const [isoDate, groupPoints] of Object.entries(dateGroups)) {
-            let attempts = 0;
-            const maxAttempts = 2;
-            let success = false;
-
-            while (attempts < maxAttempts && !success) {
-                try {
-                    attempts++;
-                    const lats = groupPoints.map(p => p.lat).join(',');
-                    const lngs = groupPoints.map(p => p.lng).join(',');
-                    
-                    const url = `https://api.open-meteo.com/v1/forecast?latitude=${lats}&longitude=${lngs}&hourly=temperature_2m,weathercode&start_date=${isoDate}&end_date=${isoDate}&timezone=auto`;
-                    
-                    logger.debug(`Buscando clima em lote (Tentativa ${attempts})`, { date: isoDate, count: groupPoints.length });
-                    const res = await axios.get(url, { 
-                        timeout: 15000,
-                        headers: { 'User-Agent': 'WeatherTrip/1.6.7' }
-                    });
-                    
-                    const dataArray = Array.isArray(res.data) ? res.data : [res.data];
-
-                    groupPoints.forEach((gp, i) => {
-                        const data = dataArray[i]?.hourly;
-                        const hour = gp.date.getHours();
-                        
-                        if (data && data.temperature_2m && data.temperature_2m[hour] !== undefined) {
-                            finalResults[gp.originalIdx] = {
-                                temp: data.temperature_2m[hour],
-                                condition: this.translateWMO(data.weathercode[hour])
-                            };
-                        } else {
-                            finalResults[gp.originalIdx] = { temp: "--", condition: "Sem dados" };
-                        }
-                    });
-                    success = true;
-
-                } catch (e) {
-                    const status = e.response ? e.response.status : 'TIMEOUT/NETWORK';
-                    const errorMsg = e.response ? JSON.stringify(e.response.data) : e.message;
-                    
-                    logger.error(`Erro ao buscar clima em lote (Tentativa ${attempts})`, { 
-                        status, 
-                        error: errorMsg,
-                        url: attempts === 1 ? e.config?.url : undefined 
-                    });
-
-                    if (attempts >= maxAttempts) {
-                        const detail = status === 429 ? "Limite excedido" : "Erro de conexão";
-                        
-                        // Tentativa de Fallback para WeatherAPI se tivermos a Key e for erro de limit
-                        const weatherApiKey = process.env.WEATHER_API_KEY;
-                        if (status === 429 && weatherApiKey) {
-                            logger.warn("Limite do Open-Meteo excedido. Tentando fallback para WeatherAPI...");
-                            try {
-                                await this._fetchFromWeatherAPI(groupPoints, finalResults, weatherApiKey);
-                                success = true;
-                                continue; // Vai para o próximo grupo (mas este já deu sucesso)
-                            } catch (fallbackError) {
-                                logger.error("Fallback para WeatherAPI também falhou", { error: fallbackError.message });
-                            }
-                        }
-
-                        groupPoints.forEach(gp => {
-                            finalResults[gp.originalIdx] = { temp: "--", condition: detail };
-                        });
-                    } else {
-                        // Espera um pouco antes da próxima tentativa (500ms)
-                        await new Promise(resolve => setTimeout(resolve, 500));
+        const url = `${this.urls.openMeteo}/v1/forecast?latitude=${lats}&longitude=${lngs}&hourly=${HOURLY_VARIABLES}&start_date=${startDate}&end_date=${endDate}&timezone=auto&timeformat=unixtime`;
+        const maxAttempts = 2;
+
+        for (let attempts = 1; ; attempts++) {
+            try {
+                logger.debug(`Buscando clima em lote (Tentativa ${attempts})`, { from: startDate, to: endDate, count: groupPoints.length, coords: uniqueCoords.length });
+                const res = await axios.get(url, {
+                    timeout: this.timeout,
+                    headers: { 'User-Agent': 'WeatherTrip/1.6.7' }
+                });
+
+                const dataArray = Array.isArray(res.data) ? res.data : [res.data];
+
+                return groupPoints.map(gp => {
+                    const location = dataArray[coordIndex.get(`${gp.lat},${gp.lng}`)];
+                    const data = location?.hourly;
+                    const hour = data ? this._hourIndex(data.time, gp.date) : -1;
+
+                    if (hour >= 0 && data.temperature_2m && data.temperature_2m[hour] !== undefined) {
+                        return { ...this._mapOpenMeteoHour(data, hour), timeZone: location.timezone || null, source: 'openMeteo' };
                     }
-                }
+                    if (data && Array.isArray(data.time) && gp.date.getTime() / 1000 > data.time[data.time.length - 1]) return null;
+                    return { temp: "--", condition: t(DEFAULT_LOCALE, 'weather.noData'), error: 'noData' };
+                });
+            } catch (e) {
+                const status = e.response ? e.response.status : 'TIMEOUT/NETWORK';
+                const errorMsg = e.response ? JSON.stringify(e.response.data) : e.message;
+
+                logger.error(`Erro ao buscar clima em lote (Tentativa ${attempts})`, {
+                    status,
+                    error: errorMsg,
+                    url: attempts === 1 ? e.config?.url : undefined
+                });
+
+                // Limite excedido não melhora com nova tentativa: passa direto para o próximo provedor
+                if (attempts >= maxAttempts || status === 429) throw e;
+
+                // Espera um pouco antes da próxima tentativa (500ms)
+                await new Promise(resolve => setTimeout(resolve, 500));
             }
         }
-
-        return finalResults;
     }
 
-    async _fetchFromWeatherAPI(points, results, apiKey) {
+    async _fetchFromWeatherAPI(points) {
+        const results = [];
         for (const p of points) {
-            const isoDate = p.date.toISOString().split('T')[0];
-            const url = `https://api.weatherapi.com/v1/history.json?key=${apiKey}&q=${p.lat},${p.lng}&dt=${isoDate}`;
-            
+            // unixdt devolve o dia local do instante; com +30 min é o dia da hora mais próxima
+            // do ponto, achada depois pelo instante (time_epoch)
+            const url = `${this.urls.weatherApi}/history.json?key=${this.WEATHER_API_KEY}&q=${p.lat},${p.lng}&unixdt=${Math.floor(p.date.getTime() / 1000) + 1800}`;
+
             try {
-                const res = await axios.get(url, { timeout: 10000 });
-                const hourIdx = p.date.getHours();
-                const dayData = res.data.forecast.forecastday[0].hour[hourIdx];
+                const res = await axios.get(url, { timeout: this.timeout });
+                const hours = res.data.forecast.forecastday[0].hour;
+                const dayData = hours[this._hourIndex(hours.map(h => h.time_epoch), p.date)];
+                if (!dayData) {
+                    results.push({ temp: "--", condition: t(DEFAULT_LOCALE, 'weather.noData'), error: 'noData' });
+                    continue;
+                }
 
-                results[p.originalIdx] = {
+                results.push({
                     temp: dayData.temp_c,
-                    condition: dayData.condition.text
-                };
+                    condition: dayData.condition.text,
+                    weatherCode: null, // WeatherAPI usa códigos próprios, não WMO
+                    apparentTemp: dayData.feelslike_c,
+                    humidity: dayData.humidity,
+                    precipitationProbability: dayData.chance_of_rain,
+                    precipitation: dayData.precip_mm,
+                    windSpeed: dayData.wind_kph,
+                    windGusts: dayData.gust_kph,
+                    visibility: dayData.vis_km !== undefined ? dayData.vis_km * 1000 : null,
+                    timeZone: res.data.location?.tz_id || null,
+                    source: 'weatherApi'
+                });
             } catch (e) {
                 logger.error("Erro individual no fallback WeatherAPI", { lat: p.lat, error: e.message });
-                throw e; // Propaga para o loop principal decidir o que fazer
+                throw e; // Propaga para o registro de provedores decidir o que fazer
             }
         }
+        return results;
     }
 
-    translateWMO(code) {
-        const table = {
-            0: "Céu Limpo ☀️", 1: "Predom. Limpo 🌤️", 2: "Parcial. Nublado ⛅", 3: "Encoberto ☁️",
-            45: "Nevoeiro 🌫️", 48: "Nevoeiro c/ Geada 🌫️", 51: "Garoa Leve 🌧️", 53: "Garoa Moderada 🌧️",
-            55: "Garoa Densa 🌧️", 61: "Chuva Fraca ☔", 63: "Chuva Moderada ☔", 65: "Chuva Forte ⛈️",
-            80: "Pancadas de Chuva 🌦️", 81: "Pancadas Fortes ⛈️", 95: "Tempestade ⚡", 96: "Tempestade c/ Granizo ❄️⚡"
+    /**
+     * Posição em `times` (horas cheias locais, em segundos Unix) da hora mais próxima de
+     * `date`, ou -1 se nenhuma estiver a até 30 min. Funciona também em fusos com offset
+     * fracionado (ex.: +05:30), onde a hora cheia local cai na meia hora UTC.
+     */
+    _hourIndex(times, date) {
+        if (!Array.isArray(times)) return -1;
+        const seconds = date.getTime() / 1000;
+        let best = -1;
+        times.forEach((time, i) => {
+            const diff = Math.abs(seconds - time);
+            if (diff <= 1800 && (best < 0 || diff < Math.abs(seconds - times[best]))) best = i;
+        });
+        return best;
+    }
+
+    /**
+     * Converte a hora `hour` do bloco `hourly` do Open-Meteo no formato de clima do checkpoint.
+     * Unidades: °C, %, mm, km/h e visibilidade em metros.
+     */
+    _mapOpenMeteoHour(hourly, hour) {
+        const pick = (key) => (hourly[key] && hourly[key][hour] !== undefined ? hourly[key][hour] : null);
+        return {
+            temp: hourly.temperature_2m[hour],
+            condition: this.translateWMO(hourly.weathercode[hour]),
+            weatherCode: hourly.weathercode[hour],
+            apparentTemp: pick('apparent_temperature'),
+            humidity: pick('relativehumidity_2m'),
+            precipitationProbability: pick('precipitation_probability'),
+            precipitation: pick('precipitation'),
+            windSpeed: pick('windspeed_10m'),
+            windGusts: pick('windgusts_10m'),
+            visibility: pick('visibility')
         };
-        return table[code] || `Clima (${code})`;
+    }
+
+    // Tabela de condições por código WMO nos catálogos de config/locales
+    translateWMO(code, locale = DEFAULT_LOCALE) {
+        return weatherCondition(code, locale);
     }
 }
 
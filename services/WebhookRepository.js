@@ -0,0 +1,113 @@
+const db = require('../config/database');
+
+const run = (sql, params = []) => new Promise((resolve, reject) => {
+    db.run(sql, params, function (err) {
+        if (err) return reject(err);
+        resolve({ lastID: this.lastID, changes: this.changes });
+    });
+});
+
+const all = (sql, params = []) => new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+});
+
+const toWebhook = (row) => ({
+    id: row.id,
+    url: row.url,
+    secret: row.secret,
+    events: JSON.parse(row.events),
+    tripId: row.trip_id || null,
+    createdAt: new Date(row.created_at).toISOString()
+});
+
+const toDelivery = (row) => ({
+    id: row.id,
+    webhookId: row.webhook_id,
+    event: row.event,
+    status: row.status,
+    attempts: row.attempts,
+    responseStatus: row.response_status,
+    error: row.error,
+    createdAt: new Date(row.created_at).toISOString(),
+    nextAttemptAt: row.next_attempt_at ? new Date(row.next_attempt_at).toISOString() : null,
+    deliveredAt: row.delivered_at ? new Date(row.delivered_at).toISOString() : null
+});
+
+/**
+ * Persistência dos webhooks (tabela webhooks) e do log de entregas (webhook_deliveries).
+ * Webhooks com `tripId` pertencem a uma inscrição em viagem e ficam fora de `list` e `findByEvent`.
+ */
+class WebhookRepository {
+    async create({ id, url, secret, events, tripId = null }) {
+        const createdAt = Date.now();
+        await run(`INSERT INTO webhooks (id, url, secret, events, trip_id, created_at) VALUES (?, ?, ?, ?, ?, ?)`,
+            [id, url, secret, JSON.stringify(events), tripId, createdAt]);
+        return toWebhook({ id, url, secret, events: JSON.stringify(events), trip_id: tripId, created_at: createdAt });
+    }
+
+    async get(id) {
+        const [row] = await all(`SELECT * FROM webhooks WHERE id = ?`, [id]);
+        return row ? toWebhook(row) : null;
+    }
+
+    // Só os webhooks globais, cadastrados na administração
+    async list() {
+        return (await all(`SELECT * FROM webhooks WHERE trip_id IS NULL ORDER BY created_at`)).map(toWebhook);
+    }
+
+    /**
+     * Remove o webhook e o seu log de entregas; retorna false se ele não existir.
+     */
+    async remove(id) {
+        await run(`DELETE FROM webhook_deliveries WHERE webhook_id = ?`, [id]);
+        return (await run(`DELETE FROM webhooks WHERE id = ?`, [id])).changes > 0;
+    }
+
+    async findByEvent(event) {
+        return (await this.list()).filter(hook => hook.events.includes(event));
+    }
+
+    /**
+     * Registra uma entrega pendente; `nextAttemptAt` é quando o reenvio pode pegá-la.
+     */
+    async createDelivery(webhookId, event, payload, nextAttemptAt) {
+        const { lastID } = await run(
+            `INSERT INTO webhook_deliveries (webhook_id, event, payload, status, attempts, created_at, next_attempt_at)
+            VALUES (?, ?, ?, 'pending', 0, ?, ?)`,
+            [webhookId, event, JSON.stringify(payload), Date.now(), nextAttemptAt]
+        );
+        return lastID;
+    }
+
+    async recordAttempt(id, { status, attempts, responseStatus = null, error = null, nextAttemptAt = null, deliveredAt = null }) {
+        await run(
+            `UPDATE webhook_deliveries
+            SET status = ?, attempts = ?, response_status = ?, error = ?, next_attempt_at = ?, delivered_at = ?
+            WHERE id = ?`,
+            [status, attempts, responseStatus, error, nextAttemptAt, deliveredAt, id]
+        );
+    }
+
+    /**
+     * Entregas pendentes com nova tentativa vencida, já com URL e segredo do webhook.
+     */
+    async dueDeliveries(now, limit = 50) {
+        const rows = await all(
+            `SELECT d.*, w.url, w.secret, w.trip_id FROM webhook_deliveries d JOIN webhooks w ON w.id = d.webhook_id
+            WHERE d.status = 'pending' AND d.next_attempt_at <= ?
+            ORDER BY d.next_attempt_at LIMIT ?`,
+            [now, limit]
+        );
+        return rows.map(row => ({ ...toDelivery(row), url: row.url, secret: row.secret, tripId: row.trip_id, payload: JSON.parse(row.payload) }));
+    }
+
+    async deliveries(webhookId, limit = 50) {
+        const rows = await all(
+            `SELECT * FROM webhook_deliveries WHERE webhook_id = ? ORDER BY id DESC LIMIT ?`,
+            [webhookId, limit]
+        );
+        return rows.map(toDelivery);
+    }
+}
+
+module.exports = WebhookRepository;
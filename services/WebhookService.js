@@ -0,0 +1,183 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const logger = require('../config/logger');
+
+const MAX_ATTEMPTS = 5;
+const BASE_BACKOFF_MS = 30 * 1000; // 30 s, 2 min, 8 min, 32 min entre as tentativas
+const SWEEP_INTERVAL_MS = 30 * 1000;
+
+// Destinos que um webhook de viagem (cadastrado sem autenticação de administrador) não
+// pode ter: rede privada, loopback, link-local, CGNAT, multicast e reservados. O BlockList
+// confere IPv6 mapeados (::ffff:a.b.c.d) com as faixas IPv4.
+const PRIVATE_RANGES = new net.BlockList();
+[['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]]
+    .forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv4'));
+[['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]
+    .forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Entrega de eventos para os webhooks cadastrados. Cada entrega é gravada no log
+ * (webhook_deliveries), tentada na hora e, em caso de falha, de novo com backoff
+ * exponencial até MAX_ATTEMPTS. O corpo vai assinado com HMAC-SHA256 do segredo do
+ * webhook sobre `${timestamp}.${corpo}`.
+ *
+ * Webhooks com `tripId` são os das inscrições em viagens (POST /trips/:id/watch): não
+ * recebem os eventos globais e, antes de cada tentativa, o destino é conferido de novo
+ * com `isPublicUrl` (o DNS pode ter mudado desde o cadastro).
+ */
+class WebhookService {
+    constructor(repo, { http = axios, timeout = 5000, now = () => Date.now(), isPublicUrl = WebhookService.isPublicUrl } = {}) {
+        this.repo = repo;
+        this.http = http;
+        this.timeout = timeout;
+        this.now = now;
+        this.isPublicUrl = isPublicUrl;
+        this.timer = null;
+        this.sweeping = false;
+    }
+
+    static get EVENTS() {
+        return ['forecast.completed', 'trip.forecast_changed'];
+    }
+
+    static sign(secret, timestamp, body) {
+        return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    }
+
+    static generateSecret() {
+        return crypto.randomBytes(24).toString('base64url');
+    }
+
+    static backoff(attempts) {
+        return BASE_BACKOFF_MS * 4 ** (attempts - 1);
+    }
+
+    /**
+     * URL http(s) sem credenciais cujo host (ou todos os IPs para os quais ele resolve)
+     * é um endereço público.
+     */
+    static async isPublicUrl(url, lookup = dns.promises.lookup) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (e) {
+            return false;
+        }
+        if (!['http:', 'https:'].includes(parsed.protocol) || parsed.username || parsed.password) return false;
+
+        const host = parsed.hostname.replace(/^\[|\]$/g, '');
+        try {
+            const addresses = net.isIP(host)
+                ? [{ address: host, family: net.isIP(host) }]
+                : await lookup(host, { all: true, verbatim: true });
+            return addresses.length > 0 &&
+                addresses.every(({ address, family }) => !PRIVATE_RANGES.check(address, family === 6 ? 'ipv6' : 'ipv4'));
+        } catch (e) {
+            return false;
+        }
+    }
+
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.retryDue(), SWEEP_INTERVAL_MS);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Registra uma entrega para cada webhook inscrito no evento e tenta enviá-las.
+     * Retorna quantas entregas foram criadas.
+     */
+    async dispatch(event, data) {
+        const hooks = await this.repo.findByEvent(event);
+        for (const hook of hooks) await this._createAndDeliver(hook, event, data);
+        return hooks.length;
+    }
+
+    /**
+     * Entrega um evento a um webhook específico (o de uma inscrição em viagem).
+     * Retorna se a primeira tentativa deu certo; as falhas seguem para o reenvio.
+     */
+    async deliverTo(webhookId, event, data) {
+        const hook = await this.repo.get(webhookId);
+        if (!hook) throw new Error(`Webhook não encontrado: ${webhookId}`);
+        return this._createAndDeliver(hook, event, data);
+    }
+
+    async _createAndDeliver(hook, event, data) {
+        const payload = { event, createdAt: new Date(this.now()).toISOString(), data };
+        // A primeira tentativa é feita agora; o reenvio só a pega depois do primeiro backoff,
+        // quando ela já terá registrado o resultado (ou o processo caiu no meio dela)
+        const id = await this.repo.createDelivery(hook.id, event, payload, this.now() + WebhookService.backoff(1));
+        return this.deliver({ id, event, attempts: 0, url: hook.url, secret: hook.secret, tripId: hook.tripId, payload });
+    }
+
+    /**
+     * Reenvia as entregas pendentes cuja próxima tentativa já venceu. Uma varredura que
+     * começa com a anterior ainda em andamento não faz nada, para não reenviar as mesmas entregas.
+     */
+    async retryDue() {
+        if (this.sweeping) return 0;
+        this.sweeping = true;
+        try {
+            const due = await this.repo.dueDeliveries(this.now());
+            for (const delivery of due) await this.deliver(delivery);
+            return due.length;
+        } catch (error) {
+            logger.error("Erro ao reenviar webhooks pendentes", { error: error.message });
+            return 0;
+        } finally {
+            this.sweeping = false;
+        }
+    }
+
+    /**
+     * Uma tentativa de entrega; registra o resultado e agenda a próxima se ainda houver tentativas.
+     */
+    async deliver(delivery) {
+        const attempts = delivery.attempts + 1;
+        const body = JSON.stringify(delivery.payload);
+        const timestamp = Math.floor(this.now() / 1000);
+
+        try {
+            if (delivery.tripId && !(await this.isPublicUrl(delivery.url))) {
+                throw new Error('Destino do webhook não é um endereço público');
+            }
+            // Sem seguir redirecionamentos, que levariam a entrega para outro destino
+            const response = await this.http.post(delivery.url, body, {
+                timeout: this.timeout,
+                maxRedirects: 0,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-WeatherRoute-Event': delivery.event,
+                    'X-WeatherRoute-Delivery': String(delivery.id),
+                    'X-WeatherRoute-Timestamp': String(timestamp),
+                    'X-WeatherRoute-Signature': `sha256=${WebhookService.sign(delivery.secret, timestamp, body)}`
+                }
+            });
+            await this.repo.recordAttempt(delivery.id, { status: 'success', attempts, responseStatus: response.status, deliveredAt: this.now() });
+            return true;
+        } catch (error) {
+            const failed = attempts >= MAX_ATTEMPTS;
+            await this.repo.recordAttempt(delivery.id, {
+                status: failed ? 'failed' : 'pending',
+                attempts,
+                responseStatus: error.response ? error.response.status : null,
+                error: error.message,
+                nextAttemptAt: failed ? null : this.now() + WebhookService.backoff(attempts)
+            });
+            logger.warn("Falha na entrega de webhook", { deliveryId: delivery.id, url: delivery.url, attempts, failed, error: error.message });
+            return false;
+        }
+    }
+}
+
+WebhookService.MAX_ATTEMPTS = MAX_ATTEMPTS;
+
+module.exports = WebhookService;
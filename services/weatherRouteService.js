@@ -1,112 +1,528 @@
 const logger = require('../config/logger');
+const HazardScoringService = require('./HazardScoringService');
+const RouteGeometry = require('./RouteGeometry');
+const TripTimeline = require('./TripTimeline');
+const TimeZone = require('./TimeZone');
+const UnitConverter = require('./UnitConverter');
+const { TRAVEL_PROFILES, DEFAULT_PROFILE } = require('../config/travelProfiles');
+const { t, LocalizedError, weatherCondition, DEFAULT_LOCALE } = require('../config/i18n');
+
+const formatDateTime = (date, locale = DEFAULT_LOCALE, timeZone = TimeZone.DEFAULT) => date.toLocaleTimeString(locale, { day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit', timeZone });
 
 class RouteWeatherOrchestrator {
-    constructor(cacheRepo, geocodingService, routingService, weatherService) {
+    constructor(cacheRepo, geocodingService, routingService, weatherService, hazardService = new HazardScoringService()) {
         this.cacheRepo = cacheRepo;
         this.geocodingService = geocodingService;
         this.routingService = routingService;
         this.weatherService = weatherService;
-        this.CHECKPOINT_INTERVAL = 3600; // 1 checkpoint por hora
+        this.hazardService = hazardService;
+        this.CHECKPOINT_INTERVAL = 3600; // 1 checkpoint por hora (padrão quando o modo de viagem não define outro)
+        this.MAX_CHECKPOINTS = 100; // Limite de segurança para intervalos curtos em rotas longas
     }
 
     /**
-     * Fluxo principal: Geocoding -> Cache Check -> Routing -> Weather -> Response
+     * Fluxo principal: Geocoding -> Routing (cache de rotas) -> Weather (cache de clima) -> Hazard -> Response
+     * `options.onProgress(event, data)` recebe as etapas parciais ('route', 'weather',
+     * 'location') para respostas em streaming. `options.locale` escolhe o idioma de
+     * condições, riscos e horários formatados. `options.timeZone` é o fuso IANA do
+     * viajante: vale para datas sem offset e para a janela de direção. `options.units`
+     * ('metric' ou 'imperial') escolhe as unidades de clima e distâncias da resposta.
+     * `options.countries` restringe a geocodificação a esses países (ver GeocodingService).
      */
-    async getRouteForecast(originText, destinationText, stopsTexts = [], dateString = '') {
+    async getRouteForecast(originText, destinationText, stopsTexts = [], dateString = '', options = {}) {
         try {
-            const departureDate = dateString ? new Date(dateString) : new Date();
-            const departureIsoKey = departureDate.toISOString().slice(0, 13);
+            const onProgress = options.onProgress || (() => { });
+            const timeZone = options.timeZone || TimeZone.DEFAULT;
+            const departureDate = dateString ? TimeZone.parse(dateString, timeZone) : new Date();
+
+            const stops = this._normalizeStops(stopsTexts);
+            const drivingWindow = options.drivingWindow || null;
+            const profile = options.profile || DEFAULT_PROFILE;
+            const locale = options.locale || DEFAULT_LOCALE;
 
-            logger.info("Iniciando cálculo de rota com previsão", { origin: originText, destination: destinationText, stops: stopsTexts.length });
+            logger.info("Iniciando cálculo de rota com previsão", { origin: originText, destination: destinationText, stops: stops.length });
 
             // 1. Geocoding
-            const points = [];
-            const locationNames = [originText, ...stopsTexts.filter(s => s.trim() !== ""), destinationText];
+            const points = await this._geocodeLocations(originText, destinationText, stops, options.countries);
 
-            for (const name of locationNames) {
-                const coord = await this.geocodingService.getCoordinates(name);
-                if (!coord) throw new Error(`Localidade não encontrada: ${name}`);
-                points.push({ ...coord, originalName: name });
-            }
+            // 2. Routing (cache de geometria ou provedores com fallbacks automáticos)
+            const routeData = await this._getRoute(points, profile);
+            const converter = new UnitConverter(options.units);
+            onProgress('route', {
+                routeGeo: routeData.path,
+                alternatives: (routeData.alternatives || []).map(a => a.path),
+                provider: routeData.provider,
+                profile,
+                distanceTotal: converter.routeDistance(routeData.distance),
+                durationTotal: routeData.duration,
+                units: converter.units
+            });
+
+            // 3. Processar Checkpoints (Clima ao longo do tempo, com paradas e pernoites)
+            const sampling = this._resolveSampling(options, profile);
+            const forecastOptions = { sampling, drivingWindow, profile, locale, timeZone, units: options.units, onProgress };
+            const primary = await this._forecastRoute(routeData, departureDate, points, { ...forecastOptions, routeIndex: 0 });
 
-            // 2. Cache Check (Baseado em coordenadas e data)
-            const cacheKey = points.map(p => `${Number(p.lat).toFixed(4)},${Number(p.lng).toFixed(4)}`).join('|');
-            const cachedData = await this.cacheRepo.checkCache(cacheKey, departureIsoKey);
-            if (cachedData) {
-                logger.info("Cache Hit - Rota recuperada", { cacheKey });
-                return cachedData;
+            // 3.1 Mesmo pipeline para cada rota alternativa devolvida pelo provedor
+            const alternatives = [];
+            for (const [i, alternative] of (routeData.alternatives || []).entries()) {
+                alternatives.push(await this._forecastRoute(alternative, departureDate, points, { ...forecastOptions, routeIndex: i + 1 }));
             }
 
-            // 3. Routing (Com fallbacks automáticos)
-            const routeData = await this.routingService.getRouteWithFallback(points);
+            const finalResult = { ...primary, alternatives };
+
+            logger.info("Cálculo de rota finalizado com sucesso", { provider: routeData.provider });
+            return finalResult;
+        } catch (error) {
+            logger.error("Erro no Orquestrador de Rota", { error: error.message, originText, destinationText });
+            throw error;
+        }
+    }
+
+    /**
+     * Previsão sobre uma trilha importada (TrackImportService.toRouteData): sem geocoding
+     * nem roteamento, o clima é calculado direto na geometria recebida. A partida é
+     * `dateString`, ou o primeiro horário da trilha, ou agora. Os nomes de partida e
+     * chegada também vêm da geocodificação reversa.
+     */
+    async getTrackForecast(routeData, dateString = '', options = {}) {
+        try {
+            const onProgress = options.onProgress || (() => { });
+            const timeZone = options.timeZone || TimeZone.DEFAULT;
+            const departureDate = dateString ? TimeZone.parse(dateString, timeZone) : (routeData.departure || new Date());
+            const profile = options.profile || DEFAULT_PROFILE;
 
-            // 4. Processar Checkpoints (Clima ao longo do tempo)
-            const checkpoints = await this._processCheckpoints(routeData, departureDate, points);
+            logger.info("Iniciando previsão de trilha importada", { provider: routeData.provider, points: routeData.path.length });
 
-            const finalResult = {
+            const converter = new UnitConverter(options.units);
+            onProgress('route', {
                 routeGeo: routeData.path,
-                checkpoints: checkpoints,
+                alternatives: [],
                 provider: routeData.provider,
-                distanceTotal: routeData.distance,
-                durationTotal: routeData.duration
-            };
+                profile,
+                distanceTotal: converter.routeDistance(routeData.distance),
+                durationTotal: routeData.duration,
+                units: converter.units
+            });
 
-            // 5. Salvar no Cache
-            this.cacheRepo.saveToCache(cacheKey, departureIsoKey, finalResult);
+            const result = await this._forecastRoute(routeData, departureDate, [], {
+                sampling: this._resolveSampling(options, profile),
+                drivingWindow: options.drivingWindow || null,
+                profile,
+                locale: options.locale || DEFAULT_LOCALE,
+                timeZone,
+                units: options.units,
+                onProgress
+            });
+            return { ...result, alternatives: [] };
+        } catch (error) {
+            logger.error("Erro na previsão de trilha importada", { error: error.message });
+            throw error;
+        }
+    }
 
-            logger.info("Cálculo de rota finalizado com sucesso", { provider: routeData.provider });
-            return finalResult;
+    /**
+     * Pipeline de clima de uma rota: checkpoints, risco, pausas e resumo climático.
+     * O clima de todos os checkpoints é emitido ('weather') antes da geocodificação
+     * reversa, que é lenta e emite cada nome ('location') conforme resolvido.
+     * A chegada é formatada no fuso do destino. Risco e nota do clima são calculados no
+     * métrico; depois clima, distâncias dos checkpoints e distância total passam para `units`.
+     */
+    async _forecastRoute(routeData, departureDate, points, { sampling = {}, drivingWindow = null, profile = DEFAULT_PROFILE, locale = DEFAULT_LOCALE, timeZone = TimeZone.DEFAULT, units = UnitConverter.DEFAULT_UNITS, routeIndex = 0, onProgress = () => { } } = {}) {
+        const converter = new UnitConverter(units);
+        const schedule = this._buildCheckpointSchedule(routeData, sampling, points);
+        const timeline = this._buildTimeline(departureDate, schedule, drivingWindow, timeZone);
+        const checkpoints = await this._processCheckpoints(schedule, timeline, points, profile, locale, timeZone, converter.units);
+        const plan = timeline.plan(routeData.duration || 0);
+        const weatherSummary = this._scoreWeather(checkpoints.map(c => c.weather), profile);
+        this._applyUnits(checkpoints, converter);
+        const arrivalZone = this._timeZoneAt(checkpoints, Infinity, timeZone);
+        const arrival = {
+            arrivalTime: plan.arrival.toISOString(),
+            arrivalLocalTime: TimeZone.toIsoString(plan.arrival, arrivalZone),
+            formattedArrival: formatDateTime(plan.arrival, locale, arrivalZone)
+        };
+
+        onProgress('weather', {
+            route: routeIndex,
+            checkpoints,
+            hazardSummary: this.hazardService.summarizeRoute(checkpoints),
+            weatherSummary,
+            ...arrival,
+            units: converter.units
+        });
+        await this._resolveLocationNames(checkpoints, (index, locationName) => {
+            onProgress('location', { route: routeIndex, index, locationName });
+        }, locale);
+
+        return {
+            routeGeo: routeData.path,
+            checkpoints: checkpoints,
+            hazardSummary: this.hazardService.summarizeRoute(checkpoints),
+            weatherSummary,
+            restPeriods: this._applyUnits(await this._describeRests(plan.rests, routeData, locale, checkpoints, timeZone), converter),
+            ...arrival,
+            units: converter.units,
+            provider: routeData.provider,
+            profile,
+            distanceTotal: converter.routeDistance(routeData.distance),
+            durationTotal: routeData.duration
+        };
+    }
+
+    /**
+     * Compara horários de partida: uma única chamada de roteamento, e o clima de cada
+     * checkpoint avaliado para cada candidato dentro da janela informada.
+     */
+    async getDepartureOptions(originText, destinationText, stopsTexts = [], options = {}) {
+        const { dateString = '', windowHours = 48, stepMinutes = 60, limit = 10, drivingWindow = null, profile = DEFAULT_PROFILE, locale = DEFAULT_LOCALE, timeZone = TimeZone.DEFAULT, countries } = options;
+
+        try {
+            const windowStart = dateString ? TimeZone.parse(dateString, timeZone) : new Date();
+            logger.info("Avaliando horários de partida", { origin: originText, destination: destinationText, windowHours, stepMinutes });
+
+            const points = await this._geocodeLocations(originText, destinationText, this._normalizeStops(stopsTexts), countries);
+            const routeData = await this._getRoute(points, profile);
+            const schedule = this._buildCheckpointSchedule(routeData, this._resolveSampling(options, profile), points);
+
+            const candidates = [];
+            for (let offset = 0; offset <= windowHours * 60; offset += stepMinutes) {
+                candidates.push(new Date(windowStart.getTime() + offset * 60000));
+            }
+
+            // Todos os pontos (candidato x checkpoint) em um só lote de clima, sem o fallback por
+            // ponto: com o Open-Meteo fora, seriam centenas de pedidos ao WeatherAPI
+            const batch = [];
+            const timelines = candidates.map(departure => {
+                const timeline = this._buildTimeline(departure, schedule, drivingWindow, timeZone);
+                schedule.forEach(s => batch.push({ lat: s.lat, lng: s.lng, date: timeline.at(s.timeOffset) }));
+                return timeline;
+            });
+            const weatherData = await this._getBatchWeather(batch, { perPointFallback: false });
+
+            const ranked = candidates.map((departure, c) => {
+                const weathers = weatherData.slice(c * schedule.length, (c + 1) * schedule.length);
+                const plan = timelines[c].plan(routeData.duration || 0);
+                return {
+                    departure: plan.departure.toISOString(),
+                    arrival: plan.arrival.toISOString(),
+                    formattedDeparture: formatDateTime(plan.departure, locale, timeZone),
+                    ...this._scoreWeather(weathers, profile)
+                };
+            });
+
+            ranked.sort((a, b) => b.weatherScore - a.weatherScore || a.departure.localeCompare(b.departure));
+
+            return {
+                provider: routeData.provider,
+                profile,
+                distanceTotal: routeData.distance,
+                durationTotal: routeData.duration,
+                evaluated: ranked.length,
+                options: ranked.slice(0, limit)
+            };
         } catch (error) {
-            logger.error("Erro no Orquestrador de Rota", { error: error.message, originText, destinationText });
+            logger.error("Erro ao avaliar horários de partida", { error: error.message, originText, destinationText });
             throw error;
         }
     }
 
-    async _processCheckpoints(routeData, departureTime, userPoints = []) {
-        const checkpointsInfo = [];
-        let timeOffset = 0;
-        const totalDuration = routeData.duration || 0;
-        const totalDistance = routeData.distance || 0;
+    /**
+     * Nota de 0 a 100 (maior = melhor) para o clima de uma viagem (uma partida ou uma
+     * rota), combinando chance de chuva, volume de chuva e nível de risco em cada
+     * checkpoint. Checkpoints sem dados são ignorados.
+     */
+    _scoreWeather(weathers, profile = DEFAULT_PROFILE) {
+        // Médias climatológicas não diferenciam um horário de outro: só conta a previsão
+        const valid = weathers.filter(w => w && w.temp !== "--" && w.source !== 'climatology');
+        if (valid.length === 0) {
+            return { weatherScore: 0, coverage: 0, rainyCheckpoints: 0, maxHazardLevel: null };
+        }
+
+        let penalty = 0;
+        let rainyCheckpoints = 0;
+        let maxHazard = 0;
+
+        for (const w of valid) {
+            const prob = (w.precipitationProbability || 0) / 100;
+            const amount = Math.min((w.precipitation || 0) / 5, 1);
+            const hazard = this.hazardService.assessCheckpoint(w, profile);
+
+            penalty += 0.4 * prob + 0.3 * amount + 0.3 * (hazard.score / 3);
+            if (prob >= 0.5 || (w.precipitation || 0) >= 1) rainyCheckpoints++;
+            maxHazard = Math.max(maxHazard, hazard.score);
+        }
+
+        return {
+            weatherScore: Math.round(100 * (1 - penalty / valid.length)),
+            coverage: Math.round((valid.length / weathers.length) * 100) / 100,
+            rainyCheckpoints,
+            maxHazardLevel: HazardScoringService.RISK_LEVELS[maxHazard]
+        };
+    }
+
+    /**
+     * Chave do cache de rotas: coordenadas dos pontos e, fora do modo padrão, o modo de
+     * viagem. Espaçamento, permanências e horários não mudam a geometria.
+     */
+    _buildRouteKey(points, profile = DEFAULT_PROFILE) {
+        let key = points.map(p => `${Number(p.lat).toFixed(4)},${Number(p.lng).toFixed(4)}`).join('|');
+        if (profile !== DEFAULT_PROFILE) key += `|mode=${profile}`;
+        return key;
+    }
+
+    /**
+     * Rota do cache de geometria ou, sem ela, dos provedores (salva no cache em seguida).
+     */
+    async _getRoute(points, profile = DEFAULT_PROFILE) {
+        const routeKey = this._buildRouteKey(points, profile);
+        const cached = await this.cacheRepo.getRoute(routeKey);
+        if (cached) {
+            logger.info("Cache Hit - Rota recuperada", { routeKey });
+            return cached;
+        }
+
+        const routeData = await this.routingService.getRouteWithFallback(points, profile);
+        this.cacheRepo.saveRoute(routeKey, routeData);
+        return routeData;
+    }
+
+    /**
+     * Clima em lote combinando o cache (por ponto e hora) com os provedores: só os
+     * pontos sem cache válido são consultados, e o resultado deles é salvo.
+     */
+    async _getBatchWeather(points, options) {
+        const cached = await this.cacheRepo.getWeather(points);
+        const missing = points.filter((p, i) => !cached[i]);
+        if (missing.length === 0) return cached;
+
+        const fetched = await this.weatherService.getBatchWeather(missing, options);
+        this.cacheRepo.saveWeather(missing, fetched);
+        logger.debug("Clima em lote", { cached: points.length - missing.length, fetched: missing.length });
+
+        let next = 0;
+        return cached.map(weather => weather || fetched[next++]);
+    }
+
+    /**
+     * Espaçamento dos checkpoints pedido pelo usuário ({ interval } ou { everyKm }), com o
+     * intervalo padrão do modo de viagem em `defaultInterval` (segundos).
+     */
+    _resolveSampling({ interval, everyKm } = {}, profile = DEFAULT_PROFILE) {
+        const config = TRAVEL_PROFILES[profile] || TRAVEL_PROFILES[DEFAULT_PROFILE];
+        return { interval, everyKm, defaultInterval: config.checkpointInterval };
+    }
+
+    /**
+     * Paradas podem vir como texto ou como { name, stayMinutes }.
+     */
+    _normalizeStops(stops = []) {
+        return stops
+            .map(s => (typeof s === 'string' ? { name: s, stayMinutes: 0 } : { name: s.name, stayMinutes: s.stayMinutes || 0 }))
+            .filter(s => s.name && s.name.trim() !== "");
+    }
+
+    async _geocodeLocations(originText, destinationText, stops = [], countries = undefined) {
+        const points = [];
+        const locations = [{ name: originText }, ...stops, { name: destinationText }];
+
+        for (const location of locations) {
+            const coord = await this.geocodingService.getCoordinates(location.name, { countries });
+            if (!coord) throw new LocalizedError('errors.locationNotFound', { name: location.name });
+            points.push({ ...coord, originalName: location.name, stayMinutes: location.stayMinutes || 0 });
+        }
+        return points;
+    }
+
+    /**
+     * Medidas acumuladas da polyline (distância e tempo por vértice) usadas para
+     * posicionar checkpoints, paradas e pernoites.
+     */
+    _measureRoute(routeData) {
         const pathPoints = routeData.path || [];
+        const cumDistances = RouteGeometry.cumulativeDistances(pathPoints);
+        const cumTimes = RouteGeometry.cumulativeTimes(pathPoints, cumDistances, routeData.duration || 0, routeData.segmentDurations);
 
-        // Loop para gerar checkpoints a cada hora
-        while (timeOffset <= totalDuration) {
-            const futureDate = new Date(departureTime.getTime() + (timeOffset * 1000));
-            const progress = totalDuration > 0 ? timeOffset / totalDuration : 0;
-            let pathIndex = Math.floor(progress * (pathPoints.length - 1));
-            pathIndex = Math.max(0, Math.min(pathIndex, pathPoints.length - 1));
+        // Distância do provedor (por estrada) tem prioridade sobre a soma geométrica
+        const geometricTotal = cumDistances.length > 0 ? cumDistances[cumDistances.length - 1] : 0;
+        const totalDistance = routeData.distance || geometricTotal;
+        const distanceScale = geometricTotal > 0 ? totalDistance / geometricTotal : 0;
 
-            const point = pathPoints[pathIndex];
-            if (!point) break;
-            const [lng, lat] = point;
+        return { pathPoints, cumDistances, cumTimes, totalDistance, distanceScale };
+    }
 
-            checkpointsInfo.push({ lat, lng, date: futureDate, progress });
+    /**
+     * Linha do tempo real da viagem: permanência em cada parada e janela diária de direção
+     * (no fuso do viajante).
+     */
+    _buildTimeline(departure, schedule, drivingWindow = null, timeZone = TimeZone.DEFAULT) {
+        const pauses = schedule
+            .filter(s => s.stayMinutes > 0)
+            .map(s => ({ offset: s.timeOffset, minutes: s.stayMinutes, name: s.stopName }));
+        return new TripTimeline(departure, { pauses, drivingWindow, timeZone });
+    }
 
-            if (timeOffset >= totalDuration) break;
-            timeOffset += this.CHECKPOINT_INTERVAL;
-            if (timeOffset > totalDuration) timeOffset = totalDuration;
+    /**
+     * Posições dos checkpoints ao longo da rota, independentes do horário de partida.
+     * Cada checkpoint é posicionado pelo tempo de direção acumulado sobre a polyline
+     * (durações por segmento do provedor, ou distância haversine como aproximação).
+     * `sampling` escolhe o espaçamento: { interval } em minutos ou { everyKm }; sem
+     * nenhum dos dois usa `defaultInterval` (do modo de viagem) ou CHECKPOINT_INTERVAL. As paradas intermediárias de
+     * `userPoints` entram como checkpoints próprios (com stopName e stayMinutes).
+     * Cada item traz { lat, lng, progress, timeOffset, distance } com timeOffset em
+     * segundos de direção e distance em metros desde a partida.
+     */
+    _buildCheckpointSchedule(routeData, sampling = {}, userPoints = []) {
+        const schedule = [];
+        const totalDuration = routeData.duration || 0;
+        const { pathPoints, cumDistances, cumTimes, totalDistance, distanceScale } = this._measureRoute(routeData);
+        if (pathPoints.length === 0) return schedule;
+
+        // Eixo de amostragem: tempo (padrão) ou distância geométrica equivalente ao km por estrada
+        const byDistance = Boolean(sampling.everyKm) && distanceScale > 0;
+        const axis = byDistance ? cumDistances : cumTimes;
+        const axisTotal = axis[axis.length - 1];
+        const requestedStep = byDistance
+            ? (sampling.everyKm * 1000) / distanceScale
+            : (sampling.interval ? sampling.interval * 60 : (sampling.defaultInterval || this.CHECKPOINT_INTERVAL));
+        const step = Math.max(requestedStep, axisTotal / (this.MAX_CHECKPOINTS - 1));
+
+        let offset = 0;
+        while (offset <= axisTotal) {
+            const position = RouteGeometry.locate(pathPoints, axis, offset);
+            const distance = RouteGeometry.valueAt(cumDistances, position) * distanceScale;
+
+            schedule.push({
+                lat: position.lat,
+                lng: position.lng,
+                progress: totalDistance > 0 ? distance / totalDistance : 0,
+                timeOffset: byDistance ? Math.round(RouteGeometry.valueAt(cumTimes, position)) : offset,
+                distance
+            });
+
+            if (offset >= axisTotal) break;
+            offset += step;
+            if (offset > axisTotal) offset = axisTotal;
         }
 
+        if (totalDuration === 0) return schedule;
+        return this._insertStops(schedule, userPoints.slice(1, -1), { pathPoints, cumDistances, cumTimes, totalDistance, distanceScale });
+    }
+
+    /**
+     * Insere as paradas intermediárias na lista de checkpoints, no vértice da rota mais
+     * próximo de cada uma (buscando sempre adiante da parada anterior). Um checkpoint a
+     * menos de 1 minuto da parada é reaproveitado em vez de duplicado.
+     */
+    _insertStops(schedule, stops, measure) {
+        const { pathPoints, cumDistances, cumTimes, totalDistance, distanceScale } = measure;
+        const departure = schedule[0];
+        const arrival = schedule[schedule.length - 1];
+        let searchFrom = 0;
+
+        for (const stop of stops) {
+            let closestIdx = searchFrom;
+            let minDist = Infinity;
+            for (let i = searchFrom; i < pathPoints.length; i++) {
+                const [lng, lat] = pathPoints[i];
+                const dist = Math.pow(lat - stop.lat, 2) + Math.pow(lng - stop.lng, 2);
+                if (dist < minDist) {
+                    minDist = dist;
+                    closestIdx = i;
+                }
+            }
+            searchFrom = closestIdx;
+
+            const timeOffset = Math.round(cumTimes[closestIdx]);
+            const stopInfo = { stopName: stop.originalName, stayMinutes: stop.stayMinutes || 0 };
+            const existing = schedule.find(s => Math.abs(s.timeOffset - timeOffset) < 60 && !s.stopName);
+
+            if (existing && existing !== departure && existing !== arrival) {
+                Object.assign(existing, stopInfo);
+                continue;
+            }
+
+            const distance = cumDistances[closestIdx] * distanceScale;
+            schedule.push({
+                lat: pathPoints[closestIdx][1],
+                lng: pathPoints[closestIdx][0],
+                progress: totalDistance > 0 ? distance / totalDistance : 0,
+                timeOffset,
+                distance,
+                ...stopInfo
+            });
+        }
+
+        // Ordenação estável: parada inserida no mesmo instante da chegada fica antes dela
+        return schedule.sort((a, b) => a.timeOffset - b.timeOffset || (a === arrival) - (b === arrival));
+    }
+
+    /**
+     * Completa as pausas do TripTimeline com horários formatados (no fuso do último
+     * checkpoint alcançado) e, para pernoites, a posição e o nome da cidade onde o carro para.
+     */
+    async _describeRests(rests, routeData, locale = DEFAULT_LOCALE, checkpoints = [], timeZone = TimeZone.DEFAULT) {
+        if (rests.length === 0) return [];
+        const { pathPoints, cumDistances, cumTimes, distanceScale } = this._measureRoute(routeData);
+
+        const described = [];
+        for (const rest of rests) {
+            const position = RouteGeometry.locate(pathPoints, cumTimes, rest.drivingOffset);
+            const zone = this._timeZoneAt(checkpoints, rest.drivingOffset, timeZone);
+            const item = {
+                type: rest.type,
+                name: rest.name,
+                drivingOffset: Math.round(rest.drivingOffset),
+                distanceFromStart: Math.floor((RouteGeometry.valueAt(cumDistances, position) * distanceScale) / 1000),
+                lat: position.lat,
+                lng: position.lng,
+                start: rest.start.toISOString(),
+                end: rest.end.toISOString(),
+                formattedStart: formatDateTime(rest.start, locale, zone),
+                formattedEnd: formatDateTime(rest.end, locale, zone),
+                timeZone: zone
+            };
+            if (rest.type === 'overnight') item.name = await this.geocodingService.getCityName(position.lat, position.lng, locale);
+            described.push(item);
+        }
+        return described;
+    }
+
+    /**
+     * Clima e risco de cada checkpoint. Pontos do usuário (partida, paradas e chegada)
+     * já saem com o nome informado; os demais ficam com locationName null até
+     * `_resolveLocationNames`.
+     * `time` é o instante em UTC; `localTime` (ISO com offset) e `formattedTime` usam o fuso
+     * do local, informado pelo provedor de clima, ou o do viajante quando ele não vier.
+     */
+    async _processCheckpoints(schedule, timeline, userPoints = [], profile = DEFAULT_PROFILE, locale = DEFAULT_LOCALE, timeZone = TimeZone.DEFAULT, units = UnitConverter.DEFAULT_UNITS) {
+        const checkpointsInfo = schedule.map(s => ({ ...s, date: timeline.at(s.timeOffset) }));
+
         // Busca clima em lote para todos os checkpoints
-        const weatherData = await this.weatherService.getBatchWeather(checkpointsInfo);
-
-        const checkpoints = [];
-        for (let i = 0; i < checkpointsInfo.length; i++) {
-            const info = checkpointsInfo[i];
-            const weather = weatherData[i];
-            
-            // Geocodificação reversa continua sendo individual (com o delay interno)
-            const cityName = await this.geocodingService.getCityName(info.lat, info.lng);
-
-            checkpoints.push({
-                formattedTime: info.date.toLocaleTimeString('pt-BR', { day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit' }),
+        const weatherData = await this._getBatchWeather(checkpointsInfo);
+
+        const checkpoints = checkpointsInfo.map((info, i) => {
+            const weather = this._localizeWeather(weatherData[i], locale);
+            const zone = (weather && TimeZone.isValid(weather.timeZone)) ? weather.timeZone : timeZone;
+            const checkpoint = {
+                formattedTime: formatDateTime(info.date, locale, zone),
+                time: info.date.toISOString(),
+                localTime: TimeZone.toIsoString(info.date, zone),
+                timeZone: zone,
                 lat: info.lat, lng: info.lng,
-                locationName: cityName,
-                distanceFromStart: Math.floor((totalDistance * info.progress) / 1000),
+                locationName: info.stopName || null,
+                distanceFromStart: Math.floor(info.distance / 1000),
+                drivingOffset: Math.round(info.timeOffset),
                 weather: weather,
-                isStopNode: false
-            });
-        }
+                hazard: this.hazardService.assessCheckpoint(weather, profile, locale, units),
+                isStopNode: Boolean(info.stopName)
+            };
+            if (info.stayMinutes > 0) {
+                checkpoint.stayMinutes = info.stayMinutes;
+                checkpoint.formattedDepartureTime = formatDateTime(new Date(info.date.getTime() + info.stayMinutes * 60000), locale, zone);
+            }
+            return checkpoint;
+        });
 
         // Marcar pontos exatos do usuário (Partida, Paradas, Chegada)
         this._markUserNodes(checkpoints, userPoints);
@@ -114,6 +530,50 @@ class RouteWeatherOrchestrator {
         return checkpoints;
     }
 
+    /**
+     * Fuso do último checkpoint com drivingOffset até `drivingOffset` (ou `fallback`).
+     */
+    _timeZoneAt(checkpoints, drivingOffset, fallback = TimeZone.DEFAULT) {
+        const reached = checkpoints.filter(c => c.drivingOffset <= drivingOffset);
+        return reached.length > 0 ? reached[reached.length - 1].timeZone : fallback;
+    }
+
+    /**
+     * Passa o clima e a distância da partida de cada item (checkpoints ou pausas) para as
+     * unidades do conversor, no próprio objeto. Retorna a mesma lista.
+     */
+    _applyUnits(items, converter) {
+        items.forEach(item => {
+            if (item.weather) item.weather = converter.weather(item.weather);
+            item.distanceFromStart = converter.distance(item.distanceFromStart);
+        });
+        return items;
+    }
+
+    /**
+     * Condição do tempo no idioma pedido. O cache guarda a condição em pt-BR, então ela é
+     * refeita pelo código WMO (ou pelo tipo de falha); texto do WeatherAPI fica como veio.
+     */
+    _localizeWeather(weather, locale = DEFAULT_LOCALE) {
+        if (!weather) return weather;
+        if (weather.source === 'climatology') return { ...weather, condition: t(locale, 'weather.climatology') };
+        if (typeof weather.weatherCode === 'number') return { ...weather, condition: weatherCondition(weather.weatherCode, locale) };
+        if (weather.error) return { ...weather, condition: t(locale, `weather.${weather.error}`) };
+        return weather;
+    }
+
+    /**
+     * Geocodificação reversa dos checkpoints que não são pontos do usuário, um de cada vez
+     * (com o delay interno do Nominatim). `onResolved(index, name)` é chamado a cada nome.
+     */
+    async _resolveLocationNames(checkpoints, onResolved = () => { }, locale = DEFAULT_LOCALE) {
+        for (const [index, checkpoint] of checkpoints.entries()) {
+            if (checkpoint.locationName) continue;
+            checkpoint.locationName = await this.geocodingService.getCityName(checkpoint.lat, checkpoint.lng, locale);
+            onResolved(index, checkpoint.locationName);
+        }
+    }
+
     _markUserNodes(checkpoints, userPoints) {
         if (checkpoints.length === 0 || userPoints.length === 0) return;
 
@@ -129,6 +589,9 @@ class RouteWeatherOrchestrator {
         if (userPoints.length > 2) {
             const stops = userPoints.slice(1, -1);
             for (const stop of stops) {
+                // Paradas já inseridas como checkpoint próprio
+                if (checkpoints.some(c => c.isStopNode && c.locationName === stop.originalName)) continue;
+
                 let closestIdx = 0;
                 let minDist = Infinity;
 
@@ -149,8 +612,8 @@ class RouteWeatherOrchestrator {
         }
     }
 
-    async searchAddress(query) {
-        return await this.geocodingService.searchAddress(query);
+    async searchAddress(query, options = {}) {
+        return await this.geocodingService.searchAddress(query, options);
     }
 }
 
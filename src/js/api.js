@@ -1,3 +1,6 @@
+import { getLocale, t } from './i18n.js';
+import { getUnits } from './units.js';
+
 const isLocalhost = window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1';
 
 // A URL da API é injetada estaticamente durante o build (__INJECTED_API_BASE_URL__)
@@ -6,43 +9,163 @@ export const API_BASE = isLocalhost ? '/api' : (typeof __INJECTED_API_BASE_URL__
 
 const searchCache = new Map();
 
-export async function searchAddress(query) {
+// Idioma, unidades e fuso do navegador: datas sem offset (input datetime-local) valem nesse fuso
+function clientParams() {
+    return { locale: getLocale(), units: getUnits(), timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone };
+}
+
+// `countries`: códigos separados por vírgula ou "all"; vazio usa o padrão do servidor
+export async function searchAddress(query, countries = '') {
     if (!query || query.length < 3) return [];
 
-    const normalizedQuery = query.toLowerCase().trim();
-    if (searchCache.has(normalizedQuery)) {
-        return searchCache.get(normalizedQuery);
+    const cacheKey = `${query.toLowerCase().trim()}|${countries}`;
+    if (searchCache.has(cacheKey)) {
+        return searchCache.get(cacheKey);
     }
 
     const safeBase = API_BASE.replace(/\/$/, '');
-    const url = `${safeBase}/search?q=${encodeURIComponent(query)}`;
+    const params = new URLSearchParams({ q: query });
+    if (countries) params.set('countries', countries);
+    const url = `${safeBase}/search?${params}`;
     try {
         const response = await fetch(url);
         if (!response.ok) return [];
         const data = await response.json();
 
-        searchCache.set(normalizedQuery, data);
+        searchCache.set(cacheKey, data);
         return data;
     } catch (e) {
         return [];
     }
 }
 
-export async function fetchRouteForecast(origin, destination, stops, date) {
+export async function fetchRouteForecast(origin, destination, stops, date, options = {}) {
     const safeBase = API_BASE.replace(/\/$/, '');
     const API_URL = `${safeBase}/forecast`;
 
     const response = await fetch(API_URL, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ origin, destination, stops, date })
+        body: JSON.stringify({ origin, destination, stops, date, ...options, ...clientParams() })
+    });
+
+    const data = await response.json();
+
+    if (!response.ok && !data.error) {
+        throw new Error(t('results.httpError', { status: response.status }));
+    }
+
+    return data;
+}
+
+// Mesmos campos do body de POST /forecast em query string: paradas e janela de direção como JSON
+function forecastParams(origin, destination, stops, date, options = {}) {
+    const params = new URLSearchParams({ origin, destination, date });
+    if (stops && stops.length > 0) params.set('stops', JSON.stringify(stops));
+    Object.entries(options).forEach(([key, value]) => {
+        if (value === undefined || value === null) return;
+        params.set(key, typeof value === 'object' ? JSON.stringify(value) : value);
+    });
+    Object.entries(clientParams()).forEach(([key, value]) => params.set(key, value));
+    return params;
+}
+
+/**
+ * Versão em streaming (SSE) de fetchRouteForecast. `handlers` recebe as etapas
+ * onRoute, onWeather, onLocation, onComplete e onError(message, isConnectionError).
+ * Retorna o EventSource para permitir cancelar a busca com `.close()`.
+ */
+export function streamRouteForecast(origin, destination, stops, date, options = {}, handlers = {}) {
+    const safeBase = API_BASE.replace(/\/$/, '');
+    const params = forecastParams(origin, destination, stops, date, options);
+
+    const source = new EventSource(`${safeBase}/forecast/stream?${params}`);
+    const listen = (event, handler) => source.addEventListener(event, (e) => {
+        if (handler) handler(JSON.parse(e.data));
+    });
+
+    listen('route', handlers.onRoute);
+    listen('weather', handlers.onWeather);
+    listen('location', handlers.onLocation);
+    source.addEventListener('complete', (e) => {
+        source.close();
+        if (handlers.onComplete) handlers.onComplete(JSON.parse(e.data));
+    });
+
+    // 'error' vem tanto do servidor (com data) quanto de falhas de conexão (sem data)
+    source.addEventListener('error', (e) => {
+        source.close();
+        const message = e.data ? JSON.parse(e.data).error : t('results.connectionLost');
+        if (handlers.onError) handlers.onError(message, !e.data);
+    });
+
+    return source;
+}
+
+/**
+ * URL de download da rota em GPX, KML ou GeoJSON (GET /forecast/export), com os mesmos
+ * parâmetros da busca. `routeIndex` escolhe a rota: 0 = principal, 1+ = alternativas.
+ */
+export function buildExportUrl(origin, destination, stops, date, options = {}, format = 'gpx', routeIndex = 0) {
+    const safeBase = API_BASE.replace(/\/$/, '');
+    const params = forecastParams(origin, destination, stops, date, options);
+    params.set('format', format);
+    if (routeIndex > 0) params.set('route', routeIndex);
+    return `${safeBase}/forecast/export?${params}`;
+}
+
+export async function fetchDepartureOptions(origin, destination, stops, date, options = {}) {
+    const safeBase = API_BASE.replace(/\/$/, '');
+    const API_URL = `${safeBase}/forecast/departure-options`;
+
+    const response = await fetch(API_URL, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ origin, destination, stops, date, ...options, ...clientParams() })
     });
 
     const data = await response.json();
 
     if (!response.ok && !data.error) {
-        throw new Error(`Erro HTTP: ${response.status}`);
+        throw new Error(t('results.httpError', { status: response.status }));
+    }
+
+    return data;
+}
+
+/**
+ * Salva a viagem (POST /trips) e retorna { id, params, result, createdAt, updatedAt }.
+ */
+export async function saveTrip(origin, destination, stops, date, options = {}) {
+    const safeBase = API_BASE.replace(/\/$/, '');
+    const response = await fetch(`${safeBase}/trips`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ origin, destination, stops, date, ...options, ...clientParams() })
+    });
+
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || t('results.httpError', { status: response.status }));
+    return data;
+}
+
+export async function fetchTrip(id, refresh = false) {
+    const safeBase = API_BASE.replace(/\/$/, '');
+    const params = new URLSearchParams({ locale: getLocale() });
+    // A previsão atualizada sai nas unidades da interface
+    if (refresh) {
+        params.set('refresh', 'true');
+        params.set('units', getUnits());
     }
+    const response = await fetch(`${safeBase}/trips/${encodeURIComponent(id)}?${params}`);
 
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || t('results.httpError', { status: response.status }));
     return data;
 }
+
+// Link /t/:id servido pelo backend, ao lado de /api (o frontend pode estar hospedado em outro domínio)
+export function tripShareUrl(id) {
+    const apiUrl = new URL(API_BASE.replace(/\/?$/, '/'), window.location.href);
+    return new URL(`../t/${id}`, apiUrl).href;
+}
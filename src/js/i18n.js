@@ -0,0 +1,337 @@
+// Textos da interface em pt-BR, en e es. O idioma escolhido fica no localStorage e vai
+// para a API em `locale`, que devolve condições do tempo, riscos e erros já traduzidos.
+const STORAGE_KEY = 'wt-locale';
+const DEFAULT_LOCALE = 'pt-BR';
+
+const MESSAGES = {
+    'pt-BR': {
+        'meta.title': 'WeatherTrip - Clima Interativo na Rota',
+        'nav.language': 'Idioma',
+        'nav.units': 'Unidades (métrico ou imperial)',
+        'theme.dark': 'Modo Escuro',
+        'theme.light': 'Modo Claro',
+        'form.title': 'Planeje sua viagem',
+        'form.subtitle': 'Clima inteligente em cada ponto da rota',
+        'form.origin': 'Sair de',
+        'form.originPlaceholder': 'Cidade de origem...',
+        'form.destination': 'Ir para',
+        'form.destinationPlaceholder': 'Cidade de destino...',
+        'form.addStop': 'Adicionar Parada',
+        'form.departure': 'Partida',
+        'form.bestDeparture': '⏱️ Qual o melhor horário para sair?',
+        'form.drivingWindow': 'Dirigir apenas entre',
+        'form.drivingWindowStart': 'Início da janela de direção',
+        'form.drivingWindowEnd': 'Fim da janela de direção',
+        'form.and': 'e',
+        'form.profile': 'Modo de viagem',
+        'form.profile.car': '🚗 Carro',
+        'form.profile.motorcycle': '🏍️ Moto',
+        'form.profile.truck': '🚚 Caminhão',
+        'form.profile.bike': '🚲 Bicicleta',
+        'form.profile.foot': '🚶 A pé',
+        'form.sampling': 'Checkpoints',
+        'form.sampling.default': 'Padrão do modo de viagem',
+        'form.sampling.minutes': 'A cada {n} minutos',
+        'form.sampling.hour': 'A cada 1 hora',
+        'form.sampling.hours': 'A cada {n} horas',
+        'form.sampling.km': 'A cada {n} km',
+        'form.countries': 'Países da busca',
+        'form.countries.default': 'Padrão',
+        'form.countries.br': '🇧🇷 Brasil',
+        'form.countries.neighbors': 'Brasil, Argentina, Paraguai e Uruguai',
+        'form.countries.southAmerica': 'América do Sul',
+        'form.countries.all': '🌎 Qualquer país',
+        'form.submit': 'Calcular e Buscar Clima',
+        'form.required': 'Preencha origem e destino!',
+        'stop.label': 'Parada',
+        'stop.placeholder': 'Cidade intermediária...',
+        'stop.remove': 'Remover parada',
+        'stop.stay': '⏸️ Permanência',
+        'stop.noStay': 'Sem parada',
+        'stop.overnight': 'Pernoite (12 h)',
+        'map.loading': 'Buscando clima interativo...',
+        'map.mainRoute': 'Rota principal',
+        'map.alternative': 'Alternativa {n}',
+        'results.emptyTitle': 'Onde a viagem vai levar você hoje?',
+        'results.emptyHint': 'Preencha origem e destino para ver o tempo real.',
+        'results.loading': 'Calculando sua rota mágica...',
+        'results.loadingHint': 'Isso geralmente leva poucos segundos',
+        'results.routeFound': 'Rota encontrada ({distance}). Buscando a previsão do tempo...',
+        'results.warning': 'Atenção: {message}',
+        'results.criticalError': 'Erro crítico ao conectar com o serviço de Rotas.',
+        'results.connectionLost': 'Conexão com o servidor interrompida.',
+        'results.httpError': 'Erro HTTP: {status}',
+        'hazard.moderate': 'Risco moderado',
+        'hazard.high': 'Risco alto',
+        'hazard.severe': 'Risco severo',
+        'hazard.none': 'Sem alertas',
+        'hazard.clear': '✅ Nenhum trecho com risco climático relevante na rota.',
+        'hazard.title': '⚠️ Trechos de atenção na rota',
+        'export.share': '🔗 Compartilhar',
+        'export.download': '⬇️ Baixar rota com a previsão:',
+        'share.saving': 'Salvando...',
+        'share.copied': '✅ Link copiado: {url}',
+        'share.error': '⚠️ Erro ao compartilhar. Tentar de novo',
+        'trip.banner': '🔗 Viagem compartilhada · previsão de {date}',
+        'trip.refresh': 'Atualizar previsão',
+        'trip.refreshing': 'Atualizando a previsão...',
+        'trip.loading': 'Carregando viagem compartilhada...',
+        'departure.none': 'Nenhum horário com previsão disponível.',
+        'departure.rainy': 'Checkpoints com chuva',
+        'departure.hint': 'Melhores partidas nas próximas horas ({count} avaliadas). Clique para usar.',
+        'departure.loading': 'Comparando horários de partida...',
+        'departure.error': 'Erro ao comparar horários de partida.',
+        'rest.overnight': '🌙 Pernoite em {name}',
+        'rest.stop': '⏸️ Parada em {name}',
+        'weather.apparent': 'Sensação térmica',
+        'weather.rainChance': 'Chance de chuva',
+        'weather.wind': 'Vento/Rajadas',
+        'weather.visibility': 'Visibilidade',
+        'weather.humidity': 'Umidade',
+        'weather.noData': 'Sem dados',
+        'weather.beyondHorizon': 'Além do horizonte da previsão',
+        'weather.climatology': 'Média de {station} · {rain} de chuva no mês',
+        'checkpoint.start': 'Partida',
+        'checkpoint.end': 'Chegada',
+        'checkpoint.stop': 'Parada',
+        'checkpoint.locating': 'Localizando...',
+        'checkpoint.stayUntil': '⏸️ Permanência até {time}'
+    },
+    en: {
+        'meta.title': 'WeatherTrip - Interactive Weather Along Your Route',
+        'nav.language': 'Language',
+        'nav.units': 'Units (metric or imperial)',
+        'theme.dark': 'Dark Mode',
+        'theme.light': 'Light Mode',
+        'form.title': 'Plan your trip',
+        'form.subtitle': 'Smart weather at every point of the route',
+        'form.origin': 'Leave from',
+        'form.originPlaceholder': 'Origin city...',
+        'form.destination': 'Go to',
+        'form.destinationPlaceholder': 'Destination city...',
+        'form.addStop': 'Add Stop',
+        'form.departure': 'Departure',
+        'form.bestDeparture': '⏱️ When is the best time to leave?',
+        'form.drivingWindow': 'Only drive between',
+        'form.drivingWindowStart': 'Driving window start',
+        'form.drivingWindowEnd': 'Driving window end',
+        'form.and': 'and',
+        'form.profile': 'Travel mode',
+        'form.profile.car': '🚗 Car',
+        'form.profile.motorcycle': '🏍️ Motorcycle',
+        'form.profile.truck': '🚚 Truck',
+        'form.profile.bike': '🚲 Bicycle',
+        'form.profile.foot': '🚶 On foot',
+        'form.sampling': 'Checkpoints',
+        'form.sampling.default': 'Travel mode default',
+        'form.sampling.minutes': 'Every {n} minutes',
+        'form.sampling.hour': 'Every hour',
+        'form.sampling.hours': 'Every {n} hours',
+        'form.sampling.km': 'Every {n} km',
+        'form.countries': 'Search countries',
+        'form.countries.default': 'Default',
+        'form.countries.br': '🇧🇷 Brazil',
+        'form.countries.neighbors': 'Brazil, Argentina, Paraguay and Uruguay',
+        'form.countries.southAmerica': 'South America',
+        'form.countries.all': '🌎 Any country',
+        'form.submit': 'Calculate and Get Weather',
+        'form.required': 'Fill in origin and destination!',
+        'stop.label': 'Stop',
+        'stop.placeholder': 'Intermediate city...',
+        'stop.remove': 'Remove stop',
+        'stop.stay': '⏸️ Stay',
+        'stop.noStay': 'No stop',
+        'stop.overnight': 'Overnight (12 h)',
+        'map.loading': 'Fetching interactive weather...',
+        'map.mainRoute': 'Main route',
+        'map.alternative': 'Alternative {n}',
+        'results.emptyTitle': 'Where will the road take you today?',
+        'results.emptyHint': 'Fill in origin and destination to see the live weather.',
+        'results.loading': 'Calculating your magic route...',
+        'results.loadingHint': 'This usually takes a few seconds',
+        'results.routeFound': 'Route found ({distance}). Fetching the weather forecast...',
+        'results.warning': 'Warning: {message}',
+        'results.criticalError': 'Critical error connecting to the routing service.',
+        'results.connectionLost': 'Connection to the server was interrupted.',
+        'results.httpError': 'HTTP error: {status}',
+        'hazard.moderate': 'Moderate risk',
+        'hazard.high': 'High risk',
+        'hazard.severe': 'Severe risk',
+        'hazard.none': 'No alerts',
+        'hazard.clear': '✅ No stretch of the route with relevant weather risk.',
+        'hazard.title': '⚠️ Stretches to watch on the route',
+        'export.share': '🔗 Share',
+        'export.download': '⬇️ Download route with the forecast:',
+        'share.saving': 'Saving...',
+        'share.copied': '✅ Link copied: {url}',
+        'share.error': '⚠️ Could not share. Try again',
+        'trip.banner': '🔗 Shared trip · forecast from {date}',
+        'trip.refresh': 'Refresh forecast',
+        'trip.refreshing': 'Refreshing the forecast...',
+        'trip.loading': 'Loading shared trip...',
+        'departure.none': 'No departure time with an available forecast.',
+        'departure.rainy': 'Checkpoints with rain',
+        'departure.hint': 'Best departures in the next hours ({count} evaluated). Click to use.',
+        'departure.loading': 'Comparing departure times...',
+        'departure.error': 'Error comparing departure times.',
+        'rest.overnight': '🌙 Overnight in {name}',
+        'rest.stop': '⏸️ Stop in {name}',
+        'weather.apparent': 'Feels like',
+        'weather.rainChance': 'Chance of rain',
+        'weather.wind': 'Wind/Gusts',
+        'weather.visibility': 'Visibility',
+        'weather.humidity': 'Humidity',
+        'weather.noData': 'No data',
+        'weather.beyondHorizon': 'Beyond the forecast horizon',
+        'weather.climatology': '{station} average · {rain} of rain in the month',
+        'checkpoint.start': 'Departure',
+        'checkpoint.end': 'Arrival',
+        'checkpoint.stop': 'Stop',
+        'checkpoint.locating': 'Locating...',
+        'checkpoint.stayUntil': '⏸️ Staying until {time}'
+    },
+    es: {
+        'meta.title': 'WeatherTrip - Clima Interactivo en la Ruta',
+        'nav.language': 'Idioma',
+        'nav.units': 'Unidades (métrico o imperial)',
+        'theme.dark': 'Modo Oscuro',
+        'theme.light': 'Modo Claro',
+        'form.title': 'Planifique su viaje',
+        'form.subtitle': 'Clima inteligente en cada punto de la ruta',
+        'form.origin': 'Salir de',
+        'form.originPlaceholder': 'Ciudad de origen...',
+        'form.destination': 'Ir a',
+        'form.destinationPlaceholder': 'Ciudad de destino...',
+        'form.addStop': 'Agregar Parada',
+        'form.departure': 'Salida',
+        'form.bestDeparture': '⏱️ ¿Cuál es el mejor horario para salir?',
+        'form.drivingWindow': 'Conducir solo entre',
+        'form.drivingWindowStart': 'Inicio de la ventana de conducción',
+        'form.drivingWindowEnd': 'Fin de la ventana de conducción',
+        'form.and': 'y',
+        'form.profile': 'Modo de viaje',
+        'form.profile.car': '🚗 Auto',
+        'form.profile.motorcycle': '🏍️ Moto',
+        'form.profile.truck': '🚚 Camión',
+        'form.profile.bike': '🚲 Bicicleta',
+        'form.profile.foot': '🚶 A pie',
+        'form.sampling': 'Checkpoints',
+        'form.sampling.default': 'Predeterminado del modo de viaje',
+        'form.sampling.minutes': 'Cada {n} minutos',
+        'form.sampling.hour': 'Cada 1 hora',
+        'form.sampling.hours': 'Cada {n} horas',
+        'form.sampling.km': 'Cada {n} km',
+        'form.countries': 'Países de la búsqueda',
+        'form.countries.default': 'Predeterminado',
+        'form.countries.br': '🇧🇷 Brasil',
+        'form.countries.neighbors': 'Brasil, Argentina, Paraguay y Uruguay',
+        'form.countries.southAmerica': 'América del Sur',
+        'form.countries.all': '🌎 Cualquier país',
+        'form.submit': 'Calcular y Buscar Clima',
+        'form.required': '¡Complete origen y destino!',
+        'stop.label': 'Parada',
+        'stop.placeholder': 'Ciudad intermedia...',
+        'stop.remove': 'Quitar parada',
+        'stop.stay': '⏸️ Permanencia',
+        'stop.noStay': 'Sin parada',
+        'stop.overnight': 'Pernocte (12 h)',
+        'map.loading': 'Buscando clima interactivo...',
+        'map.mainRoute': 'Ruta principal',
+        'map.alternative': 'Alternativa {n}',
+        'results.emptyTitle': '¿A dónde lo llevará el viaje hoy?',
+        'results.emptyHint': 'Complete origen y destino para ver el tiempo real.',
+        'results.loading': 'Calculando su ruta mágica...',
+        'results.loadingHint': 'Esto suele tardar pocos segundos',
+        'results.routeFound': 'Ruta encontrada ({distance}). Buscando el pronóstico del tiempo...',
+        'results.warning': 'Atención: {message}',
+        'results.criticalError': 'Error crítico al conectar con el servicio de Rutas.',
+        'results.connectionLost': 'Se interrumpió la conexión con el servidor.',
+        'results.httpError': 'Error HTTP: {status}',
+        'hazard.moderate': 'Riesgo moderado',
+        'hazard.high': 'Riesgo alto',
+        'hazard.severe': 'Riesgo severo',
+        'hazard.none': 'Sin alertas',
+        'hazard.clear': '✅ Ningún tramo con riesgo climático relevante en la ruta.',
+        'hazard.title': '⚠️ Tramos de atención en la ruta',
+        'export.share': '🔗 Compartir',
+        'export.download': '⬇️ Descargar ruta con el pronóstico:',
+        'share.saving': 'Guardando...',
+        'share.copied': '✅ Enlace copiado: {url}',
+        'share.error': '⚠️ Error al compartir. Intentar de nuevo',
+        'trip.banner': '🔗 Viaje compartido · pronóstico del {date}',
+        'trip.refresh': 'Actualizar pronóstico',
+        'trip.refreshing': 'Actualizando el pronóstico...',
+        'trip.loading': 'Cargando viaje compartido...',
+        'departure.none': 'Ningún horario con pronóstico disponible.',
+        'departure.rainy': 'Checkpoints con lluvia',
+        'departure.hint': 'Mejores salidas en las próximas horas ({count} evaluadas). Haga clic para usar.',
+        'departure.loading': 'Comparando horarios de salida...',
+        'departure.error': 'Error al comparar horarios de salida.',
+        'rest.overnight': '🌙 Pernocte en {name}',
+        'rest.stop': '⏸️ Parada en {name}',
+        'weather.apparent': 'Sensación térmica',
+        'weather.rainChance': 'Probabilidad de lluvia',
+        'weather.wind': 'Viento/Ráfagas',
+        'weather.visibility': 'Visibilidad',
+        'weather.humidity': 'Humedad',
+        'weather.noData': 'Sin datos',
+        'weather.beyondHorizon': 'Fuera del horizonte del pronóstico',
+        'weather.climatology': 'Promedio de {station} · {rain} de lluvia en el mes',
+        'checkpoint.start': 'Salida',
+        'checkpoint.end': 'Llegada',
+        'checkpoint.stop': 'Parada',
+        'checkpoint.locating': 'Localizando...',
+        'checkpoint.stayUntil': '⏸️ Permanencia hasta {time}'
+    }
+};
+
+export const SUPPORTED_LOCALES = Object.keys(MESSAGES);
+
+// 'en-US' → 'en', 'pt' → 'pt-BR'; null se não for suportado
+function resolveLocale(tag) {
+    if (!tag) return null;
+    const normalized = tag.toLowerCase();
+    return SUPPORTED_LOCALES.find(l => l.toLowerCase() === normalized)
+        || SUPPORTED_LOCALES.find(l => l.toLowerCase().split('-')[0] === normalized.split('-')[0])
+        || null;
+}
+
+let currentLocale = null;
+
+// Escolha salva; sem ela, o primeiro idioma do navegador que for suportado
+export function getLocale() {
+    if (!currentLocale) {
+        let saved = null;
+        try { saved = localStorage.getItem(STORAGE_KEY); } catch (e) { /* Storage bloqueado */ }
+        const browser = (navigator.languages || [navigator.language]).map(resolveLocale).find(Boolean);
+        currentLocale = resolveLocale(saved) || browser || DEFAULT_LOCALE;
+    }
+    return currentLocale;
+}
+
+export function setLocale(locale) {
+    currentLocale = resolveLocale(locale) || DEFAULT_LOCALE;
+    try { localStorage.setItem(STORAGE_KEY, currentLocale); } catch (e) { /* Storage bloqueado */ }
+    return currentLocale;
+}
+
+export function t(key, params = {}) {
+    const text = MESSAGES[getLocale()][key] || MESSAGES[DEFAULT_LOCALE][key] || key;
+    return text.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+}
+
+/**
+ * Traduz o HTML estático: `data-i18n` troca o texto, `data-i18n-placeholder` e
+ * `data-i18n-aria-label` os atributos. Parâmetros vão em `data-i18n-params` (JSON).
+ */
+export function applyTranslations(root = document) {
+    const params = (el) => (el.dataset.i18nParams ? JSON.parse(el.dataset.i18nParams) : {});
+    root.querySelectorAll('[data-i18n]').forEach(el => { el.textContent = t(el.dataset.i18n, params(el)); });
+    root.querySelectorAll('[data-i18n-placeholder]').forEach(el => { el.placeholder = t(el.dataset.i18nPlaceholder); });
+    root.querySelectorAll('[data-i18n-aria-label]').forEach(el => { el.setAttribute('aria-label', t(el.dataset.i18nAriaLabel)); });
+
+    if (root === document) {
+        document.documentElement.lang = getLocale();
+        document.title = t('meta.title');
+    }
+}
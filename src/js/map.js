@@ -1,6 +1,10 @@
+import { t } from './i18n.js';
+import { escapeHtml } from './ui.js';
+
 export let map = null;
 export let routeLayer = null;
 export let markersLayer = null;
+export let alternativesLayer = null;
 
 export function initMap() {
     map = L.map('map').setView([-14.235, -51.925], 4);
@@ -12,6 +16,7 @@ export function initMap() {
         maxZoom: 19
     }).addTo(map);
 
+    alternativesLayer = L.layerGroup().addTo(map);
     markersLayer = L.layerGroup().addTo(map);
 }
 
@@ -40,17 +45,72 @@ export function updateMapRoute(routeGeoJSON, isFirstSearch) {
     }
 }
 
+// Rotas alternativas em cor neutra e tracejada; clicar em uma a seleciona
+export function drawAlternativeRoutes(routeGeos, selectedIdx, onSelect) {
+    alternativesLayer.clearLayers();
+
+    routeGeos.forEach((geo, idx) => {
+        if (idx === selectedIdx) return;
+
+        L.geoJSON({
+            type: "Feature",
+            geometry: { type: "LineString", coordinates: geo }
+        }, {
+            style: { color: '#94a3b8', weight: 5, opacity: 0.7, dashArray: '8 8' }
+        })
+            .bindTooltip(idx === 0 ? t('map.mainRoute') : t('map.alternative', { n: idx }), { sticky: true })
+            .on('click', () => onSelect(idx))
+            .addTo(alternativesLayer);
+    });
+}
+
 export function clearMarkers() {
     markersLayer.clearLayers();
 }
 
-export function addMarker(lat, lng, title, locationName, temp, condition) {
+// Cores dos marcadores de risco (mesma paleta dos cards da timeline)
+const HAZARD_COLORS = {
+    moderate: '#f59e0b',
+    high: '#f97316',
+    severe: '#e11d48'
+};
+
+function hazardLine(hazard) {
+    if (!hazard || !HAZARD_COLORS[hazard.level]) return '';
+    return `<br><span style="color:${HAZARD_COLORS[hazard.level]};font-weight:600">⚠️ ${t(`hazard.${hazard.level}`)}</span>`;
+}
+
+export function addMarker(lat, lng, title, locationName, temp, condition, hazard, temperatureUnit = '°C') {
     const marker = L.marker([lat, lng]).addTo(markersLayer);
     marker.bindPopup(`
         <div style="text-align:center;">
             <strong>${title}</strong><br>
-            ${locationName}<br>
-            <span style="font-size:1.2em">${condition} ${temp}°C</span>
+            ${escapeHtml(locationName || '')}<br>
+            <span style="font-size:1.2em">${escapeHtml(condition || '')} ${temp}${temperatureUnit}</span>
+            ${hazardLine(hazard)}
+        </div>
+    `);
+}
+
+export function addHazardMarker(lat, lng, time, locationName, temp, condition, hazard, temperatureUnit = '°C') {
+    const color = HAZARD_COLORS[hazard.level];
+    if (!color) return;
+
+    const marker = L.circleMarker([lat, lng], {
+        radius: hazard.level === 'severe' ? 10 : 8,
+        color: '#ffffff',
+        weight: 2,
+        fillColor: color,
+        fillOpacity: 0.9
+    }).addTo(markersLayer);
+
+    marker.bindPopup(`
+        <div style="text-align:center;">
+            <strong>${time}</strong><br>
+            ${escapeHtml(locationName || '')}<br>
+            <span style="font-size:1.2em">${escapeHtml(condition || '')} ${temp}${temperatureUnit}</span>
+            ${hazardLine(hazard)}
+            <br><small>${hazard.reasons.map(escapeHtml).join(' · ')}</small>
         </div>
     `);
 }
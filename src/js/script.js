@@ -1,8 +1,16 @@
-import { fetchRouteForecast } from './api.js';
-import { initMap, updateMapRoute, clearMarkers, addMarker, map } from './map.js';
-import { setupAutocomplete, bindStopsUI, renderCheckpoint } from './ui.js';
+import { fetchRouteForecast, streamRouteForecast, fetchDepartureOptions, buildExportUrl, saveTrip, fetchTrip, tripShareUrl } from './api.js';
+import { initMap, updateMapRoute, drawAlternativeRoutes, clearMarkers, addMarker, addHazardMarker, map } from './map.js';
+import { getLocale, setLocale, t, applyTranslations } from './i18n.js';
+import { getUnits, setUnits, unitLabels, formatRouteDistance } from './units.js';
+import { setupAutocomplete, bindStopsUI, renderCheckpoint, renderHazardSummary, renderDepartureOptions, renderRestPeriod, renderRouteSelector, renderExportLinks, renderSharedTripBanner, selectedCountries } from './ui.js';
 
 let isFirstSearch = true;
+let activeStream = null;
+let lastSearch = null; // Parâmetros da última busca, para os links de exportação e o compartilhamento
+let sharedTrip = null; // Viagem aberta por link (/t/:id), enquanto não houver nova busca
+
+// Usado pelo script inline do index.html (rótulo do botão de tema)
+window.traduzir = t;
 
 window.onload = function () {
     const now = new Date();
@@ -12,6 +20,10 @@ window.onload = function () {
     dateInput.value = minDateTime;
     dateInput.min = minDateTime;
 
+    applyTranslations();
+    document.getElementById('locale-select').value = getLocale();
+    updateUnitsToggle();
+
     initMap();
 
     if (process.env.APP_VERSION) {
@@ -22,6 +34,10 @@ window.onload = function () {
     setupAutocomplete('origin', 'origin-list');
     setupAutocomplete('destination', 'destination-list');
     bindStopsUI();
+
+    // Link de viagem compartilhada: /t/:id
+    const tripMatch = window.location.pathname.match(/\/t\/([A-Za-z0-9_-]+)\/?$/);
+    if (tripMatch) loadSharedTrip(tripMatch[1]);
 };
 
 window.calcularRota = async function calcularRota() {
@@ -40,15 +56,12 @@ window.calcularRota = async function calcularRota() {
         dateInput.value = date; // Atualiza a UI visualmente para o usuário
     }
 
-    const stops = Array.from(document.querySelectorAll('#stops-container input'))
-        .map(input => input.value)
-        .filter(val => val.trim() !== "");
+    const stops = readStops();
 
     const resultsDiv = document.getElementById('results');
-    const mapContainer = document.getElementById('map-container');
     const mapOverlay = document.getElementById('map-overlay');
 
-    if (!origin || !destination) { alert("Preencha origem e destino!"); return; }
+    if (!origin || !destination) { alert(t('form.required')); return; }
 
     if (!isFirstSearch) {
         mapOverlay.classList.remove('opacity-0', 'pointer-events-none');
@@ -58,65 +71,370 @@ window.calcularRota = async function calcularRota() {
     resultsDiv.innerHTML = `
         <div class="flex flex-col items-center justify-center py-12 text-slate-500">
             <div class="w-10 h-10 border-4 border-indigo-100 border-t-indigo-500 rounded-full animate-spin mb-4"></div>
-            <strong class="text-lg text-slate-700">Calculando sua rota mágica...</strong>
-            <span class="text-sm mt-1">Isso geralmente leva poucos segundos</span>
+            <strong class="text-lg text-slate-700">${t('results.loading')}</strong>
+            <span class="text-sm mt-1">${t('results.loadingHint')}</span>
         </div>
     `;
 
-    try {
-        const data = await fetchRouteForecast(origin, destination, stops, date);
+    // Uma nova busca cancela o streaming da anterior
+    if (activeStream) activeStream.close();
 
-        resultsDiv.innerHTML = '';
+    const options = readTripOptions();
+    let receivedProgress = false;
+    lastSearch = { origin, destination, stops, date, options };
 
-        if (data.error) {
-            const errorElement = document.createElement('p');
-            errorElement.className = 'text-red-500 font-medium text-center py-8 bg-red-50 rounded-2xl border border-red-100';
-            errorElement.textContent = `Atenção: ${data.error}`;
-            resultsDiv.appendChild(errorElement);
+    // Nova busca: sai da viagem compartilhada (e do endereço /t/:id)
+    if (sharedTrip) {
+        sharedTrip = null;
+        history.replaceState(null, '', document.baseURI);
+    }
 
-            if (!isFirstSearch) {
-                mapOverlay.classList.remove('opacity-100');
-                mapOverlay.classList.add('opacity-0', 'pointer-events-none');
+    activeStream = streamRouteForecast(origin, destination, stops, date, options, {
+        onRoute: (data) => {
+            receivedProgress = true;
+            showRouteGeometry(data);
+        },
+        onWeather: (data) => {
+            if (data.route === 0) showProgressiveTimeline(data, options.profile);
+        },
+        onLocation: ({ route, index, locationName }) => {
+            if (route !== 0) return;
+            const title = resultsDiv.querySelector(`.checkpoint-location[data-checkpoint-index="${index}"]`);
+            if (title) title.textContent = locationName;
+        },
+        onComplete: (data) => {
+            activeStream = null;
+            showForecast(data);
+        },
+        onError: async (message, isConnectionError) => {
+            activeStream = null;
+            if (!isConnectionError || receivedProgress) {
+                showForecastError(message);
+                return;
             }
-            return;
+
+            // Sem suporte a streaming no caminho (proxy, navegador): resposta completa de uma vez
+            try {
+                showForecast(await fetchRouteForecast(origin, destination, stops, date, options));
+            } catch (error) {
+                console.error(error);
+                resultsDiv.innerHTML = `<div class="p-6 bg-red-50 text-red-600 rounded-2xl border border-red-100 text-center font-medium">${t('results.criticalError')}</div>`;
+                hideMapOverlay();
+            }
+        }
+    });
+}
+
+function hideMapOverlay() {
+    if (isFirstSearch) return;
+    const mapOverlay = document.getElementById('map-overlay');
+    mapOverlay.classList.remove('opacity-100');
+    mapOverlay.classList.add('opacity-0', 'pointer-events-none');
+}
+
+function showForecastError(message) {
+    const resultsDiv = document.getElementById('results');
+    resultsDiv.innerHTML = '';
+
+    const errorElement = document.createElement('p');
+    errorElement.className = 'text-red-500 font-medium text-center py-8 bg-red-50 rounded-2xl border border-red-100';
+    errorElement.textContent = t('results.warning', { message });
+    resultsDiv.appendChild(errorElement);
+    hideMapOverlay();
+}
+
+// Etapa 'route' do streaming: mapa com a rota (e alternativas) antes do clima
+function showRouteGeometry(data) {
+    document.getElementById('map-container').classList.remove('hidden');
+    if (map) map.invalidateSize(); // Container pode ter acabado de aparecer
+
+    const geos = [data.routeGeo, ...(data.alternatives || [])];
+    drawAlternativeRoutes(geos, 0, () => { });
+    updateMapRoute(data.routeGeo, isFirstSearch);
+    clearMarkers();
+    hideMapOverlay();
+
+    document.getElementById('results').innerHTML = `
+        <div class="flex items-center justify-center gap-2 py-8 text-sm text-slate-500 dark:text-slate-400">
+            <div class="w-4 h-4 border-2 border-indigo-100 border-t-indigo-500 rounded-full animate-spin"></div>
+            ${t('results.routeFound', { distance: formatRouteDistance(data.distanceTotal, data.units) })}
+        </div>`;
+}
+
+// Etapa 'weather' do streaming: cards com o clima; os nomes das cidades chegam depois
+function showProgressiveTimeline(data, profile) {
+    const resultsDiv = document.getElementById('results');
+    resultsDiv.innerHTML = renderHazardSummary(data.hazardSummary, data.units);
+    data.checkpoints.forEach((item, index) => {
+        resultsDiv.innerHTML += renderCheckpoint(item, index, data.checkpoints.length, profile, data.units);
+    });
+}
+
+function showForecast(data) {
+    if (data.error) {
+        showForecastError(data.error);
+        return;
+    }
+
+    document.getElementById('map-container').classList.remove('hidden');
+
+    // Rota principal + alternativas (mesmo formato de resposta)
+    const routes = [data, ...(data.alternatives || [])];
+    showRoute(routes, 0, isFirstSearch);
+
+    setTimeout(() => {
+        hideMapOverlay();
+        if (map) map.invalidateSize();
+        isFirstSearch = false;
+    }, 300);
+}
+
+// Desenha a rota selecionada no mapa (alternativas esmaecidas) e renderiza sua timeline
+function showRoute(routes, selectedIdx, isFirstRender = false) {
+    const route = routes[selectedIdx];
+    const resultsDiv = document.getElementById('results');
+    const select = (idx) => showRoute(routes, idx);
+
+    drawAlternativeRoutes(routes.map(r => r.routeGeo), selectedIdx, select);
+    updateMapRoute(route.routeGeo, isFirstRender);
+    clearMarkers();
+
+    resultsDiv.innerHTML = sharedTrip ? renderSharedTripBanner(sharedTrip) : '';
+    resultsDiv.innerHTML += renderRouteSelector(routes, selectedIdx);
+    resultsDiv.innerHTML += renderExportLinks(exportLinks(selectedIdx));
+    resultsDiv.innerHTML += renderHazardSummary(route.hazardSummary, route.units);
+
+    // Pernoites entram na timeline antes do primeiro checkpoint alcançado depois deles
+    const overnights = (route.restPeriods || []).filter(r => r.type === 'overnight');
+
+    const temperatureUnit = unitLabels(route.units).temperature;
+    route.checkpoints.forEach((item, index) => {
+        while (overnights.length > 0 && overnights[0].drivingOffset <= item.drivingOffset && index > 0) {
+            resultsDiv.innerHTML += renderRestPeriod(overnights.shift(), route.units);
         }
 
-        if (isFirstSearch) {
-            mapContainer.classList.remove('hidden');
+        const isStart = index === 0;
+        const isEnd = index === route.checkpoints.length - 1;
+        const isIntermediateStop = !isStart && !isEnd && item.isStopNode;
+
+        if (isStart || isEnd || isIntermediateStop) {
+            let title = isStart ? `🚩 ${t('checkpoint.start')}` : (isEnd ? `🏁 ${t('checkpoint.end')}` : `📍 ${t('checkpoint.stop')}`);
+            addMarker(item.lat, item.lng, title, item.locationName, item.weather.temp, item.weather.condition, item.hazard, temperatureUnit);
+        } else if (item.hazard && item.hazard.score > 0) {
+            addHazardMarker(item.lat, item.lng, item.formattedTime, item.locationName, item.weather.temp, item.weather.condition, item.hazard, temperatureUnit);
         }
 
-        updateMapRoute(data.routeGeo, isFirstSearch);
-        clearMarkers();
+        resultsDiv.innerHTML += renderCheckpoint(item, index, route.checkpoints.length, route.profile, route.units);
+    });
 
-        setTimeout(() => {
-            if (!isFirstSearch) {
-                mapOverlay.classList.remove('opacity-100');
-                mapOverlay.classList.add('opacity-0', 'pointer-events-none');
-            }
+    resultsDiv.querySelectorAll('.route-option').forEach(btn => {
+        btn.addEventListener('click', () => select(Number(btn.dataset.routeIndex)));
+    });
 
-            if (map) map.invalidateSize();
-            isFirstSearch = false;
-        }, 300);
+    const shareBtn = resultsDiv.querySelector('.share-trip');
+    if (shareBtn) shareBtn.addEventListener('click', () => shareTrip(shareBtn));
+    const refreshBtn = resultsDiv.querySelector('.refresh-trip');
+    if (refreshBtn) refreshBtn.addEventListener('click', () => loadSharedTrip(sharedTrip.id, true));
+}
 
-        data.checkpoints.forEach((item, index) => {
-            const isStart = index === 0;
-            const isEnd = index === data.checkpoints.length - 1;
-            const isIntermediateStop = !isStart && !isEnd && item.isStopNode;
+// Salva a busca atual (ou reaproveita a viagem aberta por link) e copia o link /t/:id
+async function shareTrip(button) {
+    button.disabled = true;
+    button.textContent = t('share.saving');
 
-            if (isStart || isEnd || isIntermediateStop) {
-                let title = isStart ? "🚩 Partida" : (isEnd ? "🏁 Chegada" : "📍 Parada");
-                addMarker(item.lat, item.lng, title, item.locationName, item.weather.temp, item.weather.condition);
-            }
+    try {
+        let id = sharedTrip && sharedTrip.id;
+        if (!id) {
+            const { origin, destination, stops, date, options } = lastSearch;
+            id = (await saveTrip(origin, destination, stops, date, options)).id;
+        }
+        const url = tripShareUrl(id);
 
-            resultsDiv.innerHTML += renderCheckpoint(item, index, data.checkpoints.length);
-        });
+        let copied = false;
+        try {
+            await navigator.clipboard.writeText(url);
+            copied = true;
+        } catch (e) { /* Sem permissão de clipboard: o link fica visível para copiar */ }
 
+        const link = document.createElement('a');
+        link.href = url;
+        link.target = '_blank';
+        link.className = 'mr-auto text-xs font-bold text-indigo-600 dark:text-indigo-300 underline break-all';
+        link.textContent = copied ? t('share.copied', { url }) : url;
+        button.replaceWith(link);
     } catch (error) {
         console.error(error);
-        resultsDiv.innerHTML = '<div class="p-6 bg-red-50 text-red-600 rounded-2xl border border-red-100 text-center font-medium">Erro crítico ao conectar com o serviço de Rotas.</div>';
-        if (!isFirstSearch) {
-            mapOverlay.classList.remove('opacity-100');
-            mapOverlay.classList.add('opacity-0', 'pointer-events-none');
+        button.disabled = false;
+        button.textContent = t('share.error');
+    }
+}
+
+// Abre uma viagem salva: preenche o formulário e mostra o snapshot (ou a previsão recalculada)
+async function loadSharedTrip(id, refresh = false) {
+    document.getElementById('results').innerHTML = `
+        <div class="flex flex-col items-center justify-center py-12 text-slate-500">
+            <div class="w-10 h-10 border-4 border-indigo-100 border-t-indigo-500 rounded-full animate-spin mb-4"></div>
+            <strong class="text-lg text-slate-700">${t(refresh ? 'trip.refreshing' : 'trip.loading')}</strong>
+        </div>
+    `;
+
+    try {
+        const trip = await fetchTrip(id, refresh);
+        fillTripForm(trip.params);
+        // Idioma, unidades e fuso salvos na viagem não entram: as próximas buscas usam os do navegador
+        const { origin, destination, stops, date, locale, units, timeZone, ...options } = trip.params;
+        // Países no formato do formulário, que também vale na query string dos links de exportação
+        if (options.countries) options.countries = options.countries.length > 0 ? options.countries.join(',') : 'all';
+        lastSearch = { origin, destination, stops, date, options };
+        sharedTrip = trip;
+        showForecast(trip.result);
+    } catch (error) {
+        console.error(error);
+        showForecastError(error.message);
+    }
+}
+
+function fillTripForm(params) {
+    document.getElementById('origin').value = params.origin;
+    document.getElementById('destination').value = params.destination;
+    if (params.date) document.getElementById('trip-date').value = toLocalInputValue(params.date);
+
+    document.getElementById('stops-container').innerHTML = '';
+    (params.stops || []).forEach(stop => {
+        window.adicionarParada();
+        const group = document.querySelector('#stops-container > div:last-child');
+        group.querySelector('input[type="text"]').value = typeof stop === 'string' ? stop : stop.name;
+        group.querySelector('.stop-stay').value = String((stop && stop.stayMinutes) || 0);
+    });
+
+    document.getElementById('travel-profile').value = params.profile || 'car';
+    document.getElementById('checkpoint-sampling').value = params.interval ? `interval:${params.interval}`
+        : (params.everyKm ? `everyKm:${params.everyKm}` : '');
+
+    // Países salvos como lista ([] = sem restrição); combinações fora do seletor voltam ao padrão
+    const countries = document.getElementById('search-countries');
+    countries.value = !params.countries ? '' : (params.countries.length === 0 ? 'all' : params.countries.join(','));
+    if (countries.selectedIndex === -1) countries.value = '';
+
+    const windowEnabled = document.getElementById('driving-window-enabled');
+    windowEnabled.checked = Boolean(params.drivingWindow);
+    if (params.drivingWindow) {
+        document.getElementById('driving-window-start').value = params.drivingWindow.start;
+        document.getElementById('driving-window-end').value = params.drivingWindow.end;
+    }
+}
+
+function exportLinks(routeIndex) {
+    if (!lastSearch) return [];
+    const { origin, destination, stops, date, options } = lastSearch;
+    return [['GPX', 'gpx'], ['KML', 'kml'], ['GeoJSON', 'geojson']].map(([label, format]) => ({
+        label,
+        href: buildExportUrl(origin, destination, stops, date, options, format, routeIndex)
+    }));
+}
+
+function readStops() {
+    return Array.from(document.querySelectorAll('#stops-container > div'))
+        .map(group => ({
+            name: group.querySelector('input[type="text"]').value,
+            stayMinutes: Number(group.querySelector('.stop-stay').value) || 0
+        }))
+        .filter(stop => stop.name.trim() !== "");
+}
+
+// Opções extras da viagem: modo, espaçamento dos checkpoints e janela diária de direção
+function readTripOptions() {
+    const options = { profile: document.getElementById('travel-profile').value };
+
+    // "" (padrão do modo de viagem), "interval:<min>" ou "everyKm:<km>"
+    const sampling = document.getElementById('checkpoint-sampling').value;
+    if (sampling) {
+        const [key, amount] = sampling.split(':');
+        options[key] = Number(amount);
+    }
+
+    if (document.getElementById('driving-window-enabled').checked) {
+        options.drivingWindow = {
+            start: document.getElementById('driving-window-start').value,
+            end: document.getElementById('driving-window-end').value
+        };
+    }
+
+    const countries = selectedCountries();
+    if (countries) options.countries = countries;
+    return options;
+}
+
+// Converte um ISO (UTC) para o formato local aceito pelo input datetime-local
+function toLocalInputValue(isoString) {
+    const d = new Date(isoString);
+    d.setMinutes(d.getMinutes() - d.getTimezoneOffset());
+    return d.toISOString().slice(0, 16);
+}
+
+window.buscarMelhorHorario = async function buscarMelhorHorario() {
+    const origin = document.getElementById('origin').value;
+    const destination = document.getElementById('destination').value;
+    const dateInput = document.getElementById('trip-date');
+    const panel = document.getElementById('departure-options');
+
+    if (!origin || !destination) { alert(t('form.required')); return; }
+
+    panel.classList.remove('hidden');
+    panel.innerHTML = `
+        <div class="flex items-center gap-2 text-sm text-slate-500 dark:text-slate-400 ml-1">
+            <div class="w-4 h-4 border-2 border-indigo-100 border-t-indigo-500 rounded-full animate-spin"></div>
+            ${t('departure.loading')}
+        </div>`;
+
+    try {
+        const startDate = new Date(dateInput.value) < new Date() ? '' : dateInput.value;
+        const data = await fetchDepartureOptions(origin, destination, readStops(), startDate, readTripOptions());
+
+        if (data.error) {
+            panel.innerHTML = '';
+            const errorElement = document.createElement('p');
+            errorElement.className = 'text-sm text-red-500 font-medium ml-1';
+            errorElement.textContent = t('results.warning', { message: data.error });
+            panel.appendChild(errorElement);
+            return;
         }
+
+        panel.innerHTML = renderDepartureOptions(data);
+        panel.querySelectorAll('.departure-option').forEach(btn => {
+            btn.addEventListener('click', () => {
+                dateInput.value = toLocalInputValue(btn.dataset.departure);
+                panel.classList.add('hidden');
+            });
+        });
+    } catch (error) {
+        console.error(error);
+        panel.innerHTML = `<p class="text-sm text-red-500 font-medium ml-1">${t('departure.error')}</p>`;
     }
+};
+
+// Seletor de idioma: traduz a interface e refaz a busca na tela para trazer a previsão no novo idioma
+window.trocarIdioma = function trocarIdioma(locale) {
+    setLocale(locale);
+    applyTranslations();
+
+    const departurePanel = document.getElementById('departure-options');
+    departurePanel.classList.add('hidden');
+    departurePanel.innerHTML = '';
+
+    if (sharedTrip) loadSharedTrip(sharedTrip.id, true);
+    else if (lastSearch) window.calcularRota();
+};
+
+function updateUnitsToggle() {
+    document.getElementById('units-label').textContent = unitLabels(getUnits()).temperature;
 }
+
+// Botão de unidades (métrico ↔ imperial): refaz a busca na tela com as novas unidades
+window.trocarUnidades = function trocarUnidades() {
+    setUnits(getUnits() === 'imperial' ? 'metric' : 'imperial');
+    updateUnitsToggle();
+
+    if (sharedTrip) loadSharedTrip(sharedTrip.id, true);
+    else if (lastSearch) window.calcularRota();
+};
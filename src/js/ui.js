@@ -1,7 +1,21 @@
 import { searchAddress } from './api.js';
+import { getLocale, t } from './i18n.js';
+import { unitLabels, formatRouteDistance, formatVisibility } from './units.js';
 
 let stopCount = 0;
 
+// Nomes de lugares vêm do que o usuário digitou (e ficam salvos nas viagens compartilhadas):
+// escapados antes de entrar em HTML montado por string
+export function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+// Países escolhidos no formulário para a busca de endereços e a previsão ("" = padrão do servidor)
+export function selectedCountries() {
+    const select = document.getElementById('search-countries');
+    return select ? select.value : '';
+}
+
 export function setupAutocomplete(inputId, listId) {
     let debounceTimer;
     const input = document.getElementById(inputId);
@@ -14,7 +28,7 @@ export function setupAutocomplete(inputId, listId) {
         clearTimeout(debounceTimer);
         if (!value) { list.classList.add('hidden'); return; }
         debounceTimer = setTimeout(async () => {
-            const places = await searchAddress(value);
+            const places = await searchAddress(value, selectedCountries());
             list.innerHTML = '';
             if (places.length > 0) {
                 list.classList.remove('hidden');
@@ -24,7 +38,8 @@ export function setupAutocomplete(inputId, listId) {
                     const addr = place.address;
                     const main = addr.city || addr.town || addr.village || place.display_name.split(',')[0];
                     const state = addr.state || '';
-                    const txt = state ? `${main} - ${state}` : main;
+                    // `label` vem formatado pelo país do lugar ("Registro, SP", "Rivera, UY")
+                    const txt = place.label || (state ? `${main} - ${state}` : main);
                     const strong = document.createElement('strong');
                     strong.className = 'block text-slate-700 dark:text-slate-200 font-semibold text-sm';
                     strong.textContent = txt;
@@ -54,16 +69,29 @@ export function bindStopsUI() {
         div.id = `group-${id}`;
 
         div.innerHTML = `
-            <label for="${id}" class="block text-sm font-semibold text-slate-700 dark:text-slate-200 mb-1.5 ml-1">Parada</label>
+            <label for="${id}" class="block text-sm font-semibold text-slate-700 dark:text-slate-200 mb-1.5 ml-1" data-i18n="stop.label">${t('stop.label')}</label>
             <div class="relative">
                 <span class="absolute left-4 top-3.5 text-teal-500">📌</span>
-                <input type="text" id="${id}" placeholder="Cidade intermediária..." autocomplete="off" aria-label="Cidade intermediária"
+                <input type="text" id="${id}" placeholder="${t('stop.placeholder')}" autocomplete="off" aria-label="${t('stop.placeholder')}"
+                    data-i18n-placeholder="stop.placeholder" data-i18n-aria-label="stop.placeholder"
                     class="w-full pl-11 pr-12 py-3.5 bg-white dark:bg-slate-700 border border-slate-200 dark:border-slate-600 focus:border-indigo-400 dark:focus:border-indigo-500 focus:ring-4 focus:ring-indigo-100 dark:focus:ring-indigo-900/50 rounded-xl outline-none transition-all placeholder:text-slate-400 dark:placeholder:text-slate-500 font-medium text-slate-700 dark:text-slate-200">
-                <button class="absolute right-3 top-3.5 text-slate-400 hover:text-red-500 hover:bg-red-50 dark:hover:bg-red-900/30 p-1 rounded-md transition-colors" onclick="removerParada('${id}')" aria-label="Remover parada">
+                <button class="absolute right-3 top-3.5 text-slate-400 hover:text-red-500 hover:bg-red-50 dark:hover:bg-red-900/30 p-1 rounded-md transition-colors" onclick="removerParada('${id}')" aria-label="${t('stop.remove')}" data-i18n-aria-label="stop.remove">
                     <svg class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16"></path></svg>
                 </button>
             </div>
             <div id="${listId}" class="autocomplete-list absolute z-50 w-full mt-2 bg-white dark:bg-slate-800 rounded-xl shadow-xl border border-slate-100 dark:border-slate-700 max-h-60 overflow-y-auto hidden"></div>
+            <div class="flex items-center gap-2 mt-2 ml-1">
+                <label for="${id}-stay" class="text-xs font-medium text-slate-500 dark:text-slate-400" data-i18n="stop.stay">${t('stop.stay')}</label>
+                <select id="${id}-stay" class="stop-stay px-2 py-1 text-xs bg-white dark:bg-slate-700 border border-slate-200 dark:border-slate-600 rounded-lg outline-none text-slate-700 dark:text-slate-200 cursor-pointer">
+                    <option value="0" selected data-i18n="stop.noStay">${t('stop.noStay')}</option>
+                    <option value="15">15 min</option>
+                    <option value="30">30 min</option>
+                    <option value="60">1 h</option>
+                    <option value="120">2 h</option>
+                    <option value="240">4 h</option>
+                    <option value="720" data-i18n="stop.overnight">${t('stop.overnight')}</option>
+                </select>
+            </div>
         `;
 
         container.appendChild(div);
@@ -78,24 +106,232 @@ export function bindStopsUI() {
         }
     };
 }
-export function renderCheckpoint(item, index, total) {
+
+// Rótulos traduzidos em hazardLabel(): o idioma pode mudar depois do carregamento
+const HAZARD_STYLES = {
+    moderate: { badge: 'text-amber-700 dark:text-amber-300 bg-amber-50 dark:bg-amber-900/30', border: 'border-amber-400', dot: 'bg-amber-400 ring-4 ring-amber-50' },
+    high: { badge: 'text-orange-700 dark:text-orange-300 bg-orange-50 dark:bg-orange-900/30', border: 'border-orange-500', dot: 'bg-orange-500 ring-4 ring-orange-50' },
+    severe: { badge: 'text-rose-700 dark:text-rose-300 bg-rose-50 dark:bg-rose-900/30', border: 'border-rose-600', dot: 'bg-rose-600 ring-4 ring-rose-100' }
+};
+
+function hazardLabel(level) {
+    return t(`hazard.${level}`);
+}
+
+function formatDuration(seconds) {
+    const totalMinutes = Math.round((seconds || 0) / 60);
+    const hours = Math.floor(totalMinutes / 60);
+    const minutes = totalMinutes % 60;
+    return hours > 0 ? `${hours}h${String(minutes).padStart(2, '0')}` : `${minutes} min`;
+}
+
+export function renderRouteSelector(routes, selectedIdx) {
+    if (routes.length < 2) return '';
+
+    const buttons = routes.map((route, idx) => {
+        const selected = idx === selectedIdx;
+        const summary = route.weatherSummary || {};
+        const hazardStyle = route.hazardSummary ? HAZARD_STYLES[route.hazardSummary.maxLevel] : null;
+        const hazardBadge = hazardStyle
+            ? `<span class="${hazardStyle.badge} px-1.5 py-0.5 rounded text-[10px] font-bold uppercase">${hazardLabel(route.hazardSummary.maxLevel)}</span>`
+            : `<span class="text-emerald-600 dark:text-emerald-400 text-[10px] font-bold uppercase">${t('hazard.none')}</span>`;
+        const stateClass = selected
+            ? 'border-indigo-400 bg-indigo-50 dark:bg-indigo-900/30'
+            : 'border-slate-200 dark:border-slate-600 bg-white/70 dark:bg-slate-700/50 hover:border-indigo-300';
+
+        return `
+            <button type="button" data-route-index="${idx}"
+                class="route-option flex-1 min-w-[140px] text-left px-3 py-2 rounded-xl border ${stateClass} transition-colors">
+                <span class="block text-sm font-bold text-slate-700 dark:text-slate-200">${idx === 0 ? t('map.mainRoute') : t('map.alternative', { n: idx })}</span>
+                <span class="block text-xs text-slate-500 dark:text-slate-400">${formatRouteDistance(route.distanceTotal, route.units)} · ${formatDuration(route.durationTotal)}</span>
+                <span class="flex items-center gap-2 mt-1 text-xs">
+                    ${hazardBadge}
+                    ${summary.weatherScore !== undefined ? `<strong class="text-indigo-600 dark:text-indigo-400">${summary.weatherScore}/100</strong>` : ''}
+                </span>
+            </button>`;
+    }).join('');
+
+    return `<div class="flex flex-wrap gap-2 mb-6">${buttons}</div>`;
+}
+
+// Links de download da rota selecionada (GPX, KML, GeoJSON) para apps de navegação e botão de compartilhar
+export function renderExportLinks(links) {
+    if (!links || links.length === 0) return '';
+
+    const items = links.map(({ label, href }) => `
+        <a href="${href.replace(/&/g, '&amp;')}" download
+            class="px-2.5 py-1 rounded-lg border border-slate-200 dark:border-slate-600 bg-white/70 dark:bg-slate-700/50 text-xs font-bold text-slate-600 dark:text-slate-300 hover:border-indigo-300 hover:text-indigo-600 transition-colors">
+            ${label}
+        </a>`).join('');
+
+    return `
+        <div class="flex flex-wrap items-center justify-end gap-2 mb-4">
+            <button type="button"
+                class="share-trip mr-auto px-2.5 py-1 rounded-lg border border-indigo-200 dark:border-indigo-700 bg-indigo-50 dark:bg-indigo-900/30 text-xs font-bold text-indigo-600 dark:text-indigo-300 hover:border-indigo-400 transition-colors">
+                ${t('export.share')}
+            </button>
+            <span class="text-xs text-slate-500 dark:text-slate-400">${t('export.download')}</span>
+            ${items}
+        </div>`;
+}
+
+// Aviso no topo de uma viagem aberta por link (/t/:id), com a data do snapshot (ou da
+// previsão recalculada, que não é salva)
+export function renderSharedTripBanner(trip) {
+    const updated = new Date(trip.refreshedAt || trip.updatedAt).toLocaleString(getLocale(), { day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit' });
+    return `
+        <div class="flex flex-wrap items-center justify-between gap-2 mb-4 px-4 py-3 rounded-2xl border border-indigo-100 dark:border-indigo-800 bg-indigo-50/70 dark:bg-indigo-900/30 text-sm text-slate-600 dark:text-slate-300">
+            <span>${t('trip.banner', { date: updated })}</span>
+            <button type="button" class="refresh-trip px-3 py-1 rounded-lg bg-indigo-600 hover:bg-indigo-500 text-white text-xs font-bold transition-colors">
+                ${t('trip.refresh')}
+            </button>
+        </div>`;
+}
+
+export function renderHazardSummary(summary, units) {
+    if (!summary) return '';
+
+    if (summary.segments.length === 0) {
+        return `
+        <div class="mb-6 p-4 rounded-2xl bg-emerald-50 dark:bg-emerald-900/20 border border-emerald-100 dark:border-emerald-800/50 text-emerald-700 dark:text-emerald-300 text-sm font-medium">
+            ${t('hazard.clear')}
+        </div>`;
+    }
+
+    const style = HAZARD_STYLES[summary.maxLevel];
+    const milestone = unitLabels(units).milestone;
+    const items = summary.segments.map(seg => {
+        const segStyle = HAZARD_STYLES[seg.level];
+        const where = seg.locations.length > 0 ? ` · ${seg.locations.map(escapeHtml).join(' → ')}` : '';
+        return `
+            <li class="flex flex-col gap-0.5">
+                <span><span class="px-2 py-0.5 rounded text-[10px] font-bold uppercase tracking-wider ${segStyle.badge}">${hazardLabel(seg.level)}</span>
+                <strong class="ml-1 text-slate-700 dark:text-slate-200">${milestone} ${seg.fromKm} – ${seg.toKm}</strong><span class="text-slate-500 dark:text-slate-400">${where}</span></span>
+                <span class="text-xs text-slate-500 dark:text-slate-400">${seg.startTime === seg.endTime ? seg.startTime : `${seg.startTime} – ${seg.endTime}`} · ${seg.reasons.map(escapeHtml).join(' · ')}</span>
+            </li>`;
+    }).join('');
+
+    return `
+        <div class="mb-6 p-4 rounded-2xl bg-white/70 dark:bg-slate-800/70 border-l-4 ${style.border} shadow-sm">
+            <h3 class="font-bold text-slate-800 dark:text-slate-100 mb-2">${t('hazard.title')}</h3>
+            <ul class="space-y-2 text-sm">${items}</ul>
+        </div>`;
+}
+
+export function renderDepartureOptions(data) {
+    if (!data.options || data.options.length === 0) {
+        return `<p class="text-sm text-slate-500 dark:text-slate-400 ml-1">${t('departure.none')}</p>`;
+    }
+
+    const items = data.options.slice(0, 5).map((opt, i) => {
+        const hazardStyle = HAZARD_STYLES[opt.maxHazardLevel];
+        const hazardBadge = hazardStyle
+            ? `<span class="${hazardStyle.badge} px-1.5 py-0.5 rounded text-[10px] font-bold uppercase">${hazardLabel(opt.maxHazardLevel)}</span>`
+            : '';
+        return `
+            <button type="button" data-departure="${opt.departure}"
+                class="departure-option w-full flex items-center justify-between gap-2 px-3 py-2 rounded-xl text-left text-sm bg-white/70 dark:bg-slate-700/50 border border-slate-200 dark:border-slate-600 hover:border-indigo-400 transition-colors">
+                <span class="font-semibold text-slate-700 dark:text-slate-200">${i === 0 ? '⭐ ' : ''}${opt.formattedDeparture}</span>
+                <span class="flex items-center gap-2 text-xs text-slate-500 dark:text-slate-400">
+                    ${hazardBadge}
+                    <span title="${t('departure.rainy')}">☔ ${opt.rainyCheckpoints}</span>
+                    <strong class="text-indigo-600 dark:text-indigo-400">${opt.weatherScore}/100</strong>
+                </span>
+            </button>`;
+    }).join('');
+
+    return `
+        <p class="text-xs text-slate-500 dark:text-slate-400 ml-1 mb-2">${t('departure.hint', { count: data.evaluated })}</p>
+        <div class="space-y-2">${items}</div>`;
+}
+
+export function renderRestPeriod(rest, units) {
+    const title = t(rest.type === 'overnight' ? 'rest.overnight' : 'rest.stop', { name: escapeHtml(rest.name) });
+    return `
+        <div class="relative pl-6 pb-8 border-l-2 border-dashed border-slate-300 dark:border-slate-600">
+            <div class="absolute left-[-9px] top-1 w-4 h-4 rounded-full bg-slate-300 dark:bg-slate-600 ring-4 ring-slate-100 dark:ring-slate-800"></div>
+            <div class="px-4 py-3 rounded-2xl bg-slate-50/80 dark:bg-slate-800/40 border border-dashed border-slate-200 dark:border-slate-700 text-sm">
+                <strong class="text-slate-700 dark:text-slate-200">${title}</strong>
+                <span class="block text-xs text-slate-500 dark:text-slate-400 mt-0.5">${rest.formattedStart} – ${rest.formattedEnd} · ${unitLabels(units).milestone} ${rest.distanceFromStart}</span>
+            </div>
+        </div>`;
+}
+
+function renderWeatherDetails(weather, units) {
+    if (!weather) return '';
+
+    const labels = unitLabels(units);
+    const has = (value) => value !== null && value !== undefined;
+    const details = [];
+
+    if (has(weather.apparentTemp)) {
+        details.push(['🌡️', t('weather.apparent'), `${Math.round(weather.apparentTemp)}${labels.temperature}`]);
+    }
+    if (has(weather.precipitationProbability)) {
+        const amount = weather.precipitation ? ` · ${weather.precipitation} ${labels.precipitation}` : '';
+        details.push(['☔', t('weather.rainChance'), `${Math.round(weather.precipitationProbability)}%${amount}`]);
+    }
+    if (has(weather.windSpeed)) {
+        const gusts = weather.windGusts ? `/${Math.round(weather.windGusts)}` : '';
+        details.push(['💨', t('weather.wind'), `${Math.round(weather.windSpeed)}${gusts} ${labels.speed}`]);
+    }
+    if (has(weather.visibility)) {
+        details.push(['👁️', t('weather.visibility'), formatVisibility(weather.visibility, units)]);
+    }
+    if (has(weather.humidity)) {
+        details.push(['💧', t('weather.humidity'), `${Math.round(weather.humidity)}%`]);
+    }
+    // Além do horizonte da previsão: média do mês na estação mais próxima
+    if (weather.climatology) {
+        details.push(['📊', t('weather.beyondHorizon'), t('weather.climatology', { station: weather.climatology.station, rain: `${weather.climatology.monthlyPrecipitation} ${labels.precipitation}` })]);
+    }
+
+    if (details.length === 0) return '';
+
+    return `
+                    <div class="flex flex-wrap gap-x-3 gap-y-1 mt-2 text-xs text-slate-500 dark:text-slate-400">
+                        ${details.map(([icon, label, value]) => `<span title="${label}">${icon} ${value}</span>`).join('')}
+                    </div>`;
+}
+
+// Offset do checkpoint quando o local está em outro fuso que o do navegador (ex.: Acre)
+function renderTimeZoneBadge(item) {
+    if (!item.timeZone || !item.localTime || item.timeZone === Intl.DateTimeFormat().resolvedOptions().timeZone) return '';
+    return `<span class="ml-1 px-1 rounded bg-slate-100 dark:bg-slate-700 text-[10px] font-semibold" title="${item.timeZone}">UTC${item.localTime.slice(-6)}</span>`;
+}
+
+const PROFILE_ICONS = { car: '🚗', motorcycle: '🏍️', truck: '🚚', bike: '🚲', foot: '🚶' };
+
+export function renderCheckpoint(item, index, total, profile = 'car', units = 'metric') {
     const isStart = index === 0;
     const isEnd = index === total - 1;
     const isIntermediateStop = !isStart && !isEnd && item.isStopNode;
 
-    let kmText = (item.distanceFromStart === 0) ? `Km 0` : `Km ${item.distanceFromStart || '--'}`;
+    const labels = unitLabels(units);
+    let kmText = (item.distanceFromStart === 0) ? `${labels.milestone} 0` : `${labels.milestone} ${item.distanceFromStart || '--'}`;
 
     let statusLabel = '';
     if (isStart) {
-        statusLabel = '<span class="text-indigo-600 dark:text-indigo-400 bg-indigo-50 dark:bg-indigo-900/30 px-2 py-0.5 rounded text-[10px] font-bold uppercase tracking-wider mb-1 inline-block">📍 Partida</span>';
+        statusLabel = `<span class="text-indigo-600 dark:text-indigo-400 bg-indigo-50 dark:bg-indigo-900/30 px-2 py-0.5 rounded text-[10px] font-bold uppercase tracking-wider mb-1 inline-block">📍 ${t('checkpoint.start')}</span>`;
     } else if (isEnd) {
-        statusLabel = '<span class="text-rose-600 dark:text-rose-400 bg-rose-50 dark:bg-rose-900/30 px-2 py-0.5 rounded text-[10px] font-bold uppercase tracking-wider mb-1 inline-block">🏁 Chegada</span>';
+        statusLabel = `<span class="text-rose-600 dark:text-rose-400 bg-rose-50 dark:bg-rose-900/30 px-2 py-0.5 rounded text-[10px] font-bold uppercase tracking-wider mb-1 inline-block">🏁 ${t('checkpoint.end')}</span>`;
     } else if (isIntermediateStop) {
-        statusLabel = '<span class="text-teal-600 dark:text-teal-400 bg-teal-50 dark:bg-teal-900/30 px-2 py-0.5 rounded text-[10px] font-bold uppercase tracking-wider mb-1 inline-block">📌 Parada</span>';
+        statusLabel = `<span class="text-teal-600 dark:text-teal-400 bg-teal-50 dark:bg-teal-900/30 px-2 py-0.5 rounded text-[10px] font-bold uppercase tracking-wider mb-1 inline-block">📌 ${t('checkpoint.stop')}</span>`;
+    }
+
+    const hazardStyle = item.hazard ? HAZARD_STYLES[item.hazard.level] : null;
+    let hazardBadge = '';
+    if (hazardStyle) {
+        const reasons = escapeHtml(item.hazard.reasons.join(' · '));
+        hazardBadge = `<span class="${hazardStyle.badge} px-2 py-0.5 rounded text-[10px] font-bold uppercase tracking-wider mb-1 ml-1 inline-block" title="${reasons}">⚠️ ${hazardLabel(item.hazard.level)}</span>`;
     }
 
-    const borderClass = isIntermediateStop ? 'border-teal-400' : 'border-indigo-200';
-    const dotClass = isIntermediateStop ? 'bg-teal-400 ring-4 ring-teal-50' : 'bg-indigo-400 ring-4 ring-indigo-50';
+    let borderClass = isIntermediateStop ? 'border-teal-400' : 'border-indigo-200';
+    let dotClass = isIntermediateStop ? 'bg-teal-400 ring-4 ring-teal-50' : 'bg-indigo-400 ring-4 ring-indigo-50';
+    if (hazardStyle) {
+        borderClass = hazardStyle.border;
+        dotClass = hazardStyle.dot;
+    }
 
     return `
         <div class="relative pl-6 pb-8 border-l-2 ${borderClass} last:border-0 last:pb-0 group">
@@ -103,17 +339,19 @@ export function renderCheckpoint(item, index, total) {
             
             <div class="flex flex-col sm:flex-row sm:items-center justify-between gap-4 bg-white/60 dark:bg-slate-800/60 hover:bg-white dark:hover:bg-slate-800 p-4 rounded-2xl border border-slate-100 dark:border-slate-700 shadow-sm transition-all hover:shadow-md">
                 <div class="flex-1">
-                    ${statusLabel}
-                    <h3 class="text-slate-800 dark:text-slate-100 font-bold text-lg">${item.locationName}</h3>
+                    ${statusLabel}${hazardBadge}
+                    <h3 class="checkpoint-location text-slate-800 dark:text-slate-100 font-bold text-lg" data-checkpoint-index="${index}">${item.locationName ? escapeHtml(item.locationName) : `<span class="text-slate-400 dark:text-slate-500 font-medium animate-pulse">${t('checkpoint.locating')}</span>`}</h3>
                     <div class="flex items-center text-sm text-slate-500 dark:text-slate-400 font-medium mt-1 gap-3">
-                        <span class="flex items-center"><svg class="w-4 h-4 mr-1 text-indigo-400" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z"></path></svg>${item.formattedTime}</span>
-                        <span class="flex items-center"><svg class="w-4 h-4 mr-1 text-slate-400" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M13 7h8m0 0v8m0-8l-8 8-4-4-6 6"></path></svg>🚗 ${kmText}</span>
+                        <span class="flex items-center"><svg class="w-4 h-4 mr-1 text-indigo-400" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z"></path></svg>${item.formattedTime}${renderTimeZoneBadge(item)}</span>
+                        <span class="flex items-center"><svg class="w-4 h-4 mr-1 text-slate-400" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M13 7h8m0 0v8m0-8l-8 8-4-4-6 6"></path></svg>${PROFILE_ICONS[profile] || PROFILE_ICONS.car} ${kmText}</span>
                     </div>
+                    ${item.stayMinutes ? `<span class="block text-xs text-teal-600 dark:text-teal-400 font-medium mt-1">${t('checkpoint.stayUntil', { time: item.formattedDepartureTime })}</span>` : ''}
+                    ${renderWeatherDetails(item.weather, units)}
                 </div>
                 
                 <div class="flex flex-col items-end min-w-[100px] p-3 bg-gradient-to-br from-indigo-50 to-blue-50/50 dark:from-indigo-900/30 dark:to-blue-900/20 rounded-xl border border-indigo-100/50 dark:border-indigo-800/50">
-                    <span class="text-2xl font-bold text-indigo-700 dark:text-indigo-300 tracking-tight">${item.weather && item.weather.temp !== "--" ? item.weather.temp + '°C' : '--'}</span>
-                    <span class="text-xs font-semibold text-indigo-500/80 dark:text-indigo-400 uppercase tracking-wide mt-0.5">${item.weather ? item.weather.condition : 'Sem dados'}</span>
+                    <span class="text-2xl font-bold text-indigo-700 dark:text-indigo-300 tracking-tight">${item.weather && item.weather.temp !== "--" ? item.weather.temp + labels.temperature : '--'}</span>
+                    <span class="text-xs font-semibold text-indigo-500/80 dark:text-indigo-400 uppercase tracking-wide mt-0.5">${item.weather ? escapeHtml(item.weather.condition) : t('weather.noData')}</span>
                 </div>
             </div>
         </div>`;
@@ -0,0 +1,43 @@
+// Sistema de unidades da interface ('metric' ou 'imperial'). A escolha fica no localStorage
+// e vai para a API em `units`, que devolve clima e distâncias já convertidos e informa
+// o sistema usado em `units` na resposta.
+const STORAGE_KEY = 'wt-units';
+const DEFAULT_UNITS = 'metric';
+
+const LABELS = {
+    metric: { temperature: '°C', distance: 'km', milestone: 'Km', speed: 'km/h', precipitation: 'mm' },
+    imperial: { temperature: '°F', distance: 'mi', milestone: 'Mi', speed: 'mph', precipitation: 'in' }
+};
+
+let currentUnits = null;
+
+// Escolha salva; sem ela, imperial só para navegadores em inglês dos EUA
+export function getUnits() {
+    if (!currentUnits) {
+        let saved = null;
+        try { saved = localStorage.getItem(STORAGE_KEY); } catch (e) { /* Storage bloqueado */ }
+        currentUnits = LABELS[saved] ? saved : (navigator.language === 'en-US' ? 'imperial' : DEFAULT_UNITS);
+    }
+    return currentUnits;
+}
+
+export function setUnits(units) {
+    currentUnits = LABELS[units] ? units : DEFAULT_UNITS;
+    try { localStorage.setItem(STORAGE_KEY, currentUnits); } catch (e) { /* Storage bloqueado */ }
+    return currentUnits;
+}
+
+export function unitLabels(units) {
+    return LABELS[units] || LABELS[DEFAULT_UNITS];
+}
+
+// Distância total da rota, que a API devolve em metros no métrico e em milhas no imperial
+export function formatRouteDistance(distance, units) {
+    return units === 'imperial' ? `${Math.round(distance || 0)} mi` : `${Math.round((distance || 0) / 1000)} km`;
+}
+
+// Visibilidade: metros no métrico (km a partir de 1000 m), milhas no imperial
+export function formatVisibility(value, units) {
+    if (units === 'imperial') return `${value} mi`;
+    return value >= 1000 ? `${(value / 1000).toFixed(1)} km` : `${Math.round(value)} m`;
+}
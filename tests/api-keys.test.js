@@ -0,0 +1,77 @@
+/**
+ * Testes das chaves de API (emissão com hash, validação, revogação e cota diária)
+ * Rodar com: node tests/api-keys.test.js
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const ApiKeyService = require('../services/ApiKeyService');
+
+const NOW = Date.parse('2030-01-01T23:59:00Z');
+
+// Repositório em memória com a mesma interface do ApiKeyRepository
+function memoryRepo() {
+    const keys = [];
+    const usage = new Map();
+    return {
+        keys,
+        usage,
+        async create(record) {
+            const key = { ...record, revokedAt: null };
+            keys.push(key);
+            const { keyHash, ...pub } = key;
+            return pub;
+        },
+        async findByHash(hash) { return keys.find(k => k.keyHash === hash) || null; },
+        async incrementUsage(id, day) {
+            const k = `${id}|${day}`;
+            usage.set(k, (usage.get(k) || 0) + 1);
+            return usage.get(k);
+        }
+    };
+}
+
+test('ApiKeys - Emite a chave uma vez e guarda só o hash', async (t) => {
+    const repo = memoryRepo();
+    const service = new ApiKeyService(repo);
+
+    const issued = await service.issue({ id: 'k1', name: 'Escritório' });
+
+    assert.match(issued.key, /^wr_[A-Za-z0-9_-]{32}$/);
+    assert.strictEqual(issued.prefix, issued.key.slice(0, 8));
+    assert.strictEqual(issued.rateLimit, ApiKeyService.DEFAULT_RATE_LIMIT);
+    assert.strictEqual(issued.dailyQuota, ApiKeyService.DEFAULT_DAILY_QUOTA);
+
+    const stored = repo.keys[0];
+    assert.strictEqual(stored.keyHash, ApiKeyService.hash(issued.key));
+    assert.ok(!JSON.stringify(stored).includes(issued.key), 'A chave em claro não pode ser gravada');
+});
+
+test('ApiKeys - Autentica só chaves existentes e não revogadas', async (t) => {
+    const repo = memoryRepo();
+    const service = new ApiKeyService(repo);
+    const { key } = await service.issue({ id: 'k1', name: 'Parceiro' });
+
+    assert.strictEqual((await service.authenticate(key)).id, 'k1');
+    assert.strictEqual(await service.authenticate(`${key}x`), null);
+    assert.strictEqual(await service.authenticate('token-de-admin'), null);
+    assert.strictEqual(await service.authenticate(undefined), null);
+
+    repo.keys[0].revokedAt = new Date(NOW).toISOString();
+    assert.strictEqual(await service.authenticate(key), null);
+});
+
+test('ApiKeys - Cota diária conta por dia UTC e bloqueia acima do limite', async (t) => {
+    const repo = memoryRepo();
+    let now = NOW;
+    const service = new ApiKeyService(repo, { now: () => now });
+    const record = await service.issue({ id: 'k1', name: 'Teste', dailyQuota: 2 });
+
+    assert.deepStrictEqual(await service.consume(record), { allowed: true, used: 1, limit: 2, remaining: 1 });
+    assert.deepStrictEqual(await service.consume(record), { allowed: true, used: 2, limit: 2, remaining: 0 });
+    assert.deepStrictEqual(await service.consume(record), { allowed: false, used: 3, limit: 2, remaining: 0 });
+
+    // Virada do dia em UTC renova a cota
+    now += 60 * 1000;
+    assert.strictEqual((await service.consume(record)).allowed, true);
+    assert.deepStrictEqual([...repo.usage.keys()], ['k1|2030-01-01', 'k1|2030-01-02']);
+});
@@ -0,0 +1,122 @@
+/**
+ * Testes da geocodificação fora do Brasil (restrição por país e formato dos nomes por país)
+ * Rodar com: node tests/geocoding-countries.test.js
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const axios = require('axios');
+const { loadProvidersConfig, parseCountryList } = require('../config/providers');
+const GeocodingService = require('../services/GeocodingService');
+const RegionFormatter = require('../services/RegionFormatter');
+const RouteWeatherOrchestrator = require('../services/weatherRouteService');
+
+test('Regiões - Sigla da UF no Brasil, região e país nos demais', (t) => {
+    assert.strictEqual(RegionFormatter.placeName({ city: 'Registro', region: 'São Paulo', countryCode: 'br' }), 'Registro, SP');
+    assert.strictEqual(RegionFormatter.placeName({ city: 'Chuí', region: 'Rio Grande do Sul' }), 'Chuí, RS', 'Sem país, formato brasileiro');
+    assert.strictEqual(RegionFormatter.placeName({ city: 'Palmas', region: 'Estado do Tocantins', regionCode: 'BR-TO', countryCode: 'BR' }), 'Palmas, TO');
+
+    assert.strictEqual(RegionFormatter.placeName({ city: 'Posadas', region: 'Misiones', regionCode: 'AR-N', countryCode: 'ar' }), 'Posadas, Misiones, AR');
+    assert.strictEqual(RegionFormatter.placeName({ city: 'Rivera', region: 'Rivera', regionCode: 'UY-RV', countryCode: 'uy' }), 'Rivera, UY');
+    assert.strictEqual(RegionFormatter.placeName({ city: 'Encarnación', countryCode: 'py' }), 'Encarnación, PY');
+    assert.strictEqual(RegionFormatter.placeName({ city: 'Austin', region: 'Texas', regionCode: 'US-TX', countryCode: 'us' }), 'Austin, TX, US');
+    assert.strictEqual(RegionFormatter.placeName({ region: 'Misiones', countryCode: 'ar' }), null);
+
+    assert.strictEqual(RegionFormatter.regionLabel({ region: 'Paraná', countryCode: 'br' }), 'PR');
+    assert.strictEqual(RegionFormatter.regionLabel({ region: 'Paraná', countryCode: 'ar' }), 'Paraná');
+});
+
+test('Regiões - Países padrão vêm de GEOCODING_COUNTRIES', (t) => {
+    assert.deepStrictEqual(loadProvidersConfig({}).geocodingCountries, ['br']);
+    assert.deepStrictEqual(loadProvidersConfig({ GEOCODING_COUNTRIES: 'BR, uy,ar,uy' }).geocodingCountries, ['br', 'uy', 'ar']);
+    assert.deepStrictEqual(loadProvidersConfig({ GEOCODING_COUNTRIES: 'all' }).geocodingCountries, []);
+    assert.throws(() => loadProvidersConfig({ GEOCODING_COUNTRIES: 'bra' }), /Países da geocodificação/);
+
+    assert.deepStrictEqual(parseCountryList(['UY', 'py']), ['uy', 'py']);
+    assert.strictEqual(parseCountryList(['br', 'u1']), null);
+    assert.strictEqual(parseCountryList('br,all'), null, '"all" só sozinho');
+});
+
+test('Regiões - Restrição por requisição vai ao provedor e separa o cache', async (t) => {
+    const store = new Map();
+    const cache = {
+        async get(kind, key) { return store.has(`${kind}:${key}`) ? store.get(`${kind}:${key}`) : null; },
+        set(kind, key, data) { store.set(`${kind}:${key}`, data); }
+    };
+    const geocoding = new GeocodingService(loadProvidersConfig({ GEOCODING_PROVIDERS: 'nominatim' }), cache);
+
+    const urls = [];
+    t.mock.method(axios, 'get', async (url) => {
+        urls.push(url);
+        return { data: [{ lat: '-30.9', lon: '-55.5' }] };
+    });
+
+    await geocoding.getCoordinates('Rivera');
+    await geocoding.getCoordinates('Rivera', { countries: ['br', 'uy'] });
+    await geocoding.getCoordinates('Rivera', { countries: [] });
+    await geocoding.getCoordinates('rivera', { countries: ['br', 'uy'] });
+
+    assert.strictEqual(urls.length, 3, 'Mesma busca e mesmos países usam o cache');
+    assert.match(urls[0], /&countrycodes=br$/);
+    assert.match(urls[1], /&countrycodes=br,uy$/);
+    assert.ok(!urls[2].includes('countrycodes'), 'Lista vazia não restringe');
+    assert.ok(store.has('forward:rivera|br,uy'));
+    assert.ok(store.has('forward:rivera|*'));
+});
+
+test('Regiões - Nomes reversos e sugestões formatados pelo país do lugar', async (t) => {
+    const geocoding = new GeocodingService(loadProvidersConfig({ GEOCODING_PROVIDERS: 'mapbox,nominatim' }));
+    geocoding.MAPBOX_TOKEN = 'token';
+
+    const context = [
+        { id: 'region.1', text: 'Misiones', short_code: 'AR-N' },
+        { id: 'country.1', text: 'Argentina', short_code: 'ar' }
+    ];
+    t.mock.method(axios, 'get', async (url) => {
+        if (url.includes('-55.9,-27.4.json')) return { data: { features: [{ id: 'place.1', text: 'Posadas', context }] } };
+        if (url.includes('mapbox.places/posadas')) {
+            return { data: { features: [{ id: 'place.1', text: 'Posadas', place_name: 'Posadas, Misiones, Argentina', center: [-55.9, -27.4], context }] } };
+        }
+        if (url.includes('/reverse?') && url.includes('lat=-30.9')) {
+            return { data: { address: { city: 'Rivera', state: 'Rivera', country_code: 'uy', 'ISO3166-2-lvl4': 'UY-RV' } } };
+        }
+        if (url.includes('/reverse?')) return { data: { address: { road: 'Ruta 5', state: 'Tacuarembó', country_code: 'uy' } } };
+        throw new Error(`URL inesperada: ${url}`);
+    });
+
+    assert.strictEqual(await geocoding.getCityName(-27.4, -55.9), 'Posadas, Misiones, AR');
+
+    const [suggestion] = await geocoding.searchAddress('posadas', { countries: ['ar'] });
+    assert.strictEqual(suggestion.label, 'Posadas, Misiones, AR');
+    assert.deepStrictEqual(suggestion.address, { city: 'Posadas', state: 'Misiones', country_code: 'ar' });
+
+    geocoding.MAPBOX_TOKEN = undefined; // só o Nominatim
+    assert.strictEqual(await geocoding._nominatimCityName(-30.9, -55.5), 'Rivera, UY');
+    assert.strictEqual(await geocoding._nominatimCityName(-31.7, -56.0), null, 'Sem cidade, sem nome fixo em português');
+    assert.strictEqual(await geocoding.getCityName(-31.7, -56.0, 'en'), 'Road');
+});
+
+test('Regiões - Orquestrador repassa os países da requisição à geocodificação', async (t) => {
+    const requested = [];
+    const orchestrator = new RouteWeatherOrchestrator(
+        {
+            async getRoute() { return null; }, saveRoute() { },
+            async getWeather(points) { return points.map(() => null); }, saveWeather() { }
+        },
+        {
+            async getCoordinates(name, options) { requested.push([name, options.countries]); return { lat: -30, lng: -55 }; },
+            async getCityName() { return 'Rivera, UY'; }
+        },
+        {
+            async getRouteWithFallback() {
+                return { path: [[-55.5, -30.9], [-56.2, -34.9]], duration: 3600, distance: 100000, provider: 'Mock' };
+            }
+        },
+        { async getBatchWeather(points) { return points.map(() => ({ temp: 20, condition: 'Sol', weatherCode: 0 })); } }
+    );
+
+    await orchestrator.getRouteForecast('Santana do Livramento', 'Montevideo', [], '2030-01-01T08:00', { countries: ['br', 'uy'] });
+    await orchestrator.getRouteForecast('Santana do Livramento', 'Montevideo', [], '2030-01-01T08:00');
+
+    assert.deepStrictEqual(requested.slice(0, 2), [['Santana do Livramento', ['br', 'uy']], ['Montevideo', ['br', 'uy']]]);
+    assert.strictEqual(requested[2][1], undefined, 'Sem countries, o GeocodingService usa o padrão');
+});
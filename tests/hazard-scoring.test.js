@@ -0,0 +1,49 @@
+/**
+ * Testes do HazardScoringService (risco de direção por checkpoint e resumo da rota)
+ * Rodar com: node tests/hazard-scoring.test.js
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const HazardScoringService = require('../services/HazardScoringService');
+
+const hazard = new HazardScoringService();
+
+test('HazardScoring - Níveis por código WMO, chuva, vento e visibilidade', (t) => {
+    assert.strictEqual(hazard.assessCheckpoint({ weatherCode: 0, precipitation: 0, windGusts: 10, visibility: 24000 }).level, 'low');
+    assert.strictEqual(hazard.assessCheckpoint({ weatherCode: 96, condition: 'Tempestade c/ Granizo ❄️⚡' }).level, 'severe');
+    assert.strictEqual(hazard.assessCheckpoint({ weatherCode: 3, precipitation: 5 }).level, 'high');
+    assert.strictEqual(hazard.assessCheckpoint({ weatherCode: 3, windGusts: 55 }).level, 'moderate');
+    assert.strictEqual(hazard.assessCheckpoint({ weatherCode: 45, visibility: 150 }).level, 'severe');
+    assert.deepStrictEqual(hazard.assessCheckpoint(null), { level: 'low', score: 0, reasons: [] });
+});
+
+test('HazardScoring - Resumo agrupa trechos consecutivos e ordena pelo pior', (t) => {
+    const level = (score) => ({ level: HazardScoringService.RISK_LEVELS[score], score, reasons: [`motivo ${score}`] });
+    const checkpoints = [
+        { distanceFromStart: 0, locationName: 'A', formattedTime: '08:00', hazard: level(0) },
+        { distanceFromStart: 100, locationName: 'B', formattedTime: '09:00', hazard: level(1) },
+        { distanceFromStart: 200, locationName: 'C', formattedTime: '10:00', hazard: level(0) },
+        { distanceFromStart: 300, locationName: 'D', formattedTime: '11:00', hazard: level(2) },
+        { distanceFromStart: 400, locationName: 'E', formattedTime: '12:00', hazard: level(3) }
+    ];
+
+    const summary = hazard.summarizeRoute(checkpoints);
+    assert.strictEqual(summary.maxLevel, 'severe');
+    assert.strictEqual(summary.riskyCheckpoints, 3);
+    assert.strictEqual(summary.segments.length, 2);
+    assert.deepStrictEqual(
+        { level: summary.segments[0].level, fromKm: summary.segments[0].fromKm, toKm: summary.segments[0].toKm, locations: summary.segments[0].locations },
+        { level: 'severe', fromKm: 250, toKm: 400, locations: ['D', 'E'] }
+    );
+    assert.strictEqual(summary.segments[1].fromKm, 50);
+    assert.strictEqual(summary.segments[1].toKm, 150);
+});
+
+test('HazardScoring - Limiares mais sensíveis para moto e bicicleta', (t) => {
+    const weather = { weatherCode: 3, precipitation: 2.5, windGusts: 48, visibility: 20000 };
+
+    assert.strictEqual(hazard.assessCheckpoint(weather).level, 'moderate', 'Carro: só a chuva pesa');
+    assert.strictEqual(hazard.assessCheckpoint(weather, 'motorcycle').level, 'high');
+    assert.strictEqual(hazard.assessCheckpoint(weather, 'bike').level, 'high');
+    assert.strictEqual(hazard.assessCheckpoint(weather, 'desconhecido').level, 'moderate', 'Modo desconhecido usa os limiares padrão');
+});
@@ -0,0 +1,73 @@
+/**
+ * Testes da internacionalização (negociação de idioma, catálogos e respostas traduzidas)
+ * Rodar com: node tests/i18n.test.js
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const i18n = require('../config/i18n');
+const HazardScoringService = require('../services/HazardScoringService');
+const RouteWeatherOrchestrator = require('../services/weatherRouteService');
+
+test('i18n - Negocia o idioma pelo parâmetro ou pelo Accept-Language', (t) => {
+    assert.strictEqual(i18n.negotiateLocale('en'), 'en');
+    assert.strictEqual(i18n.negotiateLocale('es-AR', 'en'), 'es');
+    assert.strictEqual(i18n.negotiateLocale(undefined, 'en-US,en;q=0.9,pt;q=0.8'), 'en');
+    assert.strictEqual(i18n.negotiateLocale(undefined, 'fr-FR, es;q=0.5, en;q=0.7'), 'en');
+    assert.strictEqual(i18n.negotiateLocale(undefined, 'pt'), 'pt-BR');
+    assert.strictEqual(i18n.negotiateLocale('klingon', 'de-DE, en;q=0'), 'pt-BR');
+    assert.strictEqual(i18n.negotiateLocale(undefined, undefined), i18n.DEFAULT_LOCALE);
+});
+
+test('i18n - Interpola parâmetros e cai no pt-BR quando falta a tradução', (t) => {
+    assert.strictEqual(i18n.t('en', 'errors.watchLimit', { max: 5 }), 'Limit of 5 subscriptions per trip reached.');
+    assert.strictEqual(i18n.t('es', 'places.km', { km: 120 }), 'Km 120');
+    assert.strictEqual(i18n.t('xx', 'errors.tripNotFound'), 'Viagem não encontrada.');
+    assert.strictEqual(i18n.t('en', 'errors.chaveInexistente'), 'errors.chaveInexistente');
+
+    assert.strictEqual(i18n.weatherCondition(61, 'en'), 'Light Rain ☔');
+    assert.strictEqual(i18n.weatherCondition(61, 'es'), 'Lluvia Débil ☔');
+    assert.strictEqual(i18n.weatherCondition(99, 'en'), 'Weather (99)');
+});
+
+test('i18n - LocalizedError guarda a chave e é traduzido na resposta', (t) => {
+    const error = new i18n.LocalizedError('errors.locationNotFound', { name: 'Atlântida' });
+
+    assert.strictEqual(error.message, 'Localidade não encontrada: Atlântida');
+    assert.strictEqual(i18n.localizeError(error, 'en'), 'Location not found: Atlântida');
+    assert.strictEqual(i18n.localizeError(new Error('falha interna'), 'en'), 'falha interna');
+});
+
+test('i18n - Riscos e condições dos checkpoints no idioma pedido', async (t) => {
+    const hazard = new HazardScoringService();
+    const reasons = hazard.assessCheckpoint({ weatherCode: 3, precipitation: 5, windGusts: 70 }, null, 'es').reasons;
+    assert.ok(reasons.includes('Lluvia de 5 mm/h'), reasons.join(' · '));
+    assert.ok(reasons.includes('Ráfagas de 70 km/h'), reasons.join(' · '));
+
+    const orchestrator = new RouteWeatherOrchestrator(
+        {
+            async getRoute() { return null; }, saveRoute() { },
+            async getWeather(points) { return points.map(() => null); }, saveWeather() { }
+        },
+        { async getCoordinates() { return { lat: -23, lng: -46 }; }, async getCityName() { return 'Cidade'; } },
+        {
+            async getRouteWithFallback() {
+                return { path: [[-46, -23], [-46.1, -23.1]], duration: 3600, distance: 50000, provider: 'Mock' };
+            }
+        },
+        {
+            // Condição gravada em pt-BR (como no cache) e uma falha sem código WMO
+            async getBatchWeather(points) {
+                return points.map((p, i) => (i === 0
+                    ? { temp: 18, condition: 'Chuva Forte ⛈️', weatherCode: 65, precipitation: 6 }
+                    : { temp: '--', condition: 'Erro de conexão', error: 'connection' }));
+            }
+        }
+    );
+
+    const result = await orchestrator.getRouteForecast('SP', 'RJ', [], '2030-01-01T12:00:00Z', { locale: 'en' });
+    const [first, last] = [result.checkpoints[0], result.checkpoints[result.checkpoints.length - 1]];
+
+    assert.strictEqual(first.weather.condition, 'Heavy Rain ⛈️');
+    assert.ok(first.hazard.reasons.includes('Rain of 6 mm/h'), first.hazard.reasons.join(' · '));
+    assert.strictEqual(last.weather.condition, 'Connection error');
+});
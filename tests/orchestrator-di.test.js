@@ -8,8 +8,10 @@ const RouteWeatherOrchestrator = require('../services/weatherRouteService');
 
 // MOCKS: Criamos versões "falsas" dos serviços que não dependem de rede ou banco
 class MockCache {
-    async checkCache() { return null; }
-    saveToCache() { }
+    async getRoute() { return null; }
+    saveRoute() { }
+    async getWeather(points) { return points.map(() => null); }
+    saveWeather() { }
 }
 
 class MockGeocoding {
@@ -54,6 +56,143 @@ test('Orchestrator - Fluxo completo com Mocks (DI)', async (t) => {
     assert.strictEqual(result.checkpoints.length > 0, true);
     assert.strictEqual(result.checkpoints[0].locationName, "SP"); // Nome original preservado na partida
     assert.strictEqual(result.checkpoints[0].weather.temp, 25);
+    assert.strictEqual(result.checkpoints[0].hazard.level, 'low');
+    assert.strictEqual(result.hazardSummary.maxLevel, 'low');
 
     console.log('✅ Orquestrador validado com sucesso usando Injeção de Dependência!');
 });
+
+test('Orchestrator - Ranking de horários de partida com uma única rota', async (t) => {
+    let routingCalls = 0;
+    const routing = {
+        async getRouteWithFallback() {
+            routingCalls++;
+            return new MockRouting().getRouteWithFallback();
+        }
+    };
+
+    // Chuva forte em qualquer horário antes das 12h UTC
+    const batchOptions = [];
+    const weather = {
+        async getBatchWeather(points, options) {
+            batchOptions.push(options);
+            return points.map(p => (p.date.getUTCHours() < 12
+                ? { temp: 20, condition: "Chuva", precipitationProbability: 90, precipitation: 6 }
+                : { temp: 25, condition: "Sol", precipitationProbability: 0, precipitation: 0 }));
+        }
+    };
+
+    const orchestrator = new RouteWeatherOrchestrator(new MockCache(), new MockGeocoding(), routing, weather);
+    const result = await orchestrator.getDepartureOptions("SP", "RJ", [], {
+        dateString: '2030-01-01T06:00:00Z',
+        windowHours: 12,
+        stepMinutes: 60
+    });
+
+    assert.strictEqual(routingCalls, 1);
+    assert.deepStrictEqual(batchOptions, [{ perPointFallback: false }], 'Um lote, sem o fallback de um pedido por ponto');
+    assert.strictEqual(result.evaluated, 13);
+    assert.strictEqual(result.options[0].departure, '2030-01-01T12:00:00.000Z');
+    assert.strictEqual(result.options[0].weatherScore, 100);
+    assert.ok(result.options[result.options.length - 1].weatherScore < 100);
+});
+
+test('Orchestrator - Pipeline de clima aplicado às rotas alternativas', async (t) => {
+    const routing = {
+        async getRouteWithFallback() {
+            return {
+                ...(await new MockRouting().getRouteWithFallback()),
+                alternatives: [{ path: [[-46, -23], [-46.2, -23.05], [-46.1, -23.1]], duration: 5400, distance: 70000, provider: 'MockProvider' }]
+            };
+        }
+    };
+
+    const orchestrator = new RouteWeatherOrchestrator(new MockCache(), new MockGeocoding(), routing, new MockWeather());
+    const result = await orchestrator.getRouteForecast("SP", "RJ");
+
+    assert.strictEqual(result.alternatives.length, 1);
+    const alternative = result.alternatives[0];
+    assert.strictEqual(alternative.distanceTotal, 70000);
+    assert.strictEqual(alternative.checkpoints.length, 3);
+    assert.strictEqual(alternative.checkpoints[0].locationName, "SP");
+    assert.strictEqual(alternative.hazardSummary.maxLevel, 'low');
+    assert.strictEqual(alternative.weatherSummary.weatherScore, 100);
+});
+
+test('Orchestrator - Modo de viagem repassado ao roteamento e intervalo padrão adaptado', async (t) => {
+    let requestedProfile = null;
+    const routing = {
+        async getRouteWithFallback(points, profile) {
+            requestedProfile = profile;
+            return { path: [[-46, -23], [-46.1, -23.1]], duration: 3600, distance: 20000, provider: 'MockProvider' };
+        }
+    };
+
+    const orchestrator = new RouteWeatherOrchestrator(new MockCache(), new MockGeocoding(), routing, new MockWeather());
+    const result = await orchestrator.getRouteForecast("SP", "RJ", [], '', { profile: 'bike' });
+
+    assert.strictEqual(requestedProfile, 'bike');
+    assert.strictEqual(result.profile, 'bike');
+    assert.strictEqual(result.checkpoints.length, 3, 'Bicicleta usa checkpoints a cada 30 minutos');
+});
+
+test('Orchestrator - Etapas parciais para streaming: rota, clima e nomes das cidades', async (t) => {
+    const routing = {
+        async getRouteWithFallback() {
+            return { path: [[-46, -23], [-46.3, -23.3]], duration: 3 * 3600, distance: 240000, provider: 'MockProvider' };
+        }
+    };
+
+    const events = [];
+    const orchestrator = new RouteWeatherOrchestrator(new MockCache(), new MockGeocoding(), routing, new MockWeather());
+    const result = await orchestrator.getRouteForecast("SP", "RJ", [], '', {
+        // Cópia no momento da emissão, como acontece ao serializar no SSE
+        onProgress: (event, data) => events.push({ event, data: JSON.parse(JSON.stringify(data)) })
+    });
+
+    assert.deepStrictEqual(events.map(e => e.event), ['route', 'weather', 'location', 'location']);
+
+    const [route, weather, ...locations] = events;
+    assert.strictEqual(route.data.distanceTotal, 240000);
+    assert.strictEqual(route.data.routeGeo.length, 2);
+
+    // Clima completo antes da geocodificação reversa; só partida e chegada já têm nome
+    assert.strictEqual(weather.data.checkpoints.length, 4);
+    assert.ok(weather.data.checkpoints.every(c => c.weather.temp === 25));
+    assert.deepStrictEqual(weather.data.checkpoints.map(c => c.locationName), ["SP", null, null, "RJ"]);
+
+    assert.deepStrictEqual(locations.map(l => l.data), [
+        { route: 0, index: 1, locationName: "Cidade Teste" },
+        { route: 0, index: 2, locationName: "Cidade Teste" }
+    ]);
+    assert.strictEqual(result.checkpoints[1].locationName, "Cidade Teste");
+});
+
+test('Orchestrator - Rota e clima em cache são recombinados sem chamar os provedores', async (t) => {
+    const cachedRoute = { path: [[-46, -23], [-46.1, -23.1]], duration: 3600, distance: 50000, provider: 'MockProvider' };
+    const savedWeather = [];
+    const cache = {
+        async getRoute(key) { return key === '-23.0000,-46.0000|-23.0000,-46.0000' ? cachedRoute : null; },
+        saveRoute() { assert.fail('Rota em cache não deve ser salva de novo'); },
+        // Só a partida tem clima em cache
+        async getWeather(points) { return points.map((p, i) => (i === 0 ? { temp: 18, condition: "Nublado" } : null)); },
+        saveWeather(points, weathers) { savedWeather.push(...weathers); }
+    };
+    const routing = { async getRouteWithFallback() { assert.fail('Rota deveria vir do cache'); } };
+
+    let fetched = 0;
+    const weather = {
+        async getBatchWeather(points) {
+            fetched += points.length;
+            return points.map(() => ({ temp: 25, condition: "Sol" }));
+        }
+    };
+
+    const orchestrator = new RouteWeatherOrchestrator(cache, new MockGeocoding(), routing, weather);
+    const result = await orchestrator.getRouteForecast("SP", "RJ");
+
+    assert.strictEqual(result.provider, 'MockProvider');
+    assert.deepStrictEqual(result.checkpoints.map(c => c.weather.temp), [18, 25]);
+    assert.strictEqual(fetched, 1, 'Só os pontos sem cache vão ao provedor de clima');
+    assert.strictEqual(savedWeather.length, 1);
+});
@@ -0,0 +1,98 @@
+/**
+ * Testes do registro de provedores com circuit breaker
+ * Rodar com: node tests/provider-registry.test.js
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const ProviderRegistry = require('../services/ProviderRegistry');
+
+// Relógio controlado pelo teste
+function fakeClock(start = 1_000_000) {
+    let now = start;
+    return { now: () => now, advance: (ms) => { now += ms; } };
+}
+
+function failing(message = 'timeout') {
+    return async () => { throw new Error(message); };
+}
+
+test('ProviderRegistry - Usa o próximo provedor quando o primeiro falha', async () => {
+    const registry = new ProviderRegistry('routing', { order: ['a', 'b'] })
+        .register('a', { route: failing() })
+        .register('b', { route: async (x) => `b:${x}` });
+
+    assert.strictEqual(await registry.run('route', 1), 'b:1');
+});
+
+test('ProviderRegistry - Circuito abre após falhas seguidas e reabre para teste após o cooldown', async () => {
+    const clock = fakeClock();
+    let aCalls = 0;
+    let aHealthy = false;
+    const registry = new ProviderRegistry('routing', { order: ['a', 'b'], failureThreshold: 2, cooldownMs: 60000, now: clock.now })
+        .register('a', { route: async () => { aCalls++; if (!aHealthy) throw new Error('timeout'); return 'a'; } })
+        .register('b', { route: async () => 'b' });
+
+    await registry.run('route');
+    await registry.run('route');
+    assert.strictEqual(aCalls, 2);
+    assert.strictEqual(registry.health().find(p => p.name === 'a').state, 'open');
+
+    // Com o circuito aberto o provedor não é chamado
+    await registry.run('route');
+    assert.strictEqual(aCalls, 2);
+
+    // Depois do cooldown recebe uma chamada de teste; sucesso fecha o circuito
+    clock.advance(60000);
+    aHealthy = true;
+    await registry.run('route');
+    assert.strictEqual(aCalls, 3);
+    const a = registry.health().find(p => p.name === 'a');
+    assert.strictEqual(a.state, 'closed');
+    assert.strictEqual(a.consecutiveFailures, 0);
+});
+
+test('ProviderRegistry - Falha na chamada de teste reabre o circuito imediatamente', async () => {
+    const clock = fakeClock();
+    const registry = new ProviderRegistry('weather', { order: ['a', 'b'], failureThreshold: 2, cooldownMs: 1000, now: clock.now })
+        .register('a', { fetchDay: failing() })
+        .register('b', { fetchDay: async () => 'b' });
+
+    for (let i = 0; i < 2; i++) await registry.run('fetchDay');
+    clock.advance(1000);
+    await registry.run('fetchDay');
+
+    const a = registry.health().find(p => p.name === 'a');
+    assert.strictEqual(a.state, 'open');
+    assert.strictEqual(a.totalFailures, 3);
+    assert.strictEqual(a.retryAt, new Date(clock.now() + 1000).toISOString());
+});
+
+test('ProviderRegistry - Provedores instáveis descem na ordem efetiva', async () => {
+    const registry = new ProviderRegistry('geocoding', { order: ['a', 'b'], failureThreshold: 10 })
+        .register('a', { getCoordinates: failing() })
+        .register('b', { getCoordinates: async () => ({ lat: 1, lng: 2 }) });
+
+    await registry.run('getCoordinates');
+    assert.deepStrictEqual(registry.health().map(p => p.name), ['a', 'b'], 'uma falha isolada mantém a ordem');
+    await registry.run('getCoordinates');
+    assert.deepStrictEqual(registry.health().map(p => p.name), ['b', 'a']);
+});
+
+test('ProviderRegistry - Resultado vazio passa adiante sem contar como falha', async () => {
+    const registry = new ProviderRegistry('geocoding', { order: ['a', 'b'] })
+        .register('a', { getCoordinates: async () => null })
+        .register('b', { getCoordinates: async () => null });
+
+    assert.strictEqual(await registry.run('getCoordinates'), null);
+    assert.ok(registry.health().every(p => p.state === 'closed' && p.totalFailures === 0));
+});
+
+test('ProviderRegistry - Ignora provedores fora da ordem ou indisponíveis', async () => {
+    const registry = new ProviderRegistry('routing', { order: ['a', 'b'] })
+        .register('a', { route: async () => 'a' }, { isAvailable: () => false })
+        .register('b', { route: failing('fora do ar') })
+        .register('c', { route: async () => 'c' });
+
+    await assert.rejects(() => registry.run('route'), /fora do ar/);
+    assert.deepStrictEqual(registry.health().map(p => [p.name, p.state]), [['a', 'unavailable'], ['b', 'closed']]);
+});
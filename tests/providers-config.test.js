@@ -0,0 +1,132 @@
+/**
+ * Testes da configuração de provedores (URLs, timeouts e ordem de fallback) e do cache de geocodificação
+ * Rodar com: node tests/providers-config.test.js
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const { PROVIDER_DEFAULTS, loadProvidersConfig } = require('../config/providers');
+const RoutingProviderService = require('../services/RoutingProviderService');
+const GeocodingService = require('../services/GeocodingService');
+
+test('Providers - Sem configuração usa os serviços públicos', () => {
+    const config = loadProvidersConfig({});
+    assert.deepStrictEqual(config, PROVIDER_DEFAULTS);
+});
+
+test('Providers - Variáveis de ambiente sobrescrevem o arquivo, que sobrescreve os padrões', () => {
+    const file = path.join(os.tmpdir(), `providers-${process.pid}.json`);
+    fs.writeFileSync(file, JSON.stringify({
+        urls: { osrm: 'http://osrm.interno:5000', nominatim: 'http://nominatim.interno/' },
+        timeouts: { routing: 3000 },
+        order: { geocoding: ['nominatim'] }
+    }));
+
+    try {
+        const config = loadProvidersConfig({
+            PROVIDERS_CONFIG_FILE: file,
+            OSRM_URL: 'http://localhost:5000/',
+            ROUTING_PROVIDERS: 'OSRM, graphhopper'
+        });
+
+        assert.strictEqual(config.urls.osrm, 'http://localhost:5000', 'env vence o arquivo e a barra final é removida');
+        assert.strictEqual(config.urls.nominatim, 'http://nominatim.interno');
+        assert.strictEqual(config.urls.openMeteo, PROVIDER_DEFAULTS.urls.openMeteo);
+        assert.strictEqual(config.timeouts.routing, 3000);
+        assert.deepStrictEqual(config.order.routing, ['osrm', 'graphhopper']);
+        assert.deepStrictEqual(config.order.geocoding, ['nominatim']);
+    } finally {
+        fs.unlinkSync(file);
+    }
+});
+
+test('Providers - Configuração inválida lista todos os problemas', () => {
+    assert.throws(() => loadProvidersConfig({
+        OSRM_URL: 'ftp://osrm',
+        WEATHER_TIMEOUT_MS: 'rápido',
+        ROUTING_PROVIDERS: 'osrm,here'
+    }), (err) => {
+        assert.match(err.message, /URL inválida para osrm/);
+        assert.match(err.message, /Timeout de weather/);
+        assert.match(err.message, /desconhecido\(s\) em routing: here/);
+        return true;
+    });
+
+    assert.throws(() => loadProvidersConfig({ PROVIDERS_CONFIG_FILE: '/nao/existe.json' }), /Não foi possível ler/);
+});
+
+test('Providers - Rotas usam a URL e a ordem configuradas', async (t) => {
+    const config = loadProvidersConfig({ OSRM_URL: 'http://osrm.local', GRAPHHOPPER_URL: 'http://gh.local', ROUTING_PROVIDERS: 'graphhopper,osrm' });
+    const routing = new RoutingProviderService(config);
+    routing.GRAPHHOPPER_KEY = undefined;
+
+    const calls = [];
+    t.mock.method(axios, 'get', async (url, options) => {
+        calls.push({ url, timeout: options.timeout });
+        if (url.startsWith('http://gh.local')) throw new Error('fora do ar');
+        return {
+            data: { routes: [{ duration: 60, distance: 1000, geometry: { coordinates: [[0, 0], [0, 0.01]] }, legs: [] }] }
+        };
+    });
+
+    const route = await routing.getRouteWithFallback([{ lat: 0, lng: 0 }, { lat: 0.01, lng: 0 }]);
+
+    assert.strictEqual(route.provider, 'OSRM');
+    assert.strictEqual(calls.length, 2);
+    assert.ok(calls[0].url.startsWith('http://gh.local/route?'), 'GraphHopper próprio é tentado primeiro, mesmo sem chave');
+    assert.ok(!calls[0].url.includes('key='));
+    assert.ok(calls[1].url.startsWith('http://osrm.local/route/v1/driving/'));
+    assert.strictEqual(calls[1].timeout, 8000);
+});
+
+test('Providers - Geocodificação respeita a ordem e ignora provedores fora dela', async (t) => {
+    const config = loadProvidersConfig({ NOMINATIM_URL: 'http://nominatim.local', GEOCODING_PROVIDERS: 'nominatim' });
+    const geocoding = new GeocodingService(config);
+    geocoding.MAPBOX_TOKEN = 'token';
+
+    const urls = [];
+    t.mock.method(axios, 'get', async (url) => {
+        urls.push(url);
+        return { data: [{ lat: '-23.5', lon: '-46.6', display_name: 'São Paulo' }] };
+    });
+
+    const coords = await geocoding.getCoordinates('São Paulo');
+
+    assert.deepStrictEqual(coords, { lat: -23.5, lng: -46.6 });
+    assert.strictEqual(urls.length, 1);
+    assert.ok(urls[0].startsWith('http://nominatim.local/search?'));
+});
+
+test('Geocoding - Cache evita nova consulta aos provedores para a mesma cidade', async (t) => {
+    const store = new Map();
+    const cache = {
+        async get(kind, key) { return store.has(`${kind}:${key}`) ? store.get(`${kind}:${key}`) : null; },
+        set(kind, key, data) { store.set(`${kind}:${key}`, data); }
+    };
+    const geocoding = new GeocodingService(loadProvidersConfig({ GEOCODING_PROVIDERS: 'nominatim' }), cache);
+
+    let calls = 0;
+    t.mock.method(axios, 'get', async (url) => {
+        calls++;
+        if (url.includes('/reverse?')) return { data: { address: { town: 'Registro', state: 'São Paulo' } } };
+        return { data: url.includes('Nowhere') ? [] : [{ lat: '-23.5', lon: '-46.6' }] };
+    });
+
+    await geocoding.getCoordinates('São Paulo - SP');
+    assert.deepStrictEqual(await geocoding.getCoordinates('sao paulo, sp'), { lat: -23.5, lng: -46.6 });
+    assert.strictEqual(calls, 1, 'variações de acento e separador usam a mesma chave');
+
+    // Resultado vazio não é gravado
+    assert.strictEqual(await geocoding.getCoordinates('Nowhere'), null);
+    assert.strictEqual(await geocoding.getCoordinates('Nowhere'), null);
+    assert.strictEqual(calls, 3);
+
+    // Reverso por coordenadas arredondadas (~1 km)
+    assert.strictEqual(await geocoding.getCityName(-24.4961, -47.8441), 'Registro, SP');
+    assert.strictEqual(await geocoding.getCityName(-24.4989, -47.8412), 'Registro, SP');
+    assert.strictEqual(calls, 4);
+    assert.ok(store.has('reverse:-24.50,-47.84'));
+});
@@ -0,0 +1,70 @@
+/**
+ * Testes da exportação da rota com a previsão (GPX, KML e GeoJSON)
+ * Rodar com: node tests/route-export.test.js
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const RouteExportService = require('../services/RouteExportService');
+
+const exporter = new RouteExportService();
+
+const route = {
+    routeGeo: [[-46.6, -23.5], [-45.9, -23.2], [-43.2, -22.9]],
+    provider: 'OSRM',
+    profile: 'car',
+    distanceTotal: 430000,
+    durationTotal: 5 * 3600,
+    checkpoints: [
+        {
+            lat: -23.5, lng: -46.6, time: '2030-01-01T11:00:00.000Z', formattedTime: '01/01, 08:00',
+            locationName: 'São Paulo', distanceFromStart: 0,
+            weather: { temp: 22, condition: 'Sol ☀️' }, hazard: { level: 'low', score: 0, reasons: [] }
+        },
+        {
+            lat: -23.2, lng: -45.9, time: '2030-01-01T12:00:00.000Z', formattedTime: '01/01, 09:00',
+            locationName: null, distanceFromStart: 95,
+            weather: { temp: 19, condition: 'Chuva Forte <R&D>' }, hazard: { level: 'high', score: 2, reasons: ['chuva forte'] }
+        },
+        {
+            lat: -22.9, lng: -43.2, time: '2030-01-01T16:00:00.000Z', formattedTime: '01/01, 13:00',
+            locationName: 'Rio de Janeiro', distanceFromStart: 430,
+            weather: { temp: "--", condition: 'Erro de conexão' }, hazard: { level: 'low', score: 0, reasons: [] }
+        }
+    ]
+};
+
+test('RouteExport - Descrição do waypoint com horário, clima e risco', (t) => {
+    assert.strictEqual(exporter.describeCheckpoint(route.checkpoints[0]), '01/01, 08:00 · 22°C · Sol ☀️');
+    assert.strictEqual(exporter.describeCheckpoint(route.checkpoints[1]), '01/01, 09:00 · 19°C · Chuva Forte <R&D> · Risco alto: chuva forte');
+    assert.strictEqual(exporter.describeCheckpoint(route.checkpoints[2]), '01/01, 13:00 · Erro de conexão', 'Sem temperatura quando o clima falhou');
+});
+
+test('RouteExport - GPX com waypoints antes da trilha e texto escapado', (t) => {
+    const { content, contentType, extension } = exporter.export(route, 'gpx', { name: 'São Paulo → Rio' });
+
+    assert.strictEqual(contentType, 'application/gpx+xml');
+    assert.strictEqual(extension, 'gpx');
+    assert.strictEqual((content.match(/<wpt /g) || []).length, 3);
+    assert.strictEqual((content.match(/<trkpt /g) || []).length, 3);
+    assert.ok(content.indexOf('<wpt ') < content.indexOf('<trk>'), 'GPX 1.1 exige wpt antes de trk');
+    assert.ok(content.includes('<trkpt lat="-23.5" lon="-46.6"/>'), 'routeGeo é [lng, lat]');
+    assert.ok(content.includes('<time>2030-01-01T12:00:00.000Z</time>'));
+    assert.ok(content.includes('<name>Km 95</name>'), 'Checkpoint sem nome usa a distância');
+    assert.ok(content.includes('Chuva Forte &lt;R&amp;D&gt;'));
+    assert.ok(!content.includes('<R&D>'));
+});
+
+test('RouteExport - KML e GeoJSON com coordenadas em lng,lat', (t) => {
+    const kml = exporter.export(route, 'kml').content;
+    assert.ok(kml.includes('<coordinates>-46.6,-23.5 -45.9,-23.2 -43.2,-22.9</coordinates>'));
+    assert.strictEqual((kml.match(/<Placemark>/g) || []).length, 4, 'Trilha + 3 checkpoints');
+    assert.ok(kml.includes('<TimeStamp><when>2030-01-01T11:00:00.000Z</when></TimeStamp>'));
+
+    const geojson = JSON.parse(exporter.export(route, 'geojson').content);
+    assert.strictEqual(geojson.type, 'FeatureCollection');
+    assert.deepStrictEqual(geojson.features[0].geometry, { type: 'LineString', coordinates: route.routeGeo });
+    assert.deepStrictEqual(geojson.features[2].geometry.coordinates, [-45.9, -23.2]);
+    assert.strictEqual(geojson.features[2].properties.hazard.level, 'high');
+
+    assert.throws(() => exporter.export(route, 'kmz'), /Formato de exportação inválido/);
+});
@@ -0,0 +1,72 @@
+/**
+ * Testes de interpolação de checkpoints ao longo da geometria da rota
+ * Rodar com: node tests/route-geometry.test.js
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const RouteGeometry = require('../services/RouteGeometry');
+const RouteWeatherOrchestrator = require('../services/weatherRouteService');
+
+// Trecho urbano denso (10 vértices em ~1 km) seguido de rodovia esparsa (1 vértice a ~111 km)
+const densePath = [];
+for (let i = 0; i <= 10; i++) densePath.push([0, i * 0.001]);
+densePath.push([0, 1.011]);
+
+test('RouteGeometry - Distância haversine', (t) => {
+    const oneDegree = RouteGeometry.haversine([0, 0], [0, 1]);
+    assert.ok(Math.abs(oneDegree - 111195) < 10, '1 grau de latitude deve ter ~111,2 km');
+});
+
+test('RouteGeometry - Checkpoint posicionado pela distância, não pelo índice do vértice', (t) => {
+    const orchestrator = new RouteWeatherOrchestrator();
+    const schedule = orchestrator._buildCheckpointSchedule({ path: densePath, duration: 7200, distance: 112000 });
+
+    assert.strictEqual(schedule.length, 3);
+    const middle = schedule[1];
+    assert.strictEqual(middle.timeOffset, 3600);
+    // Na metade do tempo o carro está na metade da distância (~0,5 grau), não no vértice 5 (0,005 grau)
+    assert.ok(Math.abs(middle.lat - 0.5055) < 0.001, `lat esperada ~0.5055, recebida ${middle.lat}`);
+    assert.ok(Math.abs(middle.distance - 56000) < 100);
+    assert.strictEqual(schedule[2].lat, 1.011);
+});
+
+test('RouteGeometry - Durações por segmento do provedor têm prioridade', (t) => {
+    const orchestrator = new RouteWeatherOrchestrator();
+    // Trecho urbano lento: 1h nos primeiros 10 segmentos, 1h na rodovia
+    const segmentDurations = [...new Array(10).fill(360), 3600];
+    const schedule = orchestrator._buildCheckpointSchedule({ path: densePath, duration: 7200, distance: 112000, segmentDurations });
+
+    assert.ok(Math.abs(schedule[1].lat - 0.01) < 1e-9, 'Após 1h o carro acabou de sair da cidade');
+});
+
+test('RouteGeometry - Amostragem por intervalo e por distância', (t) => {
+    const orchestrator = new RouteWeatherOrchestrator();
+    const route = { path: densePath, duration: 7200, distance: 112000 };
+
+    const every30min = orchestrator._buildCheckpointSchedule(route, { interval: 30 });
+    assert.deepStrictEqual(every30min.map(s => s.timeOffset), [0, 1800, 3600, 5400, 7200]);
+
+    const every50km = orchestrator._buildCheckpointSchedule(route, { everyKm: 50 });
+    assert.deepStrictEqual(every50km.map(s => Math.round(s.distance / 1000)), [0, 50, 100, 112]);
+    assert.strictEqual(every50km[1].timeOffset, Math.round(7200 * 50 / 112));
+});
+
+test('RouteGeometry - Chave do cache de rotas depende só dos pontos e do modo de viagem', (t) => {
+    const orchestrator = new RouteWeatherOrchestrator();
+    const points = [{ lat: -23, lng: -46 }, { lat: -22.9, lng: -43.2, stayMinutes: 30 }];
+
+    assert.strictEqual(orchestrator._buildRouteKey(points), '-23.0000,-46.0000|-22.9000,-43.2000');
+    assert.strictEqual(orchestrator._buildRouteKey(points, 'car'), '-23.0000,-46.0000|-22.9000,-43.2000');
+    assert.strictEqual(orchestrator._buildRouteKey(points, 'bike'), '-23.0000,-46.0000|-22.9000,-43.2000|mode=bike');
+});
+
+test('RoutingProvider - Alternativas no mesmo formato da rota principal', (t) => {
+    const RoutingProviderService = require('../services/RoutingProviderService');
+    const routing = new RoutingProviderService();
+    const routes = [1, 2, 3, 4].map(n => ({ distance: n }));
+
+    const result = routing._withAlternatives(routes, r => ({ distance: r.distance * 1000 }));
+    assert.strictEqual(result.distance, 1000);
+    assert.deepStrictEqual(result.alternatives, [{ distance: 2000 }, { distance: 3000 }], 'Limitado a MAX_ALTERNATIVES');
+    assert.strictEqual(routing._supportsAlternatives([{}, {}, {}]), false, 'Rotas com paradas não pedem alternativas');
+});
@@ -17,6 +17,23 @@ test('WeatherService - Tradução de Códigos WMO', (t) => {
     assert.strictEqual(unknown, 'Clima (999)', 'Código desconhecido deve retornar formato padrão');
 });
 
+test('WeatherService - Mapeamento das variáveis horárias do Open-Meteo', (t) => {
+    const hourly = {
+        temperature_2m: [20, 21], apparent_temperature: [19, 22], relativehumidity_2m: [80, 75],
+        weathercode: [0, 63], precipitation_probability: [10, 70], precipitation: [0, 2.4],
+        windspeed_10m: [12, 18], windgusts_10m: [25, 40], visibility: [24000, 8000]
+    };
+
+    const result = weatherService._mapOpenMeteoHour(hourly, 1);
+    assert.deepStrictEqual(result, {
+        temp: 21, condition: 'Chuva Moderada ☔', weatherCode: 63, apparentTemp: 22, humidity: 75,
+        precipitationProbability: 70, precipitation: 2.4, windSpeed: 18, windGusts: 40, visibility: 8000
+    });
+
+    const partial = weatherService._mapOpenMeteoHour({ temperature_2m: [20], weathercode: [0] }, 0);
+    assert.strictEqual(partial.windSpeed, null, 'Variável ausente deve ser null');
+});
+
 test('WeatherService - Estrutura da Resposta de Clima', async (t) => {
     // Nota: Como este teste chama a API real, pode falhar sem internet.
     // Em um cenário real de CI/CD, usaríamos mocks para o axios.
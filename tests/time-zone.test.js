@@ -0,0 +1,98 @@
+/**
+ * Testes de fuso horário (datas do viajante, horário local dos checkpoints e hora da previsão)
+ * Rodar com: node tests/time-zone.test.js
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const axios = require('axios');
+const TimeZone = require('../services/TimeZone');
+const TripTimeline = require('../services/TripTimeline');
+const WeatherService = require('../services/WeatherService');
+const RouteWeatherOrchestrator = require('../services/weatherRouteService');
+
+test('TimeZone - Data sem offset vale no fuso do viajante', (t) => {
+    assert.strictEqual(TimeZone.parse('2030-01-01T08:00', 'America/Sao_Paulo').toISOString(), '2030-01-01T11:00:00.000Z');
+    assert.strictEqual(TimeZone.parse('2030-01-01T08:00', 'America/Rio_Branco').toISOString(), '2030-01-01T13:00:00.000Z');
+    assert.strictEqual(TimeZone.parse('2030-01-01T08:00:00Z', 'America/Rio_Branco').toISOString(), '2030-01-01T08:00:00.000Z');
+    assert.strictEqual(TimeZone.parse('amanhã', 'America/Sao_Paulo'), null);
+
+    const instant = new Date('2030-01-01T11:00:00Z');
+    assert.strictEqual(TimeZone.toIsoString(instant, 'America/Sao_Paulo'), '2030-01-01T08:00:00-03:00');
+    assert.strictEqual(TimeZone.toIsoString(instant, 'America/Cuiaba'), '2030-01-01T07:00:00-04:00');
+    assert.strictEqual(TimeZone.toIsoString(instant, 'Asia/Kolkata'), '2030-01-01T16:30:00+05:30');
+
+    assert.strictEqual(TimeZone.isValid('America/Manaus'), true);
+    assert.strictEqual(TimeZone.isValid('Brasil/Centro'), false);
+});
+
+test('TimeZone - Janela de direção no fuso da viagem, não no do servidor', (t) => {
+    const drivingWindow = { start: '07:00', end: '19:00' };
+    const departure = TimeZone.parse('2030-01-01T17:00', 'America/Sao_Paulo');
+    const timeline = new TripTimeline(departure, { drivingWindow, timeZone: 'America/Sao_Paulo' });
+
+    const plan = timeline.plan(3 * 3600);
+    assert.strictEqual(TimeZone.toIsoString(plan.rests[0].start, 'America/Sao_Paulo'), '2030-01-01T19:00:00-03:00');
+    assert.strictEqual(TimeZone.toIsoString(plan.rests[0].end, 'America/Sao_Paulo'), '2030-01-02T07:00:00-03:00');
+    assert.strictEqual(TimeZone.toIsoString(plan.arrival, 'America/Sao_Paulo'), '2030-01-02T08:00:00-03:00');
+});
+
+test('TimeZone - Open-Meteo usa a hora do instante pedido, não a hora do servidor', async (t) => {
+    // Resposta com timezone=auto/timeformat=unixtime: 3 dias locais do Acre (UTC-5), temperatura = índice
+    const start = Date.parse('2029-12-31T05:00:00Z') / 1000;
+    const time = Array.from({ length: 72 }, (_, i) => start + i * 3600);
+    const hourly = { time, temperature_2m: time.map((_, i) => i), weathercode: time.map(() => 0) };
+
+    const originalGet = axios.get;
+    let requestedUrl = null;
+    axios.get = async (url) => {
+        requestedUrl = url;
+        return { data: { timezone: 'America/Rio_Branco', utc_offset_seconds: -18000, hourly } };
+    };
+    t.after(() => { axios.get = originalGet; });
+
+    const service = new WeatherService(undefined, { now: () => Date.parse('2029-12-30T12:00:00Z') });
+    // 02:20 UTC de 1/jan ainda é 31/dez (21:20) no Acre: índice 21 (31/dez 21h local)
+    const [result] = await service.getBatchWeather([{ lat: -9.97, lng: -67.81, date: new Date('2030-01-01T02:20:00Z') }]);
+
+    assert.match(requestedUrl, /timeformat=unixtime/);
+    assert.match(requestedUrl, /start_date=2029-12-31/);
+    assert.strictEqual(result.temp, 21);
+    assert.strictEqual(result.timeZone, 'America/Rio_Branco');
+});
+
+test('TimeZone - Checkpoints trazem o horário local de cada trecho', async (t) => {
+    const orchestrator = new RouteWeatherOrchestrator(
+        {
+            async getRoute() { return null; }, saveRoute() { },
+            async getWeather(points) { return points.map(() => null); }, saveWeather() { }
+        },
+        { async getCoordinates() { return { lat: -10, lng: -60 }; }, async getCityName() { return 'Estrada'; } },
+        {
+            async getRouteWithFallback() {
+                return { path: [[-56, -15], [-68, -10]], duration: 2 * 3600, distance: 200000, provider: 'Mock' };
+            }
+        },
+        {
+            // Partida em Cuiabá (UTC-4), chegada no Acre (UTC-5); o checkpoint do meio sem fuso
+            async getBatchWeather(points) {
+                return points.map((p, i) => ({
+                    temp: 30, condition: 'Sol', weatherCode: 0,
+                    timeZone: [ 'America/Cuiaba', null, 'America/Rio_Branco' ][i]
+                }));
+            }
+        }
+    );
+
+    const result = await orchestrator.getRouteForecast('Cuiabá', 'Rio Branco', [], '2030-01-01T08:00', {
+        timeZone: 'America/Sao_Paulo', interval: 60
+    });
+    const [first, middle, last] = result.checkpoints;
+
+    assert.strictEqual(first.time, '2030-01-01T11:00:00.000Z', 'Partida às 08:00 no fuso do viajante');
+    assert.strictEqual(first.localTime, '2030-01-01T07:00:00-04:00');
+    assert.strictEqual(first.timeZone, 'America/Cuiaba');
+    assert.strictEqual(middle.timeZone, 'America/Sao_Paulo', 'Sem fuso do provedor, usa o do viajante');
+    assert.strictEqual(last.localTime, '2030-01-01T08:00:00-05:00');
+    assert.match(last.formattedTime, /08:00/);
+    assert.strictEqual(result.arrivalLocalTime, '2030-01-01T08:00:00-05:00');
+});
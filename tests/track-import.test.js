@@ -0,0 +1,81 @@
+/**
+ * Testes da importação de trilhas GPX/GeoJSON e da previsão sem roteamento
+ * Rodar com: node tests/track-import.test.js
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const TrackImportService = require('../services/TrackImportService');
+const RouteWeatherOrchestrator = require('../services/weatherRouteService');
+
+const importer = new TrackImportService();
+
+const GPX = `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="Outro App" xmlns="http://www.topografix.com/GPX/1/1">
+  <trk>
+    <name>Serra do Mar</name>
+    <trkseg>
+      <trkpt lat="-23.0" lon="-46.0"><ele>700</ele><time>2030-01-01T10:00:00Z</time></trkpt>
+      <trkpt lon="-46.0" lat="-23.5"><time>2030-01-01T11:00:00Z</time></trkpt>
+      <trkpt lat='-24.0' lon='-46.0'><time>2030-01-01T13:00:00Z</time></trkpt>
+    </trkseg>
+  </trk>
+</gpx>`;
+
+test('TrackImport - GPX com horários define duração, ritmo e partida', (t) => {
+    const track = importer.parse(GPX);
+    assert.deepStrictEqual(track.path, [[-46, -23], [-46, -23.5], [-46, -24]]);
+    assert.strictEqual(track.name, 'Serra do Mar');
+
+    const route = importer.toRouteData(track);
+    assert.strictEqual(route.duration, 3 * 3600);
+    assert.deepStrictEqual(route.segmentDurations, [3600, 7200]);
+    assert.deepStrictEqual(route.departure, new Date('2030-01-01T10:00:00Z'));
+    assert.strictEqual(route.provider, 'GPX importado');
+    assert.ok(Math.abs(route.distance - 111195) < 100, 'Distância geométrica da trilha');
+});
+
+test('TrackImport - Sem horários exige velocidade média', (t) => {
+    const geojson = {
+        type: 'FeatureCollection',
+        features: [
+            { type: 'Feature', geometry: { type: 'Point', coordinates: [-46, -23] }, properties: {} },
+            { type: 'Feature', geometry: { type: 'MultiLineString', coordinates: [[[-46, -23], [-46, -23.5]], [[-46, -23.5], [-46, -24]]] }, properties: { name: 'Trilha' } }
+        ]
+    };
+    const track = importer.parse(JSON.stringify(geojson));
+    assert.strictEqual(track.path.length, 4, 'Segmentos do MultiLineString concatenados');
+
+    assert.throws(() => importer.toRouteData(track), /velocidade média/);
+    const route = importer.toRouteData(track, { averageSpeed: 60 });
+    assert.ok(Math.abs(route.duration - route.distance / (60 / 3.6)) < 1e-6);
+    assert.strictEqual(route.departure, null);
+});
+
+test('TrackImport - Arquivos inválidos', (t) => {
+    assert.throws(() => importer.parse('não é nada'), /GPX ou um GeoJSON válido/);
+    assert.throws(() => importer.parse({ type: 'Point', coordinates: [0, 0] }), /LineString/);
+    assert.throws(() => importer.parse('<gpx><trk><trkseg><trkpt lat="-23" lon="-46"/></trkseg></trk></gpx>'), /pelo menos 2 pontos/);
+    assert.throws(() => importer.parse('<gpx><trkpt lat="95" lon="0"/><trkpt lat="0" lon="0"/></gpx>'), /inválidas/);
+});
+
+test('TrackImport - Orquestrador calcula o clima na trilha sem geocoding nem roteamento', async (t) => {
+    const geocoding = {
+        async getCoordinates() { assert.fail('Trilha importada não é geocodificada'); },
+        async getCityName() { return "Cidade Teste"; }
+    };
+    const routing = { async getRouteWithFallback() { assert.fail('Trilha importada não é roteada'); } };
+    const weather = { async getBatchWeather(points) { return points.map(p => ({ temp: Math.round(p.lat), condition: "Sol" })); } };
+    const cache = { async getWeather(points) { return points.map(() => null); }, saveWeather() { } };
+
+    const orchestrator = new RouteWeatherOrchestrator(cache, geocoding, routing, weather);
+    const result = await orchestrator.getTrackForecast(importer.toRouteData(importer.parse(GPX)));
+
+    assert.deepStrictEqual(result.checkpoints.map(c => c.time), [
+        '2030-01-01T10:00:00.000Z', '2030-01-01T11:00:00.000Z', '2030-01-01T12:00:00.000Z', '2030-01-01T13:00:00.000Z'
+    ]);
+    // O ritmo da trilha vale: 1 hora até -23.5, depois 2 horas até -24
+    assert.deepStrictEqual(result.checkpoints.map(c => c.lat), [-23, -23.5, -23.75, -24]);
+    assert.ok(result.checkpoints.every(c => c.locationName === "Cidade Teste"));
+    assert.strictEqual(result.provider, 'GPX importado');
+    assert.deepStrictEqual(result.alternatives, []);
+});
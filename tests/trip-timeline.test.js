@@ -0,0 +1,71 @@
+/**
+ * Testes do TripTimeline (permanência em paradas e janela diária de direção)
+ * Rodar com: node tests/trip-timeline.test.js
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const TripTimeline = require('../services/TripTimeline');
+const RouteWeatherOrchestrator = require('../services/weatherRouteService');
+
+const at = (day, hours, minutes = 0) => new Date(2030, 0, day, hours, minutes);
+
+test('TripTimeline - Sem pausas o horário é a partida mais o tempo de direção', (t) => {
+    const timeline = new TripTimeline(at(1, 8));
+    assert.deepStrictEqual(timeline.at(5400), at(1, 9, 30));
+});
+
+test('TripTimeline - Permanência na parada desloca os checkpoints seguintes', (t) => {
+    const timeline = new TripTimeline(at(1, 8), { pauses: [{ offset: 3600, minutes: 45, name: 'Resende' }] });
+
+    assert.deepStrictEqual(timeline.at(3600), at(1, 9), 'Chegada na parada ainda sem a permanência');
+    assert.deepStrictEqual(timeline.at(7200), at(1, 10, 45));
+
+    const plan = timeline.plan(7200);
+    assert.strictEqual(plan.rests.length, 1);
+    assert.strictEqual(plan.rests[0].type, 'stop');
+    assert.deepStrictEqual(plan.rests[0].end, at(1, 9, 45));
+});
+
+test('TripTimeline - Janela diária gera pernoite e adia a partida fora do horário', (t) => {
+    const drivingWindow = { start: '07:00', end: '19:00' };
+
+    const lateStart = new TripTimeline(at(1, 5), { drivingWindow });
+    assert.deepStrictEqual(lateStart.at(0), at(1, 7), 'Partida antes da janela aguarda a abertura');
+
+    const timeline = new TripTimeline(at(1, 17), { drivingWindow });
+    assert.deepStrictEqual(timeline.at(3 * 3600), at(2, 8), '2h no primeiro dia e 1h no dia seguinte');
+
+    const plan = timeline.plan(3 * 3600);
+    assert.strictEqual(plan.rests.length, 1);
+    assert.strictEqual(plan.rests[0].type, 'overnight');
+    assert.strictEqual(plan.rests[0].drivingOffset, 2 * 3600);
+    assert.deepStrictEqual(plan.rests[0].start, at(1, 19));
+    assert.deepStrictEqual(plan.rests[0].end, at(2, 7));
+});
+
+test('TripTimeline - Paradas viram checkpoints com permanência no orquestrador', async (t) => {
+    const path = [[0, 0], [0, 0.5], [0, 1]];
+    const geocoding = {
+        async getCoordinates(name) {
+            return { A: { lat: 0, lng: 0 }, B: { lat: 0.5, lng: 0 }, C: { lat: 1, lng: 0 } }[name];
+        },
+        async getCityName() { return "Estrada"; }
+    };
+    const routing = { async getRouteWithFallback() { return { path, duration: 3 * 3600, distance: 111000, provider: 'Mock' }; } };
+    const weather = { async getBatchWeather(points) { return points.map(() => ({ temp: 25, condition: "Sol" })); } };
+    const cache = { async getRoute() { return null; }, saveRoute() { }, async getWeather(points) { return points.map(() => null); }, saveWeather() { } };
+
+    const orchestrator = new RouteWeatherOrchestrator(cache, geocoding, routing, weather);
+    const result = await orchestrator.getRouteForecast("A", "C", [{ name: "B", stayMinutes: 30 }], at(1, 8).toISOString());
+
+    const stop = result.checkpoints.find(c => c.locationName === "B");
+    assert.ok(stop, 'Parada deve virar checkpoint');
+    assert.strictEqual(stop.isStopNode, true);
+    assert.strictEqual(stop.stayMinutes, 30);
+    assert.strictEqual(stop.drivingOffset, 5400);
+
+    const arrival = result.checkpoints[result.checkpoints.length - 1];
+    assert.strictEqual(arrival.locationName, "C");
+    assert.strictEqual(result.arrivalTime, new Date(at(1, 11, 30)).toISOString());
+    assert.strictEqual(result.restPeriods[0].name, "B");
+});
@@ -0,0 +1,115 @@
+/**
+ * Testes do acompanhamento de viagens (comparação de previsões e notificações)
+ * Rodar com: node tests/trip-watch.test.js
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const TripWatchService = require('../services/TripWatchService');
+const NotificationService = require('../services/NotificationService');
+
+const NOW = Date.parse('2030-01-01T00:00:00Z');
+
+const checkpoint = (locationName, drivingOffset, weather, score = 0, reasons = []) => ({
+    drivingOffset,
+    formattedTime: '01/01, 08:00',
+    locationName,
+    distanceFromStart: Math.round(drivingOffset / 36),
+    weather,
+    hazard: { level: ['low', 'moderate', 'high', 'severe'][score], score, reasons }
+});
+
+test('TripWatch - Detecta chuva nova, variação de temperatura e aumento de risco', (t) => {
+    const watch = new TripWatchService();
+    const before = {
+        checkpoints: [
+            checkpoint('A', 0, { temp: 25, condition: 'Sol', precipitationProbability: 10 }),
+            checkpoint('B', 3600, { temp: 24, condition: 'Nublado', precipitationProbability: 20 }),
+            checkpoint('C', 7200, { temp: 22, condition: 'Chuva', precipitationProbability: 80 }),
+            checkpoint('D', 10800, { temp: "--", condition: 'Erro de conexão' })
+        ]
+    };
+    const after = {
+        checkpoints: [
+            checkpoint('A', 0, { temp: 27, condition: 'Sol', precipitationProbability: 0 }),
+            checkpoint('B', 3700, { temp: 17, condition: 'Chuva Forte', precipitationProbability: 90, precipitation: 6 }, 2, ['chuva forte']),
+            checkpoint('C', 7200, { temp: 21, condition: 'Chuva', precipitationProbability: 90 }),
+            checkpoint('D', 10800, { temp: 10, condition: 'Neve', precipitationProbability: 90 }, 3)
+        ]
+    };
+
+    const changes = watch.diffForecasts(before, after);
+
+    // B é pareado pelo tempo de direção mais próximo; chuva que continua (C) e
+    // checkpoint sem dados antes (D) não geram aviso
+    assert.deepStrictEqual(changes.map(c => [c.type, c.locationName]), [['rain', 'B'], ['temperature', 'B'], ['hazard', 'B']]);
+    assert.deepStrictEqual([changes[1].from, changes[1].to], [24, 17]);
+    assert.deepStrictEqual([changes[2].from, changes[2].to], ['low', 'high']);
+    assert.strictEqual(changes[2].message, 'Risco subiu para alto (chuva forte)');
+});
+
+test('TripWatch - Rodada notifica os inscritos só das viagens futuras que pioraram', async (t) => {
+    const calm = { checkpoints: [checkpoint('A', 0, { temp: 20, condition: 'Sol' })] };
+    const stormy = { checkpoints: [checkpoint('A', 0, { temp: 20, condition: 'Tempestade', precipitationProbability: 95 }, 2)] };
+
+    const trips = [
+        { id: 'futura01', params: { origin: 'SP', destination: 'RJ', date: '2030-01-03T08:00:00Z' }, result: calm, watches: [{ id: 'w1', channel: 'webhook', target: 'https://exemplo.com/hook' }, { id: 'w2', channel: 'email', target: 'a@b.com' }] },
+        { id: 'estavel1', params: { origin: 'SP', destination: 'BH', date: '2030-01-02T08:00:00Z' }, result: calm, watches: [{ id: 'w3', channel: 'webhook', target: 'https://exemplo.com/hook' }] },
+        { id: 'passada1', params: { origin: 'SP', destination: 'PR', date: '2029-12-31T08:00:00Z' }, result: calm, watches: [{ id: 'w4', channel: 'webhook', target: 'https://exemplo.com/hook' }] }
+    ];
+
+    const updated = [];
+    const notified = [];
+    const tripRepo = {
+        async getWatchedTrips() { return trips; },
+        async updateResult(id, result) { updated.push(id); },
+        async markWatchNotified(id) { notified.push(id); }
+    };
+    const forecastTrip = async (params) => (params.destination === 'RJ' ? stormy : calm);
+
+    const sent = [];
+    const mailed = [];
+    const notifications = new NotificationService({ mailer: { async sendMail(mail) { mailed.push(mail); } } });
+    notifications.register('webhook', { validate: () => true, send: async (url, notification) => sent.push({ url, notification }) });
+
+    const dispatched = [];
+    const webhooks = { async dispatch(event, data) { dispatched.push({ event, tripId: data.tripId }); } };
+
+    const watch = new TripWatchService(tripRepo, forecastTrip, notifications, { publicBaseUrl: 'https://app.exemplo.com/', webhooks, now: () => NOW });
+    const summary = await watch.checkAll();
+
+    assert.deepStrictEqual(summary, { checked: 2, notified: 1 });
+    assert.deepStrictEqual(updated, ['futura01', 'estavel1'], 'Snapshot atualizado mesmo sem mudanças; viagem passada ignorada');
+    assert.deepStrictEqual(notified, ['w1', 'w2']);
+
+    assert.strictEqual(sent.length, 1);
+    assert.strictEqual(sent[0].notification.tripUrl, 'https://app.exemplo.com/t/futura01');
+    assert.deepStrictEqual(sent[0].notification.changes.map(c => c.type), ['rain', 'hazard']);
+
+    assert.strictEqual(mailed[0].to, 'a@b.com');
+    assert.strictEqual(mailed[0].subject, 'Previsão mudou: SP → RJ');
+    assert.match(mailed[0].text, /Chuva prevista \(Tempestade\)/);
+
+    assert.deepStrictEqual(dispatched, [{ event: 'trip.forecast_changed', tripId: 'futura01' }]);
+});
+
+test('Notifications - Validação de destino por canal', async (t) => {
+    assert.deepStrictEqual(new NotificationService().names, ['email'], 'Sem WebhookService, sem canal webhook');
+
+    const delivered = [];
+    const webhooks = {
+        async isPublicUrl(url) { return !url.includes('127.0.0.1'); },
+        async deliverTo(webhookId, event, data) { delivered.push({ webhookId, event, tripId: data.tripId }); return true; }
+    };
+    const notifications = new NotificationService({ webhooks });
+    assert.deepStrictEqual(notifications.names, ['webhook', 'email']);
+    assert.strictEqual(await notifications.isValidTarget('webhook', 'https://exemplo.com/x'), true);
+    assert.strictEqual(await notifications.isValidTarget('webhook', 'ftp://exemplo.com'), false);
+    assert.strictEqual(await notifications.isValidTarget('webhook', 'http://127.0.0.1:3000/api/admin'), false);
+    assert.strictEqual(await notifications.isValidTarget('email', 'a@b.com'), true);
+    assert.strictEqual(await notifications.isValidTarget('email', 'a@b'), false);
+    assert.strictEqual(await notifications.isValidTarget('sms', '123'), false);
+
+    // O destino da inscrição por webhook é o id do webhook, que assina a entrega
+    await notifications.send('webhook', 'hook0001', { event: 'trip.forecast_changed', tripId: 'futura01' });
+    assert.deepStrictEqual(delivered, [{ webhookId: 'hook0001', event: 'trip.forecast_changed', tripId: 'futura01' }]);
+});
@@ -0,0 +1,61 @@
+/**
+ * Testes da renderização da linha do tempo (src/js/ui.js), empacotada com o esbuild como no build
+ * Rodar com: node tests/ui-render.test.js
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const esbuild = require('esbuild');
+
+// O suficiente do navegador para carregar os módulos do frontend
+globalThis.window = { location: { hostname: 'localhost', href: 'http://localhost:3000/' } };
+if (typeof navigator === 'undefined') globalThis.navigator = { language: 'pt-BR', languages: ['pt-BR'] };
+
+function loadUi() {
+    const { outputFiles: [bundle] } = esbuild.buildSync({
+        entryPoints: [path.join(__dirname, '../src/js/ui.js')],
+        bundle: true,
+        format: 'cjs',
+        platform: 'neutral',
+        write: false
+    });
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'wt-ui-')), 'ui.js');
+    fs.writeFileSync(file, bundle.text);
+    return require(file);
+}
+
+const ui = loadUi();
+
+const checkpoint = (hazard) => ({
+    formattedTime: '01/01, 08:00',
+    locationName: 'Registro, SP',
+    distanceFromStart: 180,
+    weather: { temp: 22, condition: 'Chuva Forte ⛈️' },
+    hazard
+});
+
+test('UI - Checkpoint com risco mostra o selo com o nível e os motivos', (t) => {
+    const html = ui.renderCheckpoint(checkpoint({ level: 'high', score: 2, reasons: ['Chuva de 12 mm/h', 'Rajadas de 80 km/h'] }), 1, 3);
+
+    assert.match(html, /⚠️ /);
+    assert.match(html, /title="Chuva de 12 mm\/h · Rajadas de 80 km\/h"/);
+    assert.match(html, /border-orange-500/);
+    assert.match(html, /Registro, SP/);
+});
+
+test('UI - Checkpoint sem risco não tem selo', (t) => {
+    const html = ui.renderCheckpoint(checkpoint({ level: 'low', score: 0, reasons: [] }), 1, 3);
+    assert.ok(!html.includes('⚠️'));
+});
+
+test('UI - Motivos do risco e condição do tempo são escapados', (t) => {
+    const item = checkpoint({ level: 'high', score: 2, reasons: ['"><img src=x onerror=alert(1)>'] });
+    item.weather.condition = '<img src=x onerror=alert(2)>';
+    const html = ui.renderCheckpoint(item, 1, 3);
+
+    assert.ok(!html.includes('<img'));
+    assert.match(html, /title="&quot;&gt;&lt;img src=x onerror=alert\(1\)&gt;"/);
+    assert.match(html, /&lt;img src=x onerror=alert\(2\)&gt;/);
+});
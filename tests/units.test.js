@@ -0,0 +1,123 @@
+/**
+ * Testes das unidades da resposta (métrico e imperial)
+ * Rodar com: node tests/units.test.js
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const UnitConverter = require('../services/UnitConverter');
+const HazardScoringService = require('../services/HazardScoringService');
+const TripWatchService = require('../services/TripWatchService');
+const RouteExportService = require('../services/RouteExportService');
+const NotificationService = require('../services/NotificationService');
+const RouteWeatherOrchestrator = require('../services/weatherRouteService');
+
+const metricWeather = { temp: 20, apparentTemp: 22, precipitation: 12.7, windSpeed: 50, windGusts: 80, visibility: 1609, condition: 'Chuva Forte ⛈️', weatherCode: 65 };
+
+test('Unidades - Conversão do clima e volta para o métrico', (t) => {
+    const imperial = new UnitConverter('imperial');
+    const converted = imperial.weather(metricWeather);
+
+    assert.strictEqual(converted.temp, 68);
+    assert.strictEqual(converted.apparentTemp, 71.6);
+    assert.strictEqual(converted.precipitation, 0.5);
+    assert.strictEqual(converted.windSpeed, 31.1);
+    assert.strictEqual(converted.windGusts, 49.7);
+    assert.strictEqual(converted.visibility, 1);
+    assert.strictEqual(converted.condition, metricWeather.condition);
+    assert.strictEqual(imperial.distance(161), 100);
+
+    const back = imperial.toMetric(converted);
+    assert.strictEqual(back.temp, 20);
+    assert.ok(Math.abs(back.windGusts - 80) < 0.2);
+
+    const metric = new UnitConverter('metric');
+    assert.strictEqual(metric.weather(metricWeather), metricWeather, 'No métrico o clima passa sem cópia');
+    assert.strictEqual(new UnitConverter('kelvin').units, 'metric');
+    assert.strictEqual(UnitConverter.isValid('imperial'), true);
+    assert.strictEqual(UnitConverter.isValid('toString'), false);
+});
+
+test('Unidades - Motivos do risco nas unidades pedidas, limiares no métrico', (t) => {
+    const hazard = new HazardScoringService();
+
+    const metric = hazard.assessCheckpoint(metricWeather, null, 'en');
+    const imperial = hazard.assessCheckpoint(metricWeather, null, 'en', 'imperial');
+
+    assert.strictEqual(imperial.level, metric.level);
+    assert.ok(metric.reasons.includes('Gusts of 80 km/h'));
+    assert.ok(imperial.reasons.includes('Gusts of 50 mph'));
+    assert.ok(imperial.reasons.some(r => / in\/h$/.test(r)), imperial.reasons.join(' | '));
+});
+
+test('Unidades - Orquestrador converte clima e distâncias depois da nota e do risco', async (t) => {
+    const orchestrator = new RouteWeatherOrchestrator(
+        {
+            async getRoute() { return null; }, saveRoute() { },
+            async getWeather(points) { return points.map(() => null); }, saveWeather() { }
+        },
+        { async getCoordinates() { return { lat: -23.5, lng: -46.6 }; }, async getCityName() { return 'Estrada'; } },
+        {
+            async getRouteWithFallback() {
+                return { path: [[-46.6, -23.5], [-43.2, -22.9]], duration: 5 * 3600, distance: 430000, provider: 'Mock' };
+            }
+        },
+        { async getBatchWeather(points) { return points.map(() => ({ ...metricWeather })); } }
+    );
+
+    const options = { timeZone: 'America/Sao_Paulo', interval: 60, locale: 'en' };
+    const metric = await orchestrator.getRouteForecast('São Paulo', 'Rio de Janeiro', [], '2030-01-01T08:00', options);
+    const events = {};
+    const onProgress = (event, data) => { events[event] = events[event] || data; };
+    const imperial = await orchestrator.getRouteForecast('São Paulo', 'Rio de Janeiro', [], '2030-01-01T08:00', { ...options, units: 'imperial', onProgress });
+
+    assert.strictEqual(metric.units, 'metric');
+    assert.strictEqual(imperial.units, 'imperial');
+    assert.strictEqual(imperial.checkpoints[0].weather.temp, 68);
+    assert.strictEqual(metric.distanceTotal, 430000, 'Métrico em metros');
+    assert.strictEqual(imperial.distanceTotal, 267.2, 'Imperial em milhas');
+    assert.strictEqual(events.route.distanceTotal, 267.2, 'Evento route do streaming nas mesmas unidades');
+    assert.strictEqual(events.route.units, 'imperial');
+
+    const lastMetric = metric.checkpoints[metric.checkpoints.length - 1];
+    const lastImperial = imperial.checkpoints[imperial.checkpoints.length - 1];
+    assert.strictEqual(lastImperial.distanceFromStart, Math.round(lastMetric.distanceFromStart / 1.609344));
+    assert.deepStrictEqual(imperial.weatherSummary, metric.weatherSummary);
+    assert.strictEqual(imperial.hazardSummary.maxLevel, metric.hazardSummary.maxLevel);
+    assert.ok(imperial.checkpoints[0].hazard.reasons.includes('Gusts of 50 mph'));
+});
+
+test('Unidades - Trip watch compara snapshots em unidades diferentes', (t) => {
+    const watch = new TripWatchService();
+    const cp = (weather) => ({ drivingOffset: 0, formattedTime: '01/01, 08:00', locationName: null, distanceFromStart: 100, weather, hazard: { level: 'low', score: 0, reasons: [] } });
+
+    const sunny = { temp: 20, condition: 'Céu Limpo ☀️', weatherCode: 0 };
+    const previous = { units: 'metric', checkpoints: [cp(sunny)] };
+
+    // 20 °C = 68 °F: sem mudança, apesar dos números diferentes
+    assert.deepStrictEqual(watch.diffForecasts(previous, { units: 'imperial', checkpoints: [cp({ ...sunny, temp: 68 })] }), []);
+
+    const [change] = watch.diffForecasts(previous, { units: 'imperial', checkpoints: [cp({ ...sunny, temp: 80.6 })] }, 'en');
+    assert.strictEqual(change.type, 'temperature');
+    assert.strictEqual(change.from, 68);
+    assert.strictEqual(change.to, 80.6);
+    assert.match(change.message, /68°F.*80\.6°F/);
+
+    const text = NotificationService.toText({ title: 'Trip', locale: 'en', units: 'imperial', tripUrl: 'http://x/t/1', changes: [change] });
+    assert.match(text, /Mile 100/);
+});
+
+test('Unidades - Exportação usa as unidades da rota', (t) => {
+    const exporter = new RouteExportService();
+    const route = {
+        units: 'imperial',
+        checkpoints: [{ lat: -23.5, lng: -46.6, formattedTime: '01/01, 08:00', distanceFromStart: 62, weather: { temp: 68, condition: 'Clear' } }],
+        routeGeo: [[-46.6, -23.5], [-46.5, -23.4]]
+    };
+
+    const geojson = JSON.parse(exporter.toGeoJson(route, 'Trip', 'en'));
+    const waypoint = geojson.features.find(f => f.geometry.type === 'Point');
+    assert.strictEqual(waypoint.properties.name, 'Mile 62');
+    assert.match(waypoint.properties.description, /68°F/);
+    assert.strictEqual(geojson.features.find(f => f.geometry.type === 'LineString').properties.units, 'imperial');
+    assert.match(exporter.toGpx(route, 'Trip', 'en'), /<name>Mile 62<\/name>/);
+});
@@ -0,0 +1,136 @@
+/**
+ * Testes da busca de clima em intervalo contínuo, do horizonte da previsão e das médias climatológicas
+ * Rodar com: node tests/weather-horizon.test.js
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const axios = require('axios');
+const WeatherService = require('../services/WeatherService');
+const ClimatologyService = require('../services/ClimatologyService');
+const TripWatchService = require('../services/TripWatchService');
+const RouteWeatherOrchestrator = require('../services/weatherRouteService');
+
+const NOW = Date.parse('2030-01-01T12:00:00Z');
+const HOUR = 3600;
+
+// Resposta do Open-Meteo (timeformat=unixtime) com `hours` horas a partir de `from`, em São Paulo (UTC-3)
+const openMeteoResponse = (from, hours) => {
+    const start = Date.parse(from) / 1000;
+    const time = Array.from({ length: hours }, (_, i) => start + i * HOUR);
+    return {
+        timezone: 'America/Sao_Paulo',
+        hourly: { time, temperature_2m: time.map((_, i) => i), weathercode: time.map(() => 0) }
+    };
+};
+
+const mockAxios = (t, response) => {
+    const originalGet = axios.get;
+    const urls = [];
+    axios.get = async (url) => {
+        urls.push(url);
+        return { data: response };
+    };
+    t.after(() => { axios.get = originalGet; });
+    return urls;
+};
+
+test('Horizonte - Um pedido contínuo para a viagem inteira, com a hora mais próxima', async (t) => {
+    // 31/dez 00h local (03h UTC) até 4/jan 00h local
+    const urls = mockAxios(t, openMeteoResponse('2029-12-31T03:00:00Z', 4 * 24));
+    const service = new WeatherService(undefined, { now: () => NOW });
+
+    const results = await service.getBatchWeather([
+        { lat: -23.55, lng: -46.63, date: new Date('2030-01-01T02:50:00Z') }, // 23:50 local: hora mais próxima é 0h do dia 1
+        { lat: -23.55, lng: -46.63, date: new Date('2030-01-02T03:10:00Z') }, // 0h10 local do dia 2
+        { lat: -23.55, lng: -46.63, date: new Date('2030-01-02T15:29:00Z') }
+    ]);
+
+    assert.strictEqual(urls.length, 1, 'Dias diferentes não geram pedidos separados');
+    assert.match(urls[0], /start_date=2029-12-31&end_date=2030-01-03/);
+    assert.deepStrictEqual(results.map(r => r.temp), [24, 48, 60]);
+    assert.ok(results.every(r => r.source === 'openMeteo' && !r.beyondHorizon));
+});
+
+test('Horizonte - Pontos além da previsão recebem a média climatológica', async (t) => {
+    // Último dia com previsão: 16/jan (hoje + 15). A resposta termina antes do fim do dia UTC
+    // (como em fusos a leste de Greenwich): a última hora é 16/jan 14h UTC
+    const response = openMeteoResponse('2030-01-14T03:00:00Z', 60);
+    const urls = mockAxios(t, [response, { ...response, timezone: 'America/Cuiaba' }]);
+    const service = new WeatherService(undefined, { now: () => NOW });
+
+    const [inside, afterData, beyond, farAway] = await service.getBatchWeather([
+        { lat: -23.55, lng: -46.63, date: new Date('2030-01-16T12:00:00Z') },
+        { lat: -15.60, lng: -56.10, date: new Date('2030-01-16T20:00:00Z') }, // antes do horizonte, depois dos dados
+        { lat: -15.60, lng: -56.10, date: new Date('2030-01-20T12:00:00Z') },
+        { lat: 38.72, lng: -9.14, date: new Date('2030-01-20T12:00:00Z') }   // Lisboa: sem estação próxima
+    ]);
+
+    assert.strictEqual(urls.length, 1);
+    assert.match(urls[0], /end_date=2030-01-16/, 'O pedido não passa do último dia com previsão');
+    assert.strictEqual(inside.source, 'openMeteo');
+
+    for (const result of [afterData, beyond]) {
+        assert.strictEqual(result.source, 'climatology');
+        assert.strictEqual(result.beyondHorizon, true);
+        assert.strictEqual(result.temp, 27.2, 'Média de janeiro em Cuiabá');
+        assert.strictEqual(result.climatology.station, 'Cuiabá');
+        assert.strictEqual(result.climatology.monthlyPrecipitation, 215);
+    }
+
+    assert.strictEqual(farAway.temp, "--");
+    assert.strictEqual(farAway.error, 'beyondHorizon');
+    assert.strictEqual(farAway.beyondHorizon, true);
+});
+
+test('Horizonte - Sem chamada ao provedor quando a viagem toda passa do horizonte', async (t) => {
+    const urls = mockAxios(t, openMeteoResponse('2030-01-01T03:00:00Z', 24));
+    const service = new WeatherService(undefined, { now: () => NOW });
+
+    const [result] = await service.getBatchWeather([{ lat: -30.0, lng: -51.2, date: new Date('2030-07-10T12:00:00Z') }]);
+
+    assert.strictEqual(urls.length, 0);
+    assert.strictEqual(result.climatology.station, 'Porto Alegre');
+    assert.strictEqual(result.temp, 14.2, 'Média de julho');
+    assert.strictEqual(new ClimatologyService().getNormals(-3.1, -60.0, new Date('2030-03-15T00:00:00Z')).climatology.month, 3);
+});
+
+test('Horizonte - Lotes sem fallback por ponto não chamam o WeatherAPI', async (t) => {
+    const originalGet = axios.get;
+    const weatherApiUrls = [];
+    axios.get = async (url) => {
+        if (!url.includes('weatherapi.com')) throw new Error('Open-Meteo fora do ar');
+        weatherApiUrls.push(url);
+        const epoch = Math.round(Date.parse('2030-01-02T12:00:00Z') / 1000);
+        return { data: { forecast: { forecastday: [{ hour: [{ time_epoch: epoch, temp_c: 25, condition: { text: 'Sol' } }] }] } } };
+    };
+    t.after(() => { axios.get = originalGet; });
+
+    const service = new WeatherService(undefined, { now: () => NOW });
+    service.WEATHER_API_KEY = 'chave';
+    const points = [-23.5, -22.9, -21.0].map(lat => ({ lat, lng: -46.6, date: new Date('2030-01-02T12:00:00Z') }));
+
+    const bulk = await service.getBatchWeather(points, { perPointFallback: false });
+    assert.strictEqual(weatherApiUrls.length, 0);
+    assert.ok(bulk.every(r => r.error === 'connection'));
+
+    const perPoint = await service.getBatchWeather(points);
+    assert.strictEqual(weatherApiUrls.length, points.length, 'Sem a opção, um pedido por ponto');
+    assert.ok(perPoint.every(r => r.source === 'weatherApi'));
+});
+
+test('Horizonte - Médias não contam na nota, nos alertas e saem no idioma pedido', async (t) => {
+    const climatology = { temp: 27.2, condition: 'Média climatológica 📊', weatherCode: null, source: 'climatology', beyondHorizon: true, climatology: { station: 'Cuiabá' } };
+    const forecast = { temp: 20, condition: 'Chuva Forte ⛈️', weatherCode: 65, precipitationProbability: 90, precipitation: 6, source: 'openMeteo' };
+
+    const orchestrator = new RouteWeatherOrchestrator({}, {}, {}, {});
+    assert.strictEqual(orchestrator._localizeWeather(climatology, 'en').condition, 'Climate average 📊');
+
+    const score = orchestrator._scoreWeather([forecast, climatology, climatology]);
+    assert.strictEqual(score.coverage, 0.33, 'Só a previsão conta como cobertura');
+    assert.strictEqual(score.rainyCheckpoints, 1);
+
+    // Quando a data entra no horizonte, a troca da média pela previsão não vira alerta
+    const watch = new TripWatchService();
+    const cp = (weather) => ({ drivingOffset: 0, formattedTime: '16/01, 08:00', locationName: 'Cuiabá', distanceFromStart: 0, weather, hazard: { level: 'low', score: 0, reasons: [] } });
+    assert.deepStrictEqual(watch.diffForecasts({ checkpoints: [cp(climatology)] }, { checkpoints: [cp(forecast)] }), []);
+});